@@ -1,9 +1,17 @@
 // Razorpay Payment SDK - Pure Payment Processing
+// After signup() or login() every request carries the access token, which is
+// refreshed automatically when it expires. Pass `tokenStorage` (for example
+// window.localStorage) to keep the session across page loads.
 class RazorpayPaymentSDK {
     constructor(config) {
         this.apiUrl = config.apiUrl;
         this.razorpayKeyId = config.razorpayKeyId;
-        this.userId = config.userId || 'user_' + Date.now();
+        this.tokenStorage = config.tokenStorage || null;
+        const saved = this.tokenStorage ? JSON.parse(this.tokenStorage.getItem('budgetTrackerSession') || 'null') : null;
+        this.session = config.accessToken
+            ? { accessToken: config.accessToken, refreshToken: config.refreshToken, userId: config.userId }
+            : saved;
+        this.userId = this.session?.userId || config.userId || 'user_' + Date.now();
         this.loadRazorpaySDK();
     }
 
@@ -15,42 +23,144 @@ class RazorpayPaymentSDK {
         document.head.appendChild(script);
     }
 
-    async createUser(userData = {}) {
-        const response = await fetch(`${this.apiUrl}/api/users`, {
+    isLoggedIn() {
+        return Boolean(this.session?.accessToken);
+    }
+
+    setSession(result) {
+        this.session = result && {
+            accessToken: result.accessToken,
+            refreshToken: result.refreshToken,
+            userId: result.user?.id || result.userId || this.userId
+        };
+        if (this.session) this.userId = this.session.userId;
+        if (this.tokenStorage) {
+            if (this.session) {
+                this.tokenStorage.setItem('budgetTrackerSession', JSON.stringify(this.session));
+            } else {
+                this.tokenStorage.removeItem('budgetTrackerSession');
+            }
+        }
+    }
+
+    // JSON request with the access token; an expired token is refreshed
+    // once and the request retried. With an idempotencyKey the server answers
+    // a repeated request with the response it gave the first time.
+    async request(path, { method = 'GET', body, retry = true, idempotencyKey } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.session?.accessToken) headers.Authorization = `Bearer ${this.session.accessToken}`;
+        if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+        const response = await fetch(`${this.apiUrl}${path}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        if (response.status === 401 && retry && this.session?.refreshToken) {
+            if (await this.refreshSession()) return this.request(path, { method, body, retry: false, idempotencyKey });
+        }
+        return await response.json();
+    }
+
+    async signup(account) {
+        const result = await this.request('/api/auth/signup', {
+            method: 'POST',
+            body: {
+                email: account.email,
+                password: account.password,
+                name: account.name,
+                initialBudget: account.budget,
+                homeCurrency: account.homeCurrency
+            }
+        });
+        if (!result.success) throw new Error(result.error);
+        this.setSession(result);
+        return result;
+    }
+
+    async login(identifier, password) {
+        const result = await this.request('/api/auth/login', { method: 'POST', body: { identifier, password } });
+        if (!result.success) throw new Error(result.error);
+        this.setSession(result);
+        return result;
+    }
+
+    async refreshSession() {
+        const response = await fetch(`${this.apiUrl}/api/auth/refresh`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
+            body: JSON.stringify({ refreshToken: this.session.refreshToken })
+        });
+        const result = await response.json();
+        this.setSession(result.success ? result : null);
+        return result.success;
+    }
+
+    async logout() {
+        if (this.isLoggedIn()) await this.request('/api/auth/logout', { method: 'POST', body: {}, retry: false });
+        this.setSession(null);
+    }
+
+    async createUser(userData = {}) {
+        return this.request('/api/users', {
+            method: 'POST',
+            body: {
                 userId: this.userId,
                 name: userData.name || 'User',
                 email: userData.email || '',
                 initialBudget: userData.budget || 10000
-            })
+            }
         });
-        return await response.json();
     }
 
     async createOrder(paymentData) {
-        const response = await fetch(`${this.apiUrl}/api/create-order`, {
+        const result = await this.request('/api/create-order', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
+            body: {
                 amount: paymentData.amount,
                 userId: this.userId,
                 category: paymentData.category || 'Payment',
                 description: paymentData.description || 'Online Payment',
-                currency: paymentData.currency || 'INR'
-            })
+                currency: paymentData.currency || 'INR',
+                confirmationToken: paymentData.confirmationToken
+            },
+            idempotencyKey: paymentData.idempotencyKey
         });
-        const result = await response.json();
-        if (!result.success) throw new Error(result.error);
+        if (!result.success) {
+            // Budget guard refusals carry the projected budget impact
+            const error = new Error(result.error);
+            error.budgetGuard = result.budgetGuard;
+            throw error;
+        }
         return result;
     }
 
+    // Orders over budget under a 'confirm' policy are retried with the
+    // confirmation token once the user agrees
+    async createOrderWithConfirmation(paymentData, options = {}) {
+        try {
+            return await this.createOrder(paymentData);
+        } catch (error) {
+            if (!error.budgetGuard || !error.budgetGuard.requiresConfirmation) throw error;
+
+            const guard = error.budgetGuard;
+            const confirmBudget = options.onConfirmBudget || (() =>
+                window.confirm(guard.breaches.map(b => b.message).join('\n') + '\n\nContinue anyway?'));
+            if (!(await confirmBudget(guard))) return null;
+
+            return this.createOrder({
+                ...paymentData,
+                confirmationToken: guard.confirmationToken,
+                idempotencyKey: paymentData.idempotencyKey && `${paymentData.idempotencyKey}:confirmed`
+            });
+        }
+    }
+
     async verifyPayment(paymentResponse, orderData) {
-        const response = await fetch(`${this.apiUrl}/api/verify-payment`, {
+        const result = await this.request('/api/verify-payment', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
+            body: {
                 razorpay_order_id: paymentResponse.razorpay_order_id,
                 razorpay_payment_id: paymentResponse.razorpay_payment_id,
                 razorpay_signature: paymentResponse.razorpay_signature,
@@ -58,17 +168,23 @@ class RazorpayPaymentSDK {
                 amount: orderData.amount,
                 category: orderData.category,
                 description: orderData.description
-            })
+            },
+            // One payment is only ever recorded once, however often this is retried
+            idempotencyKey: `verify:${paymentResponse.razorpay_payment_id}`
         });
-        const result = await response.json();
         if (!result.success) throw new Error(result.error);
         return result;
     }
 
     async makePayment(paymentData, options = {}) {
         try {
-            await this.createUser(options.user);
-            const order = await this.createOrder(paymentData);
+            // Accounts come from signup(); without one the server must run with AUTH_REQUIRED=false
+            if (!this.isLoggedIn()) await this.createUser(options.user);
+            const order = await this.createOrderWithConfirmation(paymentData, options);
+            if (!order) {
+                if (options.onCancel) options.onCancel();
+                return;
+            }
 
             const razorpayOptions = {
                 key: this.razorpayKeyId || order.key,
@@ -129,10 +245,14 @@ class RazorpayPaymentSDK {
 const paymentSDK = new RazorpayPaymentSDK({
     apiUrl: 'https://your-app.onrender.com',
     razorpayKeyId: 'rzp_test_your_key_id',
-    userId: 'user123'
+    tokenStorage: window.localStorage
 });
 
-function makePayment() {
+async function makePayment() {
+    if (!paymentSDK.isLoggedIn()) {
+        await paymentSDK.login('user@example.com', 'their-password');
+    }
+
     paymentSDK.makePayment({
         amount: 500,
         category: 'Shopping',
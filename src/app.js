@@ -0,0 +1,129 @@
+// 🤖 AI Budget Tracker - Express application
+// Every entry script (budget-tracker-*.js, razorpay-render-deploy/server.js)
+// serves this same app; they only differ in the defaults passed to loadConfig.
+
+const express = require('express');
+const cors = require('cors');
+const { compatProfile, rewriteLegacyPaths, backendRouter } = require('./compat');
+const { authenticate, requireAuthentication } = require('./auth');
+const { resolveTenant } = require('./tenancy');
+const { idempotency } = require('./idempotency');
+
+const routes = [
+    require('./routes/system'),
+    require('./routes/auth'),
+    require('./routes/users'),
+    require('./routes/payments'),
+    require('./routes/transactions'),
+    require('./routes/rules'),
+    require('./routes/categorizer'),
+    require('./routes/entries'),
+    require('./routes/budgets'),
+    require('./routes/analytics'),
+    require('./routes/anomalies'),
+    require('./routes/admin'),
+    require('./routes/webhooks')
+];
+
+// Production hosting (Render) adds security headers, compression, access logs
+// and a rate limit on the API
+function applyHardening(app) {
+    const helmet = require('helmet');
+    const compression = require('compression');
+    const morgan = require('morgan');
+    const rateLimit = require('express-rate-limit');
+
+    app.use(helmet());
+    app.use(compression());
+    app.use(morgan('combined'));
+    app.use('/api/', rateLimit({
+        windowMs: 15 * 60 * 1000,
+        max: 1000,
+        message: {
+            success: false,
+            error: 'Too many requests from this IP, please try again later.'
+        }
+    }));
+}
+
+function createApp(config) {
+    const app = express();
+    app.locals.config = config;
+
+    if (config.hardened) {
+        applyHardening(app);
+    }
+
+    // ⚙️ Middleware Configuration
+    app.use(express.json({
+        limit: '10mb',
+        // Webhook signatures are computed over the exact bytes Razorpay sent
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use(express.urlencoded({ extended: true }));
+    app.use(cors({
+        origin: config.allowedOrigins,
+        credentials: true,
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+        allowedHeaders: [
+            'Content-Type',
+            'Authorization',
+            'X-API-Key',
+            'X-Signature',
+            'X-Signature-Timestamp',
+            'X-Compat-Profile',
+            'X-Tenant-ID',
+            'Idempotency-Key',
+            'x-razorpay-signature',
+            'x-razorpay-event-id'
+        ]
+    }));
+
+    // 📝 Request Logging Middleware
+    app.use((req, res, next) => {
+        console.log(`📡 ${new Date().toISOString()} - ${req.method} ${req.path}`);
+        next();
+    });
+
+    // 🏢 Which tenant the request belongs to; everything after runs on its data
+    app.use(resolveTenant);
+
+    // 🔐 Who is calling; legacy paths are rewritten before the check
+    app.use(authenticate);
+
+    // 🔀 Legacy routes and response shapes
+    app.use(compatProfile(config.compatProfile));
+    app.use(rewriteLegacyPaths);
+    app.use(requireAuthentication);
+    app.use(idempotency);
+    app.use(backendRouter);
+
+    // 📡 API Routes
+    routes.forEach(router => app.use(router));
+    app.use(express.static(config.staticDir));
+
+    // ❌ Error Handling Middleware
+    app.use((err, req, res, next) => {
+        console.error('💥 Unhandled error:', err);
+        res.status(err.status || 500).json({
+            success: false,
+            error: err.status ? err.message : 'Internal server error',
+            message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+        });
+    });
+
+    // 🔍 404 Handler
+    app.use('*', (req, res) => {
+        res.status(404).json({
+            success: false,
+            error: 'Endpoint not found',
+            availableEndpoints: '/api/info'
+        });
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,212 @@
+// 🔐 Request authentication and per-user authorization
+// authenticate() reads the bearer token into `req.auth` ({ userId,
+// sessionId, role }); requireAuthentication() turns away requests without
+// one, except on PUBLIC_PATHS. Routes then check that the user a request
+// names, in the URL or the body, is the user the token belongs to, or that
+// the caller's role grants the permission to reach other users' data (see
+// services/roles). Suspended accounts are refused.
+//
+// With `auth.required` off (AUTH_REQUIRED=false) requests without a token
+// act as whichever user they name, as they did before accounts existed.
+// Routes behind requirePermission() always need a token.
+//
+// Partner backends send an API key instead (see services/partners). Their
+// `req.auth` is { partnerId, keyId, scopes } with no user or role: they reach
+// only the routes in API_KEY_ROUTES their scopes cover, and only for users
+// the partner onboarded.
+
+const { ApiError, sendError } = require('./errors');
+const { state } = require('./state');
+const { verifyAccessToken } = require('./services/auth');
+const { roleOf, hasPermission } = require('./services/roles');
+const partners = require('./services/partners');
+
+// Paths served without a token; webhooks are authenticated by their signature
+const PUBLIC_PATHS = [
+    /^\/$/,
+    /^\/health\/?$/,
+    /^\/api\/info\/?$/,
+    /^\/api\/auth\/(signup|login|refresh|claim)\/?$/,
+    /^\/api\/webhook\/?$/
+];
+
+// What each API key scope opens; every other route refuses keys
+const API_KEY_ROUTES = [
+    { scope: 'payments:write', method: 'POST', pattern: /^\/api\/(create-order|verify-payment|users)\/?$/ },
+    {
+        scope: 'analytics:read',
+        method: 'GET',
+        pattern: /^\/api\/(users|user-data|budget|dashboard|analytics|insights|ai-insights|forecast|cashflow|subscriptions|anomalies|transactions|entries)\/[^/]+(\/.*)?$/
+    }
+];
+
+function authenticateApiKey(req, res) {
+    if (req.headers.authorization) {
+        throw new ApiError(400, 'Send either a bearer token or an API key, not both');
+    }
+    const { partner, key } = partners.verifyApiKey(req.headers['x-api-key']);
+
+    const usage = partners.consumeRateLimit(key);
+    res.set({
+        'X-RateLimit-Limit': String(usage.limit),
+        'X-RateLimit-Remaining': String(usage.remaining),
+        'X-RateLimit-Reset': String(usage.resetAt)
+    });
+    if (usage.limited) {
+        res.set('Retry-After', String(Math.max(1, usage.resetAt - Math.floor(Date.now() / 1000))));
+        throw new ApiError(429, 'Rate limit exceeded for this API key', { limit: usage.limit, resetAt: usage.resetAt });
+    }
+
+    const signature = req.headers['x-signature'];
+    if (partner.requireSignature || signature) {
+        partners.verifySignature(key, {
+            timestamp: req.headers['x-signature-timestamp'],
+            signature,
+            method: req.method,
+            url: req.originalUrl,
+            rawBody: req.rawBody
+        });
+    }
+
+    partners.recordUse(key, req.ip);
+    return { userId: null, role: null, partnerId: partner.id, keyId: key.id, scopes: key.scopes };
+}
+
+function authenticate(req, res, next) {
+    req.auth = null;
+
+    if (req.headers['x-api-key']) {
+        try {
+            req.auth = authenticateApiKey(req, res);
+            return next();
+        } catch (error) {
+            return sendError(res, error, 'Failed to authenticate');
+        }
+    }
+
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (!header) return next();
+
+    try {
+        if (scheme !== 'Bearer' || !token) {
+            throw new ApiError(401, 'Authorization header must be "Bearer <token>"');
+        }
+        const claims = verifyAccessToken(token, req.app.locals.config.auth);
+        const user = state.budgetData.users[claims.sub];
+        if (user?.suspension) {
+            throw new ApiError(403, 'Account suspended', { code: 'account_suspended' });
+        }
+        req.auth = { userId: claims.sub, sessionId: claims.sid, role: roleOf(user) };
+        next();
+    } catch (error) {
+        sendError(res, error, 'Failed to authenticate');
+    }
+}
+
+function authorizeApiKey(req) {
+    if (PUBLIC_PATHS.some(p => p.test(req.path))) return;
+
+    const route = API_KEY_ROUTES.find(r => r.method === req.method && r.pattern.test(req.path));
+    if (!route) {
+        throw new ApiError(403, 'API keys cannot call this endpoint');
+    }
+    if (!req.auth.scopes.includes(route.scope)) {
+        throw new ApiError(403, `This API key lacks the ${route.scope} scope`, { scope: route.scope, scopes: req.auth.scopes });
+    }
+}
+
+function requireAuthentication(req, res, next) {
+    if (req.auth?.partnerId) {
+        try {
+            authorizeApiKey(req);
+            return next();
+        } catch (error) {
+            return sendError(res, error, 'Forbidden');
+        }
+    }
+
+    const { required } = req.app.locals.config.auth;
+    if (req.auth || !required || !req.path.startsWith('/api/') || PUBLIC_PATHS.some(p => p.test(req.path))) {
+        return next();
+    }
+
+    res.set('WWW-Authenticate', 'Bearer');
+    sendError(res, new ApiError(401, 'Authentication required'), 'Authentication required');
+}
+
+function can(req, permission) {
+    return Boolean(req.auth) && hasPermission(req.auth.role, permission);
+}
+
+// Whether the caller may reach `userId`'s data: their own, anybody's without
+// a token while auth is optional, or with `permission` from their role.
+// Partners reach their own users and users that do not exist yet.
+function canActFor(req, userId, permission = 'users:write') {
+    if (req.auth?.partnerId) {
+        const user = state.budgetData.users[userId];
+        return !user || user.partnerId === req.auth.partnerId;
+    }
+    return !req.auth || req.auth.userId === userId || can(req, permission);
+}
+
+// The user a request acts for: `claimed` (a userId from the body) when the
+// caller may act for them, the token's user when nothing is claimed. Throws
+// 403 for anybody else.
+function actingUserId(req, claimed) {
+    if (!req.auth) return claimed;
+    if (claimed === undefined || claimed === null || claimed === '') {
+        if (req.auth.partnerId) throw new ApiError(400, 'userId is required with an API key');
+        return req.auth.userId;
+    }
+    if (!canActFor(req, claimed)) {
+        throw new ApiError(403, req.auth.partnerId
+            ? 'This user belongs to another account'
+            : 'You can only act for your own account', { userId: claimed });
+    }
+    return claimed;
+}
+
+// router.param('userId', authorizeUserParam) guards every :userId route of a
+// router; staff with 'users:read' may read, only 'users:write' may change
+function authorizeUserParam(req, res, next, userId) {
+    const permission = ['GET', 'HEAD'].includes(req.method) ? 'users:read' : 'users:write';
+    if (canActFor(req, userId, permission)) return next();
+    sendError(res, new ApiError(403, "You cannot access another user's data", { userId }), 'Forbidden');
+}
+
+// Whether the caller may loosen a confirm or block budget guard (see
+// services/budgets): not the user it holds back. Without a token nobody is
+// held to one.
+function canLiftGuard(req) {
+    return !req.auth || can(req, 'budgets:guard');
+}
+
+// Route guard for staff endpoints, whether or not auth is otherwise required
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!req.auth) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return sendError(res, new ApiError(401, 'Authentication required'), 'Authentication required');
+        }
+        if (!can(req, permission)) {
+            return sendError(res, new ApiError(403, 'Your role does not allow this', {
+                role: req.auth.role,
+                permission
+            }), 'Forbidden');
+        }
+        next();
+    };
+}
+
+module.exports = {
+    PUBLIC_PATHS,
+    authenticate,
+    requireAuthentication,
+    can,
+    canLiftGuard,
+    canActFor,
+    actingUserId,
+    authorizeUserParam,
+    requirePermission
+};
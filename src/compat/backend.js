@@ -0,0 +1,204 @@
+// 🪙 budget-tracker-backend.js compatibility
+// That server worked in paise, stamped transactions with `timestamp` and kept
+// one set of daily/weekly/monthly limits for everybody. These routes accept
+// and return those shapes on top of the rupee-based services.
+//
+// /api/budget-limits and /api/ai-insights only ever existed there and are
+// always served. create-order, verify-payment and dashboard share their path
+// with the unified routes, so the backend shape is only used when the
+// compatibility profile is 'backend' (see compatProfile in ./index.js).
+
+const express = require('express');
+const { state } = require('../state');
+const { sendError } = require('../errors');
+const { actingUserId, authorizeUserParam, canLiftGuard } = require('../auth');
+const payments = require('../services/payments');
+const { requireUser } = require('../services/users');
+const { periodLimitsMinor, setPeriodLimits } = require('../services/budgets');
+const { homeCurrencyOf } = require('../services/transactions');
+const { Money, toMajor } = require('../services/money');
+const { AIBudgetAnalyzer } = require('../services/analyzer');
+
+const router = express.Router();
+router.param('userId', authorizeUserParam);
+
+// Paise to major units; anything but whole paise becomes NaN and fails validation
+function fromPaise(value, currency) {
+    const minor = Number(value);
+    return Number.isSafeInteger(minor) ? toMajor(minor, currency) : NaN;
+}
+
+function toPaise(amount, currency) {
+    return Money.fromMajor(amount, currency).minor;
+}
+
+function limitsToPaise(limits, currency) {
+    return {
+        daily: toPaise(limits.daily, currency),
+        weekly: toPaise(limits.weekly, currency),
+        monthly: toPaise(limits.monthly, currency)
+    };
+}
+
+function toBackendTransaction(transaction, userId) {
+    const { date, amountMinor, refundedAmountMinor, ...rest } = transaction;
+    return {
+        ...rest,
+        userId,
+        amount: amountMinor,
+        timestamp: date
+    };
+}
+
+function analyzeSpending(userId, category) {
+    const analysis = AIBudgetAnalyzer.analyzePeriods(userId, category);
+    return {
+        ...analysis,
+        currentSpending: limitsToPaise(analysis.currentSpending, analysis.currency),
+        budgetLimits: periodLimitsMinor(userId)
+    };
+}
+
+function isBackendProfile(req) {
+    return req.compat.profile === 'backend';
+}
+
+router.post('/api/create-order', async (req, res, next) => {
+    if (!isBackendProfile(req)) return next();
+
+    try {
+        const { amount, currency = 'INR', category = 'general', description, confirmationToken } = req.body;
+        const userId = actingUserId(req, req.body.userId);
+        const { order, budgetGuard } = await payments.createOrder({
+            amount: fromPaise(amount, currency),
+            userId,
+            category,
+            description,
+            currency,
+            confirmationToken,
+            partnerId: req.auth?.partnerId
+        });
+
+        res.json({
+            success: true,
+            order,
+            budgetGuard,
+            message: 'Order created successfully'
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to create order');
+    }
+});
+
+router.post('/api/verify-payment', (req, res, next) => {
+    if (!isBackendProfile(req)) return next();
+
+    try {
+        const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+        const userId = actingUserId(req, req.body.userId);
+        const { transaction, alreadyRecorded } = payments.verifyPayment({
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id,
+            signature: razorpay_signature,
+            userId,
+            partnerId: req.auth?.partnerId
+        });
+
+        res.json({
+            success: true,
+            message: alreadyRecorded ? 'Payment already recorded' : 'Payment verified successfully',
+            transaction: toBackendTransaction(transaction, userId),
+            aiAnalysis: analyzeSpending(userId, transaction.category)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Payment verification failed');
+    }
+});
+
+router.get('/api/dashboard/:userId', (req, res, next) => {
+    if (!isBackendProfile(req)) return next();
+
+    try {
+        const { userId } = req.params;
+        const user = requireUser(userId);
+
+        const recentTransactions = [...user.transactions]
+            .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .slice(0, 10)
+            .map(t => toBackendTransaction(t, userId));
+
+        res.json({
+            success: true,
+            user: {
+                id: userId,
+                totalTransactions: user.transactions.length,
+                createdAt: user.createdAt
+            },
+            budgetAnalysis: analyzeSpending(userId),
+            recentTransactions,
+            budgetLimits: periodLimitsMinor(userId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch dashboard data');
+    }
+});
+
+// Limits in paise; without a userId they become the defaults for everybody,
+// which only works while AUTH_REQUIRED=false
+router.post('/api/budget-limits', (req, res) => {
+    try {
+        const { userId: claimed, ...limits } = req.body;
+        const userId = actingUserId(req, claimed);
+        const currency = homeCurrencyOf(userId && state.budgetData.users[userId]);
+        const rupees = {};
+        ['daily', 'weekly', 'monthly'].forEach(period => {
+            if (limits[period]) rupees[period] = fromPaise(limits[period], currency);
+        });
+
+        const updated = setPeriodLimits(userId || null, rupees, { mayChangeGuard: canLiftGuard(req) });
+
+        res.json({
+            success: true,
+            message: 'Budget limits updated',
+            budgetLimits: limitsToPaise(updated, currency)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to update budget limits');
+    }
+});
+
+router.get('/api/ai-insights/:userId', (req, res) => {
+    try {
+        const { userId } = req.params;
+        const user = state.budgetData.users[userId] || { transactions: [] };
+        const currency = homeCurrencyOf(user);
+        const projection = AIBudgetAnalyzer.getMonthlyProjection(user.transactions, currency);
+
+        const categoryBreakdown = {};
+        Object.entries(AIBudgetAnalyzer.getCategoryTotals(userId)).forEach(([category, amount]) => {
+            categoryBreakdown[category] = toPaise(amount, currency);
+        });
+
+        res.json({
+            success: true,
+            insights: {
+                ...analyzeSpending(userId),
+                spendingTrends: AIBudgetAnalyzer.getWeeklyTrend(userId)
+                    .map(day => ({ date: day.date, amount: toPaise(day.amount, currency) })),
+                categoryBreakdown,
+                predictedMonthlySpend: toPaise(projection.projectedMonthly, currency),
+                savingsOpportunities: AIBudgetAnalyzer.findSavingsOpportunities(userId)
+                    .map(o => ({ ...o, currentSpend: toPaise(o.currentSpend, currency) }))
+            }
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to generate AI insights');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// Compatibility layer for clients of the older servers. The profile decides
+// which response shapes the shared paths use: 'api' (rupees, `date`) or
+// 'backend' (paise, `timestamp`). Each entry script sets a default and a
+// client can pick one per request with the X-Compat-Profile header.
+
+const { rewriteLegacyPaths } = require('./legacy-paths');
+const backendRouter = require('./backend');
+
+const PROFILES = ['api', 'backend'];
+
+function compatProfile(defaultProfile) {
+    return (req, res, next) => {
+        const requested = String(req.headers['x-compat-profile'] || '').toLowerCase();
+        req.compat = {
+            profile: PROFILES.includes(requested) ? requested : defaultProfile
+        };
+        next();
+    };
+}
+
+module.exports = { PROFILES, compatProfile, rewriteLegacyPaths, backendRouter };
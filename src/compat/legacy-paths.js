@@ -0,0 +1,71 @@
+// 🔀 Legacy paths
+// budget-tracker-server.js served its routes without the /api prefix and
+// budget-tracker-backend.js took webhooks on /api/razorpay-webhook. Requests
+// to those paths are rewritten onto the unified routes, filling in the
+// defaults the old handlers applied. A logged-in caller stands in for the
+// old 'anonymous' user.
+
+const LEGACY_ROUTES = [
+    {
+        method: 'POST',
+        pattern: /^\/create-order\/?$/,
+        target: () => '/api/create-order',
+        prepare: req => {
+            req.body.userId = req.body.userId || req.auth?.userId || 'anonymous';
+        }
+    },
+    {
+        method: 'POST',
+        pattern: /^\/verify-payment\/?$/,
+        target: () => '/api/verify-payment',
+        prepare: req => {
+            req.body.userId = req.body.userId || req.auth?.userId || 'anonymous';
+        }
+    },
+    {
+        method: 'POST',
+        pattern: /^\/(webhook|api\/razorpay-webhook)\/?$/,
+        target: () => '/api/webhook'
+    },
+    {
+        method: 'POST',
+        pattern: /^\/set-budget\/?$/,
+        target: () => '/api/set-budget',
+        prepare: req => {
+            req.body.monthlyLimit = req.body.monthlyLimit || 10000;
+        }
+    },
+    {
+        method: 'GET',
+        pattern: /^\/payments\/?$/,
+        target: () => '/api/payments'
+    },
+    {
+        method: 'GET',
+        pattern: /^\/dashboard\/([^/]+)\/?$/,
+        target: match => `/api/dashboard/${match[1]}`,
+        prepare: req => {
+            req.compat.allowUnknownUser = true;
+        }
+    }
+];
+
+function rewriteLegacyPaths(req, res, next) {
+    const [pathname, query] = req.url.split('?');
+
+    for (const route of LEGACY_ROUTES) {
+        const match = req.method === route.method && pathname.match(route.pattern);
+        if (!match) continue;
+
+        req.body = req.body || {};
+        if (route.prepare) route.prepare(req);
+
+        req.url = route.target(match) + (query !== undefined ? `?${query}` : '');
+        req.compat.legacyPath = pathname;
+        break;
+    }
+
+    next();
+}
+
+module.exports = { rewriteLegacyPaths };
@@ -0,0 +1,116 @@
+// Runtime configuration shared by every entry point.
+//
+// Razorpay credentials come from RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET, or from
+// the `rzp (1).csv` export of the Razorpay dashboard (header row, then
+// key_id,key_secret) in the repository root.
+//
+// Access tokens are signed with JWT_SECRET. Without it a random secret is
+// generated at startup, so sessions end when the server restarts. Accounts
+// with an email in ADMIN_EMAILS (comma-separated) are made admins.
+//
+// TENANTS_FILE names a JSON file of further tenants (merchants) served by the
+// same deployment, each with its own Razorpay account (see ./tenancy):
+//
+//   { "acme": { "name": "Acme Stores", "razorpayKeyId": "rzp_live_...",
+//               "razorpayKeySecret": "...", "webhookSecret": "...",
+//               "adminEmails": ["owner@acme.example"] } }
+//
+// Tenant ids are lowercase letters, digits and dashes, as in a subdomain.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CREDENTIALS_CSV = path.join(ROOT_DIR, 'rzp (1).csv');
+const DEFAULT_WEBHOOK_SECRET = 'your_webhook_secret';
+const DEFAULT_ACCESS_TOKEN_TTL = 15 * 60; // seconds
+const DEFAULT_REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+const DEFAULT_IDEMPOTENCY_TTL = 24 * 60 * 60; // seconds
+const TENANT_ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+
+function readCredentialsCsv(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+    if (lines.length < 2) {
+        throw new Error(`${file} needs a header row followed by key_id,key_secret`);
+    }
+
+    const [keyId, keySecret] = lines[1].split(',').map(value => value.trim());
+    if (!keyId || !keySecret) {
+        throw new Error(`${file} contains empty credentials`);
+    }
+
+    return { keyId, keySecret };
+}
+
+function loadRazorpayCredentials() {
+    if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
+        return {
+            keyId: process.env.RAZORPAY_KEY_ID,
+            keySecret: process.env.RAZORPAY_KEY_SECRET,
+            source: 'environment'
+        };
+    }
+
+    if (fs.existsSync(CREDENTIALS_CSV)) {
+        return { ...readCredentialsCsv(CREDENTIALS_CSV), source: path.basename(CREDENTIALS_CSV) };
+    }
+
+    throw new Error('Set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET, or add "rzp (1).csv" with key_id,key_secret');
+}
+
+function loadTenants(file) {
+    if (!file) return [];
+
+    const entries = Object.entries(JSON.parse(fs.readFileSync(file, 'utf8')));
+    return entries.map(([id, tenant]) => {
+        if (!TENANT_ID_PATTERN.test(id) || id === 'default') {
+            throw new Error(`${file}: "${id}" is not a valid tenant id`);
+        }
+        ['razorpayKeyId', 'razorpayKeySecret', 'webhookSecret'].forEach(field => {
+            if (!tenant[field]) throw new Error(`${file}: tenant "${id}" needs ${field}`);
+        });
+
+        return {
+            id,
+            name: tenant.name || id,
+            credentials: { keyId: tenant.razorpayKeyId, keySecret: tenant.razorpayKeySecret },
+            webhookSecret: tenant.webhookSecret,
+            adminEmails: (tenant.adminEmails || []).map(email => String(email).trim().toLowerCase())
+        };
+    });
+}
+
+// `defaults` come from the entry script (port, data file, compatibility
+// profile); environment variables override them.
+function loadConfig(defaults = {}) {
+    return {
+        port: parseInt(process.env.PORT) || defaults.port || 3001,
+        host: defaults.host,
+        dataFile: defaults.dataFile || path.join(ROOT_DIR, 'budget-api-data.json'),
+        compatProfile: process.env.COMPAT_PROFILE || defaults.compatProfile || 'api',
+        hardened: defaults.hardened !== undefined ? defaults.hardened : process.env.NODE_ENV === 'production',
+        allowedOrigins: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
+        webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || DEFAULT_WEBHOOK_SECRET,
+        webhookSecretConfigured: Boolean(process.env.RAZORPAY_WEBHOOK_SECRET),
+        fxRatesFile: process.env.FX_RATES_FILE || null,
+        tenantsFile: process.env.TENANTS_FILE || null,
+        idempotency: {
+            // How long a stored response is replayed for its Idempotency-Key
+            ttl: parseInt(process.env.IDEMPOTENCY_TTL) || DEFAULT_IDEMPOTENCY_TTL
+        },
+        auth: {
+            // AUTH_REQUIRED=false serves user routes without a token, for
+            // clients of the older servers that never logged in
+            required: process.env.AUTH_REQUIRED !== 'false',
+            jwtSecret: process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+            jwtSecretConfigured: Boolean(process.env.JWT_SECRET),
+            accessTokenTtl: parseInt(process.env.ACCESS_TOKEN_TTL) || DEFAULT_ACCESS_TOKEN_TTL,
+            refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL) || DEFAULT_REFRESH_TOKEN_TTL,
+            adminEmails: (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean)
+        },
+        staticDir: path.join(ROOT_DIR, 'public')
+    };
+}
+
+module.exports = { loadConfig, loadRazorpayCredentials, loadTenants, ROOT_DIR };
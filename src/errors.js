@@ -0,0 +1,30 @@
+// Errors a service throws to end a request with a specific status. Routes
+// turn them into `{ success: false, error, ...details }` via sendError().
+
+class ApiError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function sendError(res, error, fallbackMessage) {
+    if (error instanceof ApiError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            ...error.details
+        });
+    }
+
+    console.error(`❌ ${fallbackMessage}:`, error);
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage,
+        details: error.message || error.error?.description
+    });
+}
+
+module.exports = { ApiError, sendError };
@@ -0,0 +1,125 @@
+// 🔁 Idempotency keys
+// A client that retries a payment request after a timeout cannot tell
+// whether the first attempt went through. Sending the same
+// `Idempotency-Key` header on every attempt makes the retries safe: the first
+// response is stored and later requests with that key get it back, marked
+// `Idempotent-Replayed: true`, without running the route again.
+//
+// Keys belong to the caller (user or partner) and the tenant, and live for
+// `idempotency.ttl` seconds (IDEMPOTENCY_TTL). Requests without a token
+// (AUTH_REQUIRED=false) ignore the header: nothing tells their clients apart,
+// so one could be handed the response stored for another. Reusing a key for a
+// different endpoint or body is refused with 422; a repeat that arrives
+// while the first request is still running gets 409. Server errors are not
+// stored, so the request can be retried with the same key; neither is a
+// request the server never finished, e.g. because it restarted.
+
+const crypto = require('crypto');
+const { ApiError, sendError } = require('./errors');
+const { state, saveData } = require('./state');
+
+const MAX_KEY_LENGTH = 255;
+const ABANDONED_AFTER = 60 * 1000; // A request without a response by then is run again
+
+// Routes that honor the header; other routes ignore it
+const IDEMPOTENT_ROUTES = [
+    /^\/api\/create-order\/?$/,
+    /^\/api\/verify-payment\/?$/,
+    /^\/api\/users\/?$/,
+    /^\/api\/set-budget\/?$/,
+    /^\/api\/refunds\/?$/
+];
+
+function callerOf(req) {
+    if (req.auth?.partnerId) return `partner:${req.auth.partnerId}`;
+    if (req.auth?.userId) return `user:${req.auth.userId}`;
+    return null;
+}
+
+function fingerprintOf(req) {
+    const body = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+    return crypto.createHash('sha256').update(`${req.method} ${req.path}\n${body}`).digest('hex');
+}
+
+function purgeExpired(now = Date.now()) {
+    const records = state.budgetData.idempotencyKeys;
+    Object.entries(records).forEach(([id, record]) => {
+        if (new Date(record.expiresAt).getTime() <= now) delete records[id];
+    });
+}
+
+function replay(res, record) {
+    res.set('Idempotent-Replayed', 'true');
+    res.status(record.response.status).json(record.response.body);
+}
+
+function idempotency(req, res, next) {
+    const key = req.headers['idempotency-key'];
+    if (key === undefined || req.method !== 'POST' || !callerOf(req) || !IDEMPOTENT_ROUTES.some(p => p.test(req.path))) {
+        return next();
+    }
+
+    try {
+        if (!key || key.length > MAX_KEY_LENGTH) {
+            throw new ApiError(400, `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`);
+        }
+        purgeExpired();
+
+        // Held on to for the 'close' handler, which may run outside the
+        // tenant's context; the route calls res.json() inside it
+        const records = state.budgetData.idempotencyKeys;
+        const id = `${callerOf(req)} ${key}`;
+        const fingerprint = fingerprintOf(req);
+        const existing = records[id];
+
+        const running = existing && !existing.response &&
+            Date.now() - new Date(existing.createdAt).getTime() < ABANDONED_AFTER;
+
+        if (existing && (existing.response || running)) {
+            if (existing.fingerprint !== fingerprint) {
+                throw new ApiError(422, 'Idempotency-Key was already used for a different request', {
+                    idempotencyKey: key,
+                    originalPath: existing.path
+                });
+            }
+            if (running) {
+                res.set('Retry-After', '1');
+                throw new ApiError(409, 'A request with this Idempotency-Key is still being processed', { idempotencyKey: key });
+            }
+            return replay(res, existing);
+        }
+
+        const { ttl } = req.app.locals.config.idempotency;
+        const record = {
+            key,
+            caller: callerOf(req),
+            path: req.path,
+            fingerprint,
+            response: null,
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
+        };
+        records[id] = record;
+
+        // The route answers through res.json(), also for its errors
+        const json = res.json.bind(res);
+        res.json = body => {
+            if (res.statusCode >= 500) {
+                delete records[id];
+            } else {
+                record.response = { status: res.statusCode, body };
+                saveData();
+            }
+            return json(body);
+        };
+        res.on('close', () => {
+            if (!record.response) delete records[id];
+        });
+        next();
+
+    } catch (error) {
+        sendError(res, error, 'Failed to process Idempotency-Key');
+    }
+}
+
+module.exports = { IDEMPOTENT_ROUTES, idempotency };
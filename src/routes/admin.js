@@ -0,0 +1,423 @@
+// 🌐 Admin endpoints
+// Each route names the permission it needs; services/roles maps roles to them.
+
+const express = require('express');
+const { DEFAULT_TENANT, state, saveData, runAsTenant } = require('../state');
+const { ApiError, sendError } = require('../errors');
+const { countsTowardSpend, spendMinor } = require('../services/lifecycle');
+const { DEFAULT_CURRENCY, Money } = require('../services/money');
+const fx = require('../services/fx');
+const { importFxRates } = require('../services/transactions');
+const webhooks = require('../services/webhooks');
+const admin = require('../services/admin');
+const partners = require('../services/partners');
+const { ROLES, PERMISSIONS } = require('../services/roles');
+const { requirePermission } = require('../auth');
+const { listTenants } = require('../tenancy');
+
+const router = express.Router();
+
+// Statistics of the current tenant's users and payments
+function statistics() {
+    const { users, payments } = state.budgetData;
+    const totalUsers = Object.keys(users).length;
+    const settledPayments = payments.filter(countsTowardSpend);
+    const totalTransactions = settledPayments.length;
+
+    // Spend is summed per home currency, then brought into INR at today's
+    // rate for the headline figures; currencies without a rate are listed
+    const byCurrency = {};
+    settledPayments.forEach(payment => {
+        const currency = payment.homeCurrency || DEFAULT_CURRENCY;
+        byCurrency[currency] = (byCurrency[currency] || 0) + spendMinor(payment);
+    });
+
+    const unconvertedCurrencies = [];
+    const totalAmount = Object.entries(byCurrency).reduce((total, [currency, minor]) => {
+        try {
+            return total.add(fx.convert(new Money(minor, currency), DEFAULT_CURRENCY).money);
+        } catch (error) {
+            if (!(error instanceof fx.FxRateError)) throw error;
+            unconvertedCurrencies.push(currency);
+            return total;
+        }
+    }, Money.zero(DEFAULT_CURRENCY));
+
+    const oneWeekAgo = new Date();
+    oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
+    const activeUsers = Object.values(users)
+        .filter(user => new Date(user.lastActive || user.createdAt) >= oneWeekAgo)
+        .length;
+
+    return {
+        totalUsers,
+        activeUsers,
+        totalTransactions,
+        totalAmount: totalAmount.toDecimalString(),
+        totalAmountFormatted: totalAmount.format(),
+        averageTransactionAmount: totalTransactions > 0 ?
+            totalAmount.multiply(1 / totalTransactions).toDecimalString() : 0,
+        averageUserSpending: totalUsers > 0 ?
+            totalAmount.multiply(1 / totalUsers).toDecimalString() : 0,
+        currency: DEFAULT_CURRENCY,
+        totalsByCurrency: Object.fromEntries(Object.entries(byCurrency)
+            .map(([currency, minor]) => [currency, new Money(minor, currency).toDecimalString()])),
+        unconvertedCurrencies,
+        unconvertedTransactions: settledPayments.filter(p => p.homeAmountMinor === null).length
+    };
+}
+
+// Statistics of the tenant the request belongs to
+router.get('/api/admin/stats', requirePermission('stats:read'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            tenant: req.tenant.id,
+            statistics: statistics(),
+            generatedAt: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch statistics');
+    }
+});
+
+// 🏢 Every tenant's statistics, for the deployment's own admins only; other
+// tenants' admins do not learn that this route exists
+router.get('/api/admin/tenants', requirePermission('tenants:read'), (req, res) => {
+    if (req.tenant.id !== DEFAULT_TENANT) {
+        return res.status(404).json({ success: false, error: 'Endpoint not found' });
+    }
+
+    try {
+        res.json({
+            success: true,
+            tenants: listTenants().map(tenant => ({
+                id: tenant.id,
+                name: tenant.name,
+                statistics: runAsTenant(tenant.id, statistics)
+            })),
+            generatedAt: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch tenant statistics');
+    }
+});
+
+// 💱 FX Rate Tables
+router.get('/api/admin/fx-rates', requirePermission('fx:read'), (req, res) => {
+    try {
+        const { from, to, base, quote, date } = req.query;
+        const response = {
+            success: true,
+            tables: fx.listRates({ from, to })
+        };
+
+        // ?base=USD&quote=INR&date=2024-05-01 shows the rate a conversion would use
+        if (base && quote) {
+            const found = fx.findRate(base, quote, date);
+            response.lookup = { base, quote, date: date || null, rate: null, rateDate: null };
+            if (found) Object.assign(response.lookup, { rate: found.rate, rateDate: found.date });
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        if (error instanceof fx.FxRateError) {
+            return sendError(res, new ApiError(400, error.message, error.details));
+        }
+        sendError(res, error, 'Failed to fetch FX rates');
+    }
+});
+
+// Body: `{ csv: "date,base,quote,rate\n..." }` or `{ rates: [...] }` in the
+// JSON file format. `reconvert: "all"` converts every foreign transaction
+// again instead of only those that had no rate.
+router.post('/api/admin/fx-rates', requirePermission('fx:write'), (req, res) => {
+    try {
+        const { csv, rates, reconvert } = req.body;
+        let rows;
+        if (typeof csv === 'string') {
+            rows = fx.parseRatesCsv(csv);
+        } else if (rates && typeof rates === 'object') {
+            rows = fx.parseRatesJson(rates);
+        } else {
+            throw new ApiError(400, 'Provide rates as `csv` text or a `rates` array');
+        }
+
+        const result = importFxRates(rows, { all: reconvert === 'all' });
+        saveData();
+
+        console.log(`💱 Imported ${result.imported} FX rates for ${result.dates.length} dates`);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        if (error instanceof fx.FxRateError) {
+            return sendError(res, new ApiError(400, error.message, error.details));
+        }
+        sendError(res, error, 'Failed to import FX rates');
+    }
+});
+
+// 🔔 Stored Webhook Events
+router.get('/api/admin/webhook-events', requirePermission('webhooks:read'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...webhooks.listWebhookEvents(req.query)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to list webhook events');
+    }
+});
+
+router.get('/api/admin/webhook-events/:eventId', requirePermission('webhooks:read'), (req, res) => {
+    const record = webhooks.getWebhookEvent(req.params.eventId);
+    if (!record) {
+        return res.status(404).json({ success: false, error: 'Webhook event not found' });
+    }
+
+    res.json({
+        success: true,
+        event: { ...record, payload: JSON.parse(record.payload) }
+    });
+});
+
+// Replays run the stored bytes through the same handlers; they are idempotent
+// per payment and refund, so replaying a processed event changes nothing.
+router.post('/api/admin/webhook-events/:eventId/replay', requirePermission('webhooks:replay'), (req, res) => {
+    try {
+        const record = webhooks.getWebhookEvent(req.params.eventId);
+        if (!record) {
+            return res.status(404).json({ success: false, error: 'Webhook event not found' });
+        }
+
+        const previousStatus = record.status;
+        webhooks.processWebhookEvent(record);
+
+        console.log('🔁 Webhook event replayed:', record.id, previousStatus, '→', record.status);
+
+        const { payload, ...summary } = record;
+        res.json({
+            success: record.status !== 'failed',
+            previousStatus,
+            event: summary
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to replay webhook event');
+    }
+});
+
+// 👥 Users
+// ?q= matches id, email or name; ?role= and ?status=active|suspended filter
+router.get('/api/admin/users', requirePermission('users:read'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...admin.findUsers(req.query)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to look up users');
+    }
+});
+
+router.get('/api/admin/users/:userId', requirePermission('users:read'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...admin.getUserOverview(req.params.userId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch user');
+    }
+});
+
+router.put('/api/admin/users/:userId/role', requirePermission('roles:manage'), (req, res) => {
+    try {
+        const { user, changed } = admin.setRole(req.auth, req.params.userId, req.body.role);
+
+        res.json({
+            success: true,
+            message: changed ? 'Role changed' : 'Role unchanged',
+            user
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to change role');
+    }
+});
+
+// Body { reason }; the user's sessions end at once
+router.post('/api/admin/users/:userId/suspend', requirePermission('users:suspend'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: 'Account suspended',
+            ...admin.suspendUser(req.auth, req.params.userId, req.body)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to suspend account');
+    }
+});
+
+router.post('/api/admin/users/:userId/reinstate', requirePermission('users:suspend'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: 'Account reinstated',
+            ...admin.reinstateUser(req.auth, req.params.userId, req.body)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to reinstate account');
+    }
+});
+
+// For accounts from before sign-in: the token goes to the user, who sets a
+// password with POST /api/auth/claim
+router.post('/api/admin/users/:userId/password-setup', requirePermission('users:write'), (req, res) => {
+    try {
+        res.status(201).json({
+            success: true,
+            message: 'Password setup token issued',
+            ...admin.issuePasswordSetup(req.auth, req.params.userId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to issue password setup token');
+    }
+});
+
+// ⚖️ Body { direction: 'debit' | 'credit', amount, reason, currency?, category?, date? }
+router.post('/api/admin/users/:userId/adjustments', requirePermission('adjustments:write'), (req, res) => {
+    try {
+        res.status(201).json({
+            success: true,
+            message: 'Adjustment recorded',
+            adjustment: admin.createAdjustment(req.auth, req.params.userId, req.body)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to record adjustment');
+    }
+});
+
+// 🤝 Partners and their API keys
+// Body { name, scopes, rateLimit?: { requests, windowSeconds }, requireSignature? };
+// the API key and signing secret are only ever returned here and on new keys
+router.post('/api/admin/partners', requirePermission('partners:manage'), (req, res) => {
+    try {
+        res.status(201).json({
+            success: true,
+            message: 'Partner created',
+            ...partners.createPartner(req.auth, req.body)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to create partner');
+    }
+});
+
+router.get('/api/admin/partners', requirePermission('partners:manage'), (req, res) => {
+    res.json({
+        success: true,
+        partners: partners.listPartners()
+    });
+});
+
+router.get('/api/admin/partners/:partnerId', requirePermission('partners:manage'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            partner: partners.getPartner(req.params.partnerId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch partner');
+    }
+});
+
+// Body { name?, status?: 'active' | 'disabled', requireSignature? }
+router.patch('/api/admin/partners/:partnerId', requirePermission('partners:manage'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            partner: partners.updatePartner(req.auth, req.params.partnerId, req.body)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to update partner');
+    }
+});
+
+router.post('/api/admin/partners/:partnerId/keys', requirePermission('partners:manage'), (req, res) => {
+    try {
+        res.status(201).json({
+            success: true,
+            message: 'API key created',
+            ...partners.createKey(req.auth, req.params.partnerId, req.body)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to create API key');
+    }
+});
+
+// Body { overlapSeconds? } - how long the old key keeps working (default one day)
+router.post('/api/admin/partners/:partnerId/keys/:keyId/rotate', requirePermission('partners:manage'), (req, res) => {
+    try {
+        res.status(201).json({
+            success: true,
+            message: 'API key rotated',
+            ...partners.rotateKey(req.auth, req.params.partnerId, req.params.keyId, req.body)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to rotate API key');
+    }
+});
+
+router.delete('/api/admin/partners/:partnerId/keys/:keyId', requirePermission('partners:manage'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: 'API key revoked',
+            key: partners.revokeKey(req.auth, req.params.partnerId, req.params.keyId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to revoke API key');
+    }
+});
+
+// 🛡️ Roles and the audit log
+router.get('/api/admin/roles', requirePermission('users:read'), (req, res) => {
+    res.json({
+        success: true,
+        roles: ROLES.map(role => ({ role, permissions: PERMISSIONS[role] }))
+    });
+});
+
+router.get('/api/admin/audit-log', requirePermission('audit:read'), (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...admin.listAuditLog(req.query)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch audit log');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+// 🕵️ Spending anomaly alerts
+
+const express = require('express');
+const { sendError } = require('../errors');
+const { authorizeUserParam } = require('../auth');
+const anomalies = require('../services/anomalies');
+
+const router = express.Router();
+router.param('userId', authorizeUserParam);
+
+// ?status=open|resolved|all (default all)
+router.get('/api/anomalies/:userId', (req, res) => {
+    try {
+        const alerts = anomalies.listAlerts(req.params.userId, req.query);
+
+        res.json({
+            success: true,
+            userId: req.params.userId,
+            alerts,
+            open: alerts.filter(alert => alert.status === 'open').length
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch anomaly alerts');
+    }
+});
+
+// Body: { days } of history to check, 90 by default
+router.post('/api/anomalies/:userId/scan', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            userId: req.params.userId,
+            ...anomalies.scanHistory(req.params.userId, req.body)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to scan for anomalies');
+    }
+});
+
+// Body: { resolution: 'expected' | 'fraud', note }
+router.post('/api/anomalies/:userId/:alertId/resolve', (req, res) => {
+    try {
+        const { userId, alertId } = req.params;
+
+        res.json({
+            success: true,
+            message: 'Alert resolved',
+            alert: anomalies.resolveAlert(userId, alertId, req.body)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to resolve anomaly alert');
+    }
+});
+
+module.exports = router;
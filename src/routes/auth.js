@@ -0,0 +1,123 @@
+// 🔐 Signup, login and sessions
+
+const express = require('express');
+const { ApiError, sendError } = require('../errors');
+const auth = require('../services/auth');
+
+const router = express.Router();
+
+// Admin emails are the tenant's own
+const authConfigOf = req => ({ ...req.app.locals.config.auth, adminEmails: req.tenant.adminEmails });
+
+function requireSession(req) {
+    if (!req.auth) {
+        throw new ApiError(401, 'Authentication required');
+    }
+    return req.auth;
+}
+
+router.post('/api/auth/signup', async (req, res) => {
+    try {
+        const result = await auth.signup(req.body, authConfigOf(req), { userAgent: req.headers['user-agent'] });
+
+        res.status(201).json({
+            success: true,
+            message: 'Account created',
+            ...result
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to sign up');
+    }
+});
+
+// Body { setupToken, password, email? }: sets the first password of an
+// account created before sign-in, with a token from an admin
+router.post('/api/auth/claim', async (req, res) => {
+    try {
+        const result = await auth.claimAccount(req.body, authConfigOf(req), { userAgent: req.headers['user-agent'] });
+
+        res.json({
+            success: true,
+            message: 'Account claimed',
+            ...result
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to claim account');
+    }
+});
+
+// Body { identifier, password }, where identifier is the email or user id
+router.post('/api/auth/login', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...await auth.login(req.body, authConfigOf(req), { userAgent: req.headers['user-agent'] })
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to log in');
+    }
+});
+
+router.post('/api/auth/refresh', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...auth.refresh(req.body?.refreshToken, authConfigOf(req))
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to refresh session');
+    }
+});
+
+// ?everywhere=true ends every session of the user, not just this one
+router.post('/api/auth/logout', (req, res) => {
+    try {
+        const { sessionId } = requireSession(req);
+
+        res.json({
+            success: true,
+            message: 'Logged out',
+            ...auth.logout(sessionId, { everywhere: String(req.query.everywhere || req.body?.everywhere) === 'true' })
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to log out');
+    }
+});
+
+router.get('/api/auth/me', (req, res) => {
+    try {
+        const { userId, sessionId } = requireSession(req);
+
+        res.json({
+            success: true,
+            sessionId,
+            ...auth.getAccount(userId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch account');
+    }
+});
+
+// Body { currentPassword, newPassword }; other sessions are logged out
+router.post('/api/auth/password', async (req, res) => {
+    try {
+        const { userId, sessionId } = requireSession(req);
+
+        res.json({
+            success: true,
+            message: 'Password changed',
+            ...await auth.changePassword(userId, sessionId, req.body)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to change password');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+// 🎯 Budget Management
+
+const express = require('express');
+const { sendError } = require('../errors');
+const { actingUserId, authorizeUserParam, canLiftGuard } = require('../auth');
+const { requireUser } = require('../services/users');
+const { toMajor } = require('../services/money');
+const budgets = require('../services/budgets');
+const { AIBudgetAnalyzer } = require('../services/analyzer');
+
+const router = express.Router();
+router.param('userId', authorizeUserParam);
+
+router.post('/api/set-budget', (req, res) => {
+    try {
+        const {
+            monthlyLimit,
+            limit,
+            categories,
+            alerts,
+            guard,
+            period,
+            cycleStartDay,
+            weekStartDay,
+            rollover
+        } = req.body;
+        const userId = actingUserId(req, req.body.userId);
+        const budget = budgets.setBudget(userId, {
+            monthlyLimit,
+            limit,
+            categories,
+            alerts,
+            guard,
+            period,
+            cycleStartDay,
+            weekStartDay,
+            rollover
+        }, { mayChangeGuard: canLiftGuard(req) });
+
+        console.log('🎯 Budget updated:', userId, budget.monthly);
+
+        res.json({
+            success: true,
+            message: 'Budget limits updated successfully',
+            budget,
+            budgetAnalysis: AIBudgetAnalyzer.analyzeBudget(userId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to set budget');
+    }
+});
+
+router.get('/api/budget/:userId', (req, res) => {
+    const { userId } = req.params;
+
+    if (!budgets.hasBudget(userId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Budget not found',
+            userId
+        });
+    }
+
+    res.json({
+        success: true,
+        budget: budgets.getBudget(userId),
+        limits: budgets.periodLimits(userId),
+        lastUpdated: new Date().toISOString()
+    });
+});
+
+// The current budget period and the closed ones, newest first
+router.get('/api/budget/:userId/periods', (req, res) => {
+    try {
+        const user = requireUser(req.params.userId);
+        const current = budgets.currentPeriodSummary(user.id);
+        const major = minor => toMajor(minor, current.currency);
+
+        res.json({
+            success: true,
+            current: {
+                ...current,
+                limit: major(current.limitMinor),
+                rolloverIn: major(current.rolloverInMinor),
+                effectiveLimit: major(current.effectiveLimitMinor),
+                spent: major(current.spentMinor),
+                remaining: major(current.effectiveLimitMinor - current.spentMinor)
+            },
+            history: budgets.getPeriodHistory(user.id)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch budget periods');
+    }
+});
+
+// Daily, weekly, monthly and quarterly limits in major units; limits left out keep their value
+router.put('/api/budget/:userId/limits', (req, res) => {
+    try {
+        const limits = budgets.setPeriodLimits(req.params.userId, req.body, { mayChangeGuard: canLiftGuard(req) });
+
+        res.json({
+            success: true,
+            message: 'Budget limits updated successfully',
+            limits
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to update budget limits');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// 🧠 Category suggestions and the classifier's accuracy per user
+
+const express = require('express');
+const { sendError } = require('../errors');
+const { authorizeUserParam } = require('../auth');
+const categorizer = require('../services/categorizer');
+
+const router = express.Router();
+router.param('userId', authorizeUserParam);
+
+// Body: { description, merchant, vpa, amount, currency, method, type }
+router.post('/api/categorizer/:userId/suggest', (req, res) => {
+    try {
+        const suggestion = categorizer.suggestForInput(req.params.userId, req.body);
+
+        res.json({
+            success: true,
+            suggestion,
+            ...(!suggestion && { message: 'Not enough categorized transactions to suggest a category yet' })
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to suggest a category');
+    }
+});
+
+router.get('/api/categorizer/:userId/metrics', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            metrics: categorizer.getMetrics(req.params.userId),
+            generatedAt: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch categorizer metrics');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+// ✍️ Manual expense and income entries, and net cash flow
+
+const express = require('express');
+const { sendError } = require('../errors');
+const { authorizeUserParam } = require('../auth');
+const entries = require('../services/entries');
+const { AIBudgetAnalyzer } = require('../services/analyzer');
+const anomalies = require('../services/anomalies');
+
+const router = express.Router();
+router.param('userId', authorizeUserParam);
+
+router.post('/api/entries/:userId', (req, res) => {
+    try {
+        const { userId } = req.params;
+        const entry = entries.createEntry(userId, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: entry.type === 'income' ? 'Income recorded' : 'Expense recorded',
+            entry,
+            budgetAnalysis: AIBudgetAnalyzer.analyzeBudget(userId),
+            categoryAlerts: AIBudgetAnalyzer.getCrossedCategoryAlerts(userId, entry),
+            anomalies: anomalies.alertsForTransaction(userId, entry.id)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to create entry');
+    }
+});
+
+router.get('/api/entries/:userId', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...entries.listEntries(req.params.userId, req.query)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch entries');
+    }
+});
+
+router.get('/api/entries/:userId/:entryId', (req, res) => {
+    try {
+        const { userId, entryId } = req.params;
+
+        res.json({
+            success: true,
+            entry: entries.getEntry(userId, entryId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch entry');
+    }
+});
+
+router.put('/api/entries/:userId/:entryId', (req, res) => {
+    try {
+        const { userId, entryId } = req.params;
+        const entry = entries.updateEntry(userId, entryId, req.body);
+
+        res.json({
+            success: true,
+            message: 'Entry updated',
+            entry,
+            budgetAnalysis: AIBudgetAnalyzer.analyzeBudget(userId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to update entry');
+    }
+});
+
+router.delete('/api/entries/:userId/:entryId', (req, res) => {
+    try {
+        const { userId, entryId } = req.params;
+        const entry = entries.deleteEntry(userId, entryId, { reason: req.body?.reason });
+
+        res.json({
+            success: true,
+            message: 'Entry deleted',
+            entry,
+            budgetAnalysis: AIBudgetAnalyzer.analyzeBudget(userId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to delete entry');
+    }
+});
+
+// 💵 Income against expenses per month; ?months=12 for a longer view
+router.get('/api/cashflow/:userId', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            userId: req.params.userId,
+            ...entries.getCashFlow(req.params.userId, req.query),
+            generatedAt: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch cash flow');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+// 💳 Payments, refunds and transaction history
+
+const express = require('express');
+const { state } = require('../state');
+const { ApiError, sendError } = require('../errors');
+const { actingUserId, can, canActFor, authorizeUserParam, requirePermission } = require('../auth');
+const payments = require('../services/payments');
+const refunds = require('../services/refunds');
+const { listTransactions } = require('../services/transactions');
+const { requireUser } = require('../services/users');
+const { getKeyId } = require('../services/razorpay');
+const { AIBudgetAnalyzer } = require('../services/analyzer');
+const anomalies = require('../services/anomalies');
+
+const router = express.Router();
+router.param('userId', authorizeUserParam);
+
+router.post('/api/create-order', async (req, res) => {
+    try {
+        const { amount, category, description, currency = 'INR', confirmationToken } = req.body;
+        const userId = actingUserId(req, req.body.userId);
+        const { order, budgetGuard } = await payments.createOrder({
+            amount,
+            userId,
+            category,
+            description,
+            currency,
+            confirmationToken,
+            partnerId: req.auth?.partnerId
+        });
+
+        res.json({
+            success: true,
+            orderId: order.id,
+            amount,
+            currency,
+            key: getKeyId(),
+            userId,
+            category,
+            description,
+            receipt: order.receipt,
+            created_at: order.created_at,
+            budgetGuard
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to create payment order');
+    }
+});
+
+router.post('/api/verify-payment', (req, res) => {
+    try {
+        const {
+            razorpay_order_id,
+            razorpay_payment_id,
+            razorpay_signature,
+            amount,
+            currency,
+            category,
+            description
+        } = req.body;
+        const userId = actingUserId(req, req.body.userId);
+
+        const { transaction, user, alreadyRecorded } = payments.verifyPayment({
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id,
+            signature: razorpay_signature,
+            userId,
+            claimed: { amount, currency, category, description },
+            partnerId: req.auth?.partnerId
+        });
+
+        const categoryAlerts = alreadyRecorded ? [] : AIBudgetAnalyzer.getCrossedCategoryAlerts(userId, transaction);
+        categoryAlerts.forEach(alert => console.log('🚨 Category alert:', userId, alert.message));
+
+        res.json({
+            success: true,
+            message: alreadyRecorded ? 'Payment already recorded' : 'Payment verified and budget updated successfully',
+            ...(alreadyRecorded && { alreadyRecorded }),
+            transaction,
+            budgetAnalysis: AIBudgetAnalyzer.analyzeBudget(userId),
+            categoryAlerts,
+            anomalies: alreadyRecorded ? [] : anomalies.alertsForTransaction(userId, transaction.id),
+            user: {
+                id: userId,
+                totalSpent: user.totalSpent,
+                transactionCount: user.transactions.length
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Internal server error during payment verification');
+    }
+});
+
+// Refunds move money through Razorpay, so they are for staff with
+// 'refunds:write'; users ask support rather than refunding themselves
+router.post('/api/refunds', requirePermission('refunds:write'), async (req, res) => {
+    try {
+        const { refund, transaction, userId, full } = await refunds.createRefund(req.body);
+
+        res.json({
+            success: true,
+            message: full ? 'Full refund initiated' : 'Partial refund initiated',
+            refund,
+            transaction,
+            budgetAnalysis: AIBudgetAnalyzer.analyzeBudget(userId),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to create refund');
+    }
+});
+
+router.get('/api/refunds/:refundId', (req, res) => {
+    const refund = refunds.getRefund(req.params.refundId);
+    if (!refund || !canActFor(req, refund.userId, 'users:read')) {
+        return res.status(404).json({ success: false, error: 'Refund not found' });
+    }
+
+    res.json({
+        success: true,
+        refund
+    });
+});
+
+// 📋 Transaction History
+router.get('/api/transactions/:userId', (req, res) => {
+    try {
+        const user = requireUser(req.params.userId);
+
+        res.json({
+            success: true,
+            ...listTransactions(user, req.query)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch transactions');
+    }
+});
+
+// Latest entries of the global payments log for roles with 'payments:read';
+// anybody else sees their own
+router.get('/api/payments', (req, res) => {
+    if (!req.auth) {
+        return sendError(res, new ApiError(401, 'Authentication required'), 'Authentication required');
+    }
+    const payments = can(req, 'payments:read')
+        ? state.budgetData.payments
+        : state.budgetData.payments.filter(p => p.userId === req.auth.userId);
+
+    res.json({
+        success: true,
+        payments: payments.slice(-50),
+        totalPayments: payments.length
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+// 🏷️ Categorization rules: a user's own under /api/rules/:userId, the global
+// ones under /api/admin/rules
+
+const express = require('express');
+const { sendError } = require('../errors');
+const { authorizeUserParam, requirePermission } = require('../auth');
+const rules = require('../services/rules');
+
+const router = express.Router();
+router.param('userId', authorizeUserParam);
+
+// The global rules are the ones with no user
+const ownerOf = req => req.params.userId || null;
+
+function listRules(req, res) {
+    try {
+        const userId = ownerOf(req);
+
+        res.json({
+            success: true,
+            rules: rules.listRules(userId),
+            ...(userId && { globalRules: rules.listRules(null) })
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch rules');
+    }
+}
+
+function createRule(req, res) {
+    try {
+        res.status(201).json({
+            success: true,
+            message: 'Rule created',
+            rule: rules.createRule(ownerOf(req), req.body)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to create rule');
+    }
+}
+
+function updateRule(req, res) {
+    try {
+        res.json({
+            success: true,
+            message: 'Rule updated',
+            rule: rules.updateRule(ownerOf(req), req.params.ruleId, req.body)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to update rule');
+    }
+}
+
+function deleteRule(req, res) {
+    try {
+        res.json({
+            success: true,
+            message: 'Rule deleted',
+            rule: rules.deleteRule(ownerOf(req), req.params.ruleId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to delete rule');
+    }
+}
+
+// 🔍 What the rules would change in the history; body { rule } tries a new
+// or edited rule before saving it
+function dryRun(req, res) {
+    try {
+        res.json({
+            success: true,
+            ...rules.dryRun(ownerOf(req), req.body?.rule)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to run rules');
+    }
+}
+
+// 🔁 Re-applies the saved rules to the history
+function applyRules(req, res) {
+    try {
+        res.json({
+            success: true,
+            ...rules.reapplyRules({ userId: ownerOf(req) })
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to apply rules');
+    }
+}
+
+router.get('/api/rules/:userId', listRules);
+router.post('/api/rules/:userId', createRule);
+router.post('/api/rules/:userId/dry-run', dryRun);
+router.post('/api/rules/:userId/apply', applyRules);
+router.put('/api/rules/:userId/:ruleId', updateRule);
+router.delete('/api/rules/:userId/:ruleId', deleteRule);
+
+const manageRules = requirePermission('rules:manage');
+router.get('/api/admin/rules', manageRules, listRules);
+router.post('/api/admin/rules', manageRules, createRule);
+router.post('/api/admin/rules/dry-run', manageRules, dryRun);
+router.post('/api/admin/rules/apply', manageRules, applyRules);
+router.put('/api/admin/rules/:ruleId', manageRules, updateRule);
+router.delete('/api/admin/rules/:ruleId', manageRules, deleteRule);
+
+module.exports = router;
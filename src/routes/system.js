@@ -0,0 +1,187 @@
+// 🏠 Health, API information and the dashboard page
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { state } = require('../state');
+const { getKeyId } = require('../services/razorpay');
+
+const SERVICE_NAME = 'AI Budget Tracker API';
+const VERSION = '1.0.0';
+
+const ENDPOINTS = {
+    auth: {
+        signup: 'POST /api/auth/signup',
+        login: 'POST /api/auth/login',
+        claim_account: 'POST /api/auth/claim',
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        get_account: 'GET /api/auth/me',
+        change_password: 'POST /api/auth/password'
+    },
+    payment: {
+        create_order: 'POST /api/create-order',
+        verify_payment: 'POST /api/verify-payment',
+        create_refund: 'POST /api/refunds',
+        get_refund: 'GET /api/refunds/:refundId',
+        list_payments: 'GET /api/payments',
+        webhook: 'POST /api/webhook'
+    },
+    budget: {
+        set_budget: 'POST /api/set-budget',
+        get_budget: 'GET /api/budget/:userId',
+        set_limits: 'PUT /api/budget/:userId/limits',
+        get_periods: 'GET /api/budget/:userId/periods',
+        get_dashboard: 'GET /api/dashboard/:userId',
+        get_analytics: 'GET /api/analytics/:userId',
+        get_insights: 'GET /api/insights/:userId',
+        get_subscriptions: 'GET /api/subscriptions/:userId',
+        get_forecast: 'GET /api/forecast/:userId',
+        backtest_forecast: 'GET /api/forecast/:userId/backtest'
+    },
+    users: {
+        create_user: 'POST /api/users',
+        get_user: 'GET /api/users/:userId',
+        update_user: 'PUT /api/users/:userId',
+        get_user_data: 'GET /api/user-data/:userId'
+    },
+    transactions: {
+        get_transactions: 'GET /api/transactions/:userId',
+        get_transaction: 'GET /api/transactions/:userId/:transactionId',
+        edit_transaction: 'PATCH /api/transactions/:userId/:transactionId',
+        split_transaction: 'PUT /api/transactions/:userId/:transactionId/splits',
+        delete_transaction: 'DELETE /api/transactions/:userId/:transactionId',
+        restore_transaction: 'POST /api/transactions/:userId/:transactionId/restore'
+    },
+    entries: {
+        create_entry: 'POST /api/entries/:userId',
+        list_entries: 'GET /api/entries/:userId',
+        get_entry: 'GET /api/entries/:userId/:entryId',
+        update_entry: 'PUT /api/entries/:userId/:entryId',
+        delete_entry: 'DELETE /api/entries/:userId/:entryId',
+        cash_flow: 'GET /api/cashflow/:userId'
+    },
+    rules: {
+        list_rules: 'GET /api/rules/:userId',
+        create_rule: 'POST /api/rules/:userId',
+        update_rule: 'PUT /api/rules/:userId/:ruleId',
+        delete_rule: 'DELETE /api/rules/:userId/:ruleId',
+        dry_run: 'POST /api/rules/:userId/dry-run',
+        apply_rules: 'POST /api/rules/:userId/apply'
+    },
+    anomalies: {
+        list_alerts: 'GET /api/anomalies/:userId',
+        scan_history: 'POST /api/anomalies/:userId/scan',
+        resolve_alert: 'POST /api/anomalies/:userId/:alertId/resolve'
+    },
+    categorizer: {
+        suggest_category: 'POST /api/categorizer/:userId/suggest',
+        accuracy: 'GET /api/categorizer/:userId/metrics'
+    },
+    admin: {
+        stats: 'GET /api/admin/stats',
+        tenants: 'GET /api/admin/tenants',
+        webhook_events: 'GET /api/admin/webhook-events',
+        webhook_event: 'GET /api/admin/webhook-events/:eventId',
+        replay_webhook_event: 'POST /api/admin/webhook-events/:eventId/replay',
+        fx_rates: 'GET /api/admin/fx-rates',
+        import_fx_rates: 'POST /api/admin/fx-rates',
+        global_rules: 'GET /api/admin/rules',
+        create_global_rule: 'POST /api/admin/rules',
+        update_global_rule: 'PUT /api/admin/rules/:ruleId',
+        delete_global_rule: 'DELETE /api/admin/rules/:ruleId',
+        global_rules_dry_run: 'POST /api/admin/rules/dry-run',
+        apply_global_rules: 'POST /api/admin/rules/apply',
+        find_users: 'GET /api/admin/users',
+        get_user: 'GET /api/admin/users/:userId',
+        set_role: 'PUT /api/admin/users/:userId/role',
+        suspend_user: 'POST /api/admin/users/:userId/suspend',
+        reinstate_user: 'POST /api/admin/users/:userId/reinstate',
+        password_setup: 'POST /api/admin/users/:userId/password-setup',
+        create_adjustment: 'POST /api/admin/users/:userId/adjustments',
+        roles: 'GET /api/admin/roles',
+        partners: 'GET /api/admin/partners',
+        create_partner: 'POST /api/admin/partners',
+        get_partner: 'GET /api/admin/partners/:partnerId',
+        update_partner: 'PATCH /api/admin/partners/:partnerId',
+        create_api_key: 'POST /api/admin/partners/:partnerId/keys',
+        rotate_api_key: 'POST /api/admin/partners/:partnerId/keys/:keyId/rotate',
+        revoke_api_key: 'DELETE /api/admin/partners/:partnerId/keys/:keyId',
+        audit_log: 'GET /api/admin/audit-log'
+    }
+};
+
+// Routes of the older servers that keep working; see src/compat
+const LEGACY_ENDPOINTS = {
+    'POST /create-order': 'POST /api/create-order',
+    'POST /verify-payment': 'POST /api/verify-payment',
+    'POST /webhook': 'POST /api/webhook',
+    'POST /api/razorpay-webhook': 'POST /api/webhook',
+    'GET /dashboard/:userId': 'GET /api/dashboard/:userId',
+    'POST /set-budget': 'POST /api/set-budget',
+    'GET /payments': 'GET /api/payments',
+    'POST /api/budget-limits': 'limits in paise (budget-tracker-backend.js)',
+    'GET /api/ai-insights/:userId': 'insights in paise (budget-tracker-backend.js)'
+};
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+    const dashboard = path.join(req.app.locals.config.staticDir, 'budget-dashboard.html');
+    if (fs.existsSync(dashboard)) {
+        return res.sendFile(dashboard);
+    }
+
+    res.json({
+        success: true,
+        service: SERVICE_NAME,
+        version: VERSION,
+        status: 'running',
+        timestamp: new Date().toISOString(),
+        endpoints: {
+            health: '/health',
+            info: '/api/info'
+        }
+    });
+});
+
+router.get('/health', (req, res) => {
+    const uptime = process.uptime();
+    const memoryUsage = process.memoryUsage();
+
+    res.json({
+        status: 'healthy',
+        service: SERVICE_NAME,
+        version: VERSION,
+        timestamp: new Date().toISOString(),
+        uptime: `${Math.floor(uptime / 60)}m ${Math.floor(uptime % 60)}s`,
+        environment: process.env.NODE_ENV || 'development',
+        memory: {
+            used: `${Math.round(memoryUsage.heapUsed / 1024 / 1024)}MB`,
+            total: `${Math.round(memoryUsage.heapTotal / 1024 / 1024)}MB`
+        },
+        razorpay: 'connected',
+        storage: state.storage.driver,
+        database: {
+            users: Object.keys(state.budgetData.users).length,
+            transactions: state.budgetData.payments.length
+        }
+    });
+});
+
+router.get('/api/info', (req, res) => {
+    res.json({
+        name: SERVICE_NAME,
+        version: VERSION,
+        description: 'Backend API for AI-powered budget tracking with Razorpay integration',
+        endpoints: ENDPOINTS,
+        legacy_endpoints: LEGACY_ENDPOINTS,
+        compatibility_profile: req.app.locals.config.compatProfile,
+        tenant: req.tenant.id,
+        authentication: req.app.locals.config.auth.required ? 'Bearer token required' : 'optional',
+        partner_authentication: 'X-API-Key, optionally signed with X-Signature',
+        razorpay_key_id: getKeyId()
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+// ✏️ Transaction edits: recategorize, annotate, tag, split, delete and restore
+
+const express = require('express');
+const { sendError } = require('../errors');
+const { authorizeUserParam } = require('../auth');
+const edits = require('../services/edits');
+const { AIBudgetAnalyzer } = require('../services/analyzer');
+
+const router = express.Router();
+router.param('userId', authorizeUserParam);
+
+// One transaction with its edit history; deleted entries included
+router.get('/api/transactions/:userId/:transactionId', (req, res) => {
+    try {
+        const { userId, transactionId } = req.params;
+
+        res.json({
+            success: true,
+            transaction: edits.getTransaction(userId, transactionId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch transaction');
+    }
+});
+
+router.patch('/api/transactions/:userId/:transactionId', (req, res) => {
+    try {
+        const { userId, transactionId } = req.params;
+        const { transaction, changes } = edits.editTransaction(userId, transactionId, req.body);
+
+        res.json({
+            success: true,
+            message: Object.keys(changes).length > 0 ? 'Transaction updated' : 'Nothing changed',
+            transaction,
+            changes,
+            budgetAnalysis: AIBudgetAnalyzer.analyzeBudget(userId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to update transaction');
+    }
+});
+
+// Body: { splits: [{ category, amount, notes }] } in the transaction's
+// currency; an empty list undoes the split
+router.put('/api/transactions/:userId/:transactionId/splits', (req, res) => {
+    try {
+        const { userId, transactionId } = req.params;
+        const { transaction, changes } = edits.splitTransaction(userId, transactionId, req.body.splits);
+
+        res.json({
+            success: true,
+            message: transaction.splits.length > 0 ? 'Transaction split' : 'Split removed',
+            transaction,
+            changes,
+            budgetAnalysis: AIBudgetAnalyzer.analyzeBudget(userId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to split transaction');
+    }
+});
+
+router.delete('/api/transactions/:userId/:transactionId', (req, res) => {
+    try {
+        const { userId, transactionId } = req.params;
+        const { transaction } = edits.deleteTransaction(userId, transactionId, { reason: req.body?.reason });
+
+        res.json({
+            success: true,
+            message: 'Transaction deleted',
+            transaction,
+            budgetAnalysis: AIBudgetAnalyzer.analyzeBudget(userId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to delete transaction');
+    }
+});
+
+router.post('/api/transactions/:userId/:transactionId/restore', (req, res) => {
+    try {
+        const { userId, transactionId } = req.params;
+        const { transaction } = edits.restoreTransaction(userId, transactionId);
+
+        res.json({
+            success: true,
+            message: 'Transaction restored',
+            transaction,
+            budgetAnalysis: AIBudgetAnalyzer.analyzeBudget(userId)
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to restore transaction');
+    }
+});
+
+module.exports = router;
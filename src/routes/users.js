@@ -0,0 +1,119 @@
+// 👤 User Management
+
+const express = require('express');
+const { state } = require('../state');
+const { sendError } = require('../errors');
+const { actingUserId, authorizeUserParam } = require('../auth');
+const users = require('../services/users');
+const { getBudget, currentPeriodSummary } = require('../services/budgets');
+const { homeCurrencyOf } = require('../services/transactions');
+const { toMajor, formatMinor } = require('../services/money');
+
+const router = express.Router();
+router.param('userId', authorizeUserParam);
+
+router.post('/api/users', (req, res) => {
+    try {
+        const { user, budget } = users.createUser({
+            ...req.body,
+            userId: actingUserId(req, req.body.userId),
+            partnerId: req.auth?.partnerId
+        });
+        console.log('👤 User created:', user.id);
+
+        res.json({
+            success: true,
+            message: 'User created successfully',
+            user,
+            budget
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to create user');
+    }
+});
+
+router.get('/api/users/:userId', (req, res) => {
+    try {
+        const user = users.requireUser(req.params.userId);
+
+        res.json({
+            success: true,
+            user,
+            budget: state.budgetData.budgets[user.id],
+            lastUpdated: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch user');
+    }
+});
+
+router.put('/api/users/:userId', (req, res) => {
+    try {
+        const user = users.updateUser(req.params.userId, req.body, { adminEmails: req.tenant.adminEmails });
+
+        res.json({
+            success: true,
+            message: 'User updated successfully',
+            user
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to update user');
+    }
+});
+
+// Profile, budget summary and recent transactions in one call
+router.get('/api/user-data/:userId', (req, res) => {
+    try {
+        const user = users.requireUser(req.params.userId);
+        const budget = getBudget(user.id);
+        const currency = homeCurrencyOf(user);
+        const period = currentPeriodSummary(user.id);
+
+        const spentMinor = period.spentMinor;
+        const limitMinor = period.effectiveLimitMinor;
+        const spendingPercentage = limitMinor > 0 ? (spentMinor / limitMinor) * 100 : 0;
+
+        res.json({
+            success: true,
+            user: {
+                id: user.id,
+                name: user.name || 'User',
+                email: user.email || '',
+                homeCurrency: currency,
+                totalSpent: toMajor(user.totalSpentMinor || 0, currency),
+                transactionCount: user.transactions.length,
+                lastActive: user.lastActive,
+                createdAt: user.createdAt
+            },
+            budget: {
+                currency,
+                period: period.period,
+                periodStart: period.start,
+                periodEnd: period.end,
+                limit: toMajor(limitMinor, currency),
+                monthly: toMajor(budget.monthlyMinor, currency),
+                spent: toMajor(spentMinor, currency),
+                remaining: toMajor(limitMinor - spentMinor, currency),
+                formatted: {
+                    limit: formatMinor(limitMinor, currency),
+                    monthly: formatMinor(budget.monthlyMinor, currency),
+                    spent: formatMinor(spentMinor, currency),
+                    remaining: formatMinor(limitMinor - spentMinor, currency)
+                },
+                spendingPercentage: parseFloat(spendingPercentage.toFixed(2)),
+                categories: budget.categories || {},
+                alerts: budget.alerts !== false
+            },
+            recentTransactions: user.transactions.slice(-10).reverse(),
+            lastUpdated: new Date().toISOString()
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch user data');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// 🔔 Razorpay Webhook endpoint
+
+const express = require('express');
+const webhooks = require('../services/webhooks');
+
+const router = express.Router();
+
+router.post('/api/webhook', (req, res) => {
+    try {
+        const { webhookSecret } = req.tenant;
+        const signature = req.headers['x-razorpay-signature'];
+
+        if (!webhooks.verifyWebhookSignature(req.rawBody, signature, webhookSecret)) {
+            console.log('❌ Webhook signature verification failed');
+            return res.status(400).send('Invalid signature');
+        }
+
+        const { record, duplicate } = webhooks.receiveWebhook(req.rawBody, req.headers);
+
+        if (duplicate) {
+            return res.status(200).json({ received: true, duplicate: true });
+        }
+
+        if (record.status === 'failed') {
+            console.error('❌ Webhook error:', record.error);
+            return res.status(500).send('Webhook processing error');
+        }
+
+        if (record.status === 'ignored') {
+            // Acknowledge so Razorpay stops retrying an event we will never accept
+            console.log('⚠️ Webhook rejected by payment lifecycle:', record.error);
+            return res.status(200).json({ received: true, ignored: record.error });
+        }
+
+        res.status(200).json({ received: true });
+
+    } catch (error) {
+        console.error('❌ Webhook error:', error);
+        res.status(500).send('Webhook processing error');
+    }
+});
+
+module.exports = router;
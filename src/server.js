@@ -0,0 +1,132 @@
+// 🚀 Server bootstrap shared by every entry script
+
+const { loadConfig, loadRazorpayCredentials, loadTenants } = require('./config');
+const { DEFAULT_TENANT, state, runAsTenant, configureStorage, loadData, saveData } = require('./state');
+const { registerTenant, listTenants } = require('./tenancy');
+const { initRazorpay } = require('./services/razorpay');
+const fx = require('./services/fx');
+const { importFxRates } = require('./services/transactions');
+const { createApp } = require('./app');
+
+async function startServer(defaults = {}) {
+    const config = loadConfig(defaults);
+
+    // 🔑 Load Razorpay Credentials
+    let credentials;
+    try {
+        credentials = loadRazorpayCredentials();
+        console.log(`🔑 Razorpay credentials loaded from ${credentials.source}`);
+    } catch (error) {
+        console.error('❌ Error reading Razorpay credentials:', error.message);
+        process.exit(1);
+    }
+    initRazorpay(credentials);
+    registerTenant({
+        id: DEFAULT_TENANT,
+        name: 'Default',
+        webhookSecret: config.webhookSecret,
+        adminEmails: config.auth.adminEmails
+    });
+
+    // 🏢 Further tenants, each with its own Razorpay account
+    try {
+        loadTenants(config.tenantsFile).forEach(tenant => {
+            initRazorpay(tenant.credentials, tenant.id);
+            registerTenant(tenant);
+        });
+    } catch (error) {
+        console.error('❌ Error reading tenants:', error.message);
+        process.exit(1);
+    }
+
+    if (!config.webhookSecretConfigured) {
+        console.warn('⚠️ RAZORPAY_WEBHOOK_SECRET is not set, webhooks use the placeholder secret');
+    }
+    if (!config.auth.jwtSecretConfigured) {
+        console.warn('⚠️ JWT_SECRET is not set, sessions end when the server restarts');
+    }
+    if (!config.auth.required) {
+        console.warn('⚠️ AUTH_REQUIRED=false, user routes are served without a token');
+    }
+
+    // 💾 Storage, one per tenant
+    const storages = [];
+    for (const tenant of listTenants()) {
+        await runAsTenant(tenant.id, async () => {
+            const storage = configureStorage({ defaultDataFile: config.dataFile });
+            storages.push(storage);
+            try {
+                await storage.init();
+            } catch (error) {
+                console.error(`❌ Could not open ${storage.driver} storage for tenant ${tenant.id}:`, error.message);
+                process.exit(1);
+            }
+
+            try {
+                await loadData();
+            } catch (error) {
+                console.error(`❌ Refusing to start, budget data of tenant ${tenant.id} could not be loaded:`, error.message);
+                process.exit(1);
+            }
+
+            const { users, credentials } = state.budgetData;
+            const withoutPassword = Object.keys(users).filter(userId => !credentials[userId]).length;
+            if (config.auth.required && withoutPassword > 0) {
+                console.warn(`⚠️ ${withoutPassword} users of tenant ${tenant.id} have no password; ` +
+                    'issue them setup tokens (POST /api/admin/users/:userId/password-setup)');
+            }
+        });
+    }
+    const storage = storages[0];
+
+    // 💱 FX rates; a bad file is reported but does not stop the server
+    if (config.fxRatesFile) {
+        try {
+            const rates = fx.readRatesFile(config.fxRatesFile);
+            let imported = 0;
+            listTenants().forEach(tenant => runAsTenant(tenant.id, () => {
+                imported = importFxRates(rates).imported;
+                saveData();
+            }));
+            console.log(`💱 Imported ${imported} FX rates from ${config.fxRatesFile}`);
+        } catch (error) {
+            console.error(`❌ Could not import FX rates from ${config.fxRatesFile}:`, error.message);
+        }
+    }
+
+    const app = createApp(config);
+    const onListening = () => {
+        console.log('🤖 AI Budget Tracker API Server Started!');
+        console.log(`🌐 API Base URL: http://localhost:${config.port}`);
+        console.log(`📚 API Documentation: http://localhost:${config.port}/api/info`);
+        console.log(`💊 Health Check: http://localhost:${config.port}/health`);
+        console.log(`🔑 Razorpay Key ID: ${credentials.keyId}`);
+        console.log(`🔀 Compatibility profile: ${config.compatProfile}`);
+        console.log(`📊 Total Users: ${Object.keys(state.budgetData.users).length}`);
+        console.log(`💰 Total Transactions: ${state.budgetData.payments.length}`);
+        console.log(`💾 Storage: ${storage.driver}`);
+        if (listTenants().length > 1) {
+            console.log(`🏢 Tenants: ${listTenants().map(tenant => tenant.id).join(', ')}`);
+        }
+    };
+
+    const server = config.host
+        ? app.listen(config.port, config.host, onListening)
+        : app.listen(config.port, onListening);
+
+    // 🛡️ Graceful Shutdown
+    async function shutdown() {
+        console.log('\n💾 Saving data...');
+        listTenants().forEach(tenant => runAsTenant(tenant.id, saveData));
+        await Promise.all(storages.map(store => store.close()));
+        console.log('🛑 AI Budget Tracker API shutting down gracefully...');
+        process.exit(0);
+    }
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    return { app, server, config };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,251 @@
+// 🧑‍💼 Staff operations on accounts
+// User lookup, role changes, suspension, password setup tokens and manual
+// adjustments. Each change is written to `auditLog` with the staff member who
+// made it; `actor` is the caller's `req.auth` ({ userId, role }).
+//
+// A suspended account cannot log in, its sessions end at once and it cannot
+// create orders; payments already under way are still recorded. Adjustments
+// are manual entries (see ./entries) marked with `adjustment`: a debit adds
+// an expense, a credit adds income. Users cannot edit or delete them; staff
+// reverse one with an adjustment the other way.
+
+const crypto = require('crypto');
+const { state, saveData } = require('../state');
+const { ApiError } = require('../errors');
+const { ROLES, roleOf, permissionsOf } = require('./roles');
+const { requireUser } = require('./users');
+const { homeCurrencyOf } = require('./transactions');
+const { currentPeriodSummary } = require('./budgets');
+const { toMajor, formatMinor } = require('./money');
+const entries = require('./entries');
+const auth = require('./auth');
+
+const MAX_AUDIT_ENTRIES = 10000; // Oldest entries are dropped beyond this
+const ADJUSTMENT_DIRECTIONS = { debit: 'expense', credit: 'income' };
+
+function audit(actor, action, targetUserId, details = {}) {
+    const entry = {
+        id: `audit_${crypto.randomBytes(8).toString('hex')}`,
+        at: new Date().toISOString(),
+        actor: { userId: actor.userId, role: actor.role },
+        action,
+        targetUserId,
+        details
+    };
+    state.budgetData.auditLog.push(entry);
+    if (state.budgetData.auditLog.length > MAX_AUDIT_ENTRIES) {
+        state.budgetData.auditLog.splice(0, state.budgetData.auditLog.length - MAX_AUDIT_ENTRIES);
+    }
+    console.log('🧾 Audit:', action, targetUserId, 'by', actor.userId);
+    return entry;
+}
+
+function requireReason(reason) {
+    if (typeof reason !== 'string' || !reason.trim()) {
+        throw new ApiError(400, 'reason is required');
+    }
+    return reason.trim();
+}
+
+function summarizeUser(user) {
+    const currency = homeCurrencyOf(user);
+    return {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: roleOf(user),
+        status: user.suspension ? 'suspended' : 'active',
+        hasPassword: Boolean(state.budgetData.credentials[user.id]),
+        homeCurrency: currency,
+        totalSpent: toMajor(user.totalSpentMinor || 0, currency),
+        transactionCount: user.transactions.length,
+        createdAt: user.createdAt,
+        lastActive: user.lastActive
+    };
+}
+
+// `q` matches the id, email or name, ignoring case
+function findUsers({ q, role, status, limit = 50, offset = 0 } = {}) {
+    const query = String(q || '').trim().toLowerCase();
+    const matches = Object.values(state.budgetData.users)
+        .filter(user => !query || [user.id, user.email, user.name].some(value => String(value || '').toLowerCase().includes(query)))
+        .map(summarizeUser)
+        .filter(user => (!role || user.role === role) && (!status || user.status === status))
+        .sort((a, b) => String(b.lastActive).localeCompare(String(a.lastActive)));
+
+    const start = parseInt(offset) || 0;
+    const count = Math.min(parseInt(limit) || 50, 200);
+    return {
+        users: matches.slice(start, start + count),
+        pagination: {
+            total: matches.length,
+            limit: count,
+            offset: start,
+            hasMore: start + count < matches.length
+        }
+    };
+}
+
+function getUserOverview(userId) {
+    const user = requireUser(userId);
+    const currency = homeCurrencyOf(user);
+    const period = currentPeriodSummary(user.id);
+
+    return {
+        user: {
+            ...summarizeUser(user),
+            permissions: permissionsOf(roleOf(user)),
+            suspension: user.suspension || null
+        },
+        budget: {
+            currency,
+            period: period.period,
+            limit: toMajor(period.effectiveLimitMinor, currency),
+            spent: toMajor(period.spentMinor, currency),
+            formatted: {
+                limit: formatMinor(period.effectiveLimitMinor, currency),
+                spent: formatMinor(period.spentMinor, currency)
+            }
+        },
+        activeSessions: auth.getAccount(user.id).activeSessions.length,
+        adjustments: user.transactions.filter(t => t.adjustment),
+        recentTransactions: user.transactions.slice(-10).reverse(),
+        auditLog: state.budgetData.auditLog.filter(entry => entry.targetUserId === user.id).slice(-20).reverse()
+    };
+}
+
+function setRole(actor, userId, role) {
+    const user = requireUser(userId);
+    if (!ROLES.includes(role)) {
+        throw new ApiError(400, `role must be one of ${ROLES.join(', ')}`, { received: role });
+    }
+
+    const previous = roleOf(user);
+    if (previous === role) return { user: summarizeUser(user), changed: false };
+
+    const admins = Object.values(state.budgetData.users).filter(u => roleOf(u) === 'admin');
+    if (previous === 'admin' && admins.length === 1) {
+        throw new ApiError(409, 'Cannot remove the last admin');
+    }
+
+    user.role = role;
+    user.updatedAt = new Date().toISOString();
+    audit(actor, 'role_changed', user.id, { from: previous, to: role });
+    saveData();
+
+    return { user: summarizeUser(user), changed: true };
+}
+
+// Staff accounts can only be suspended by an admin
+function suspendUser(actor, userId, { reason } = {}) {
+    const user = requireUser(userId);
+    const why = requireReason(reason);
+
+    if (user.id === actor.userId) {
+        throw new ApiError(409, 'You cannot suspend your own account');
+    }
+    if (roleOf(user) !== 'user' && actor.role !== 'admin') {
+        throw new ApiError(403, 'Only an admin can suspend a staff account', { role: roleOf(user) });
+    }
+    if (user.suspension) {
+        throw new ApiError(409, 'Account is already suspended', { suspension: user.suspension });
+    }
+
+    user.suspension = { at: new Date().toISOString(), by: actor.userId, reason: why };
+    const sessionsEnded = auth.endSessions(user.id, 'account_suspended');
+    audit(actor, 'user_suspended', user.id, { reason: why, sessionsEnded });
+    saveData();
+
+    return { user: summarizeUser(user), suspension: user.suspension, sessionsEnded };
+}
+
+function reinstateUser(actor, userId, { reason } = {}) {
+    const user = requireUser(userId);
+    if (!user.suspension) {
+        throw new ApiError(409, 'Account is not suspended');
+    }
+    if (roleOf(user) !== 'user' && actor.role !== 'admin') {
+        throw new ApiError(403, 'Only an admin can reinstate a staff account', { role: roleOf(user) });
+    }
+
+    const suspension = user.suspension;
+    user.suspension = null;
+    audit(actor, 'user_reinstated', user.id, { reason: reason ? String(reason) : '', suspendedAt: suspension.at });
+    saveData();
+
+    return { user: summarizeUser(user) };
+}
+
+// A token the owner of an account without a password claims it with (see ./auth)
+function issuePasswordSetup(actor, userId) {
+    const setup = auth.createPasswordSetup(userId);
+    audit(actor, 'password_setup_issued', setup.userId, { expiresAt: setup.expiresAt });
+    saveData();
+    return setup;
+}
+
+// Body { direction: 'debit' | 'credit', amount, currency?, reason, category?, date? }
+function createAdjustment(actor, userId, { direction, amount, currency, reason, category, date, description } = {}) {
+    requireUser(userId);
+    if (!ADJUSTMENT_DIRECTIONS[direction]) {
+        throw new ApiError(400, `direction must be one of ${Object.keys(ADJUSTMENT_DIRECTIONS).join(', ')}`, {
+            received: direction
+        });
+    }
+    const why = requireReason(reason);
+
+    const entry = entries.createEntry(userId, {
+        type: ADJUSTMENT_DIRECTIONS[direction],
+        amount,
+        currency,
+        category,
+        date,
+        method: 'other',
+        description: description || `Adjustment: ${why}`,
+        notes: why
+    }, {
+        adjustment: { direction, reason: why, by: actor.userId, role: actor.role }
+    });
+    audit(actor, 'adjustment_created', userId, {
+        entryId: entry.id,
+        direction,
+        amount: entry.amount,
+        currency: entry.currency,
+        reason: why
+    });
+    saveData();
+
+    return entry;
+}
+
+function listAuditLog({ userId, actorId, action, limit = 100, offset = 0 } = {}) {
+    const matches = state.budgetData.auditLog
+        .filter(entry => (!userId || entry.targetUserId === userId) &&
+            (!actorId || entry.actor.userId === actorId) &&
+            (!action || entry.action === action))
+        .reverse();
+
+    const start = parseInt(offset) || 0;
+    const count = Math.min(parseInt(limit) || 100, 500);
+    return {
+        entries: matches.slice(start, start + count),
+        pagination: {
+            total: matches.length,
+            limit: count,
+            offset: start,
+            hasMore: start + count < matches.length
+        }
+    };
+}
+
+module.exports = {
+    audit,
+    findUsers,
+    getUserOverview,
+    setRole,
+    suspendUser,
+    reinstateUser,
+    issuePasswordSetup,
+    createAdjustment,
+    listAuditLog
+};
@@ -0,0 +1,473 @@
+// 🤖 AI Budget Analyzer Engine
+// Rule-based analysis of a user's spending against their budget. Only money
+// that still counts as spent (see lifecycle.countsTowardSpend) is considered.
+// Sums are taken in minor units of the user's home currency (foreign payments
+// count at their converted amount) and converted to major units for output.
+// Spend is measured within the budget's current period (see ./periods), so a
+// budget starts afresh every cycle; category limits apply to the same period.
+// Split transactions count toward each of their categories (see
+// lifecycle.categoryShares).
+
+const { state } = require('../state');
+const { countsTowardSpend, spendMinor, categoryShares } = require('./lifecycle');
+const {
+    getBudget,
+    periodLimits,
+    periodLimitsMinor,
+    categoryLimitsMinor,
+    periodSettings,
+    currentPeriodSummary
+} = require('./budgets');
+const periods = require('./periods');
+const forecast = require('./forecast');
+const { homeCurrencyOf } = require('./transactions');
+const { DEFAULT_CURRENCY, Money, toMajor, formatMinor } = require('./money');
+
+const EMPTY_USER = { totalSpentMinor: 0, totalSpent: 0, transactions: [] };
+
+// Highest band first; a spending percentage gets the first band it reaches
+const RISK_BANDS = [
+    {
+        from: 100,
+        status: 'over_budget',
+        riskLevel: 'critical',
+        recommendation: '🚨 CRITICAL: Budget exceeded! Immediate action required. Consider emergency savings or expense cuts.'
+    },
+    {
+        from: 90,
+        status: 'critical',
+        riskLevel: 'high',
+        recommendation: '⚠️ HIGH RISK: 90%+ budget used. Stop discretionary spending immediately.'
+    },
+    {
+        from: 75,
+        status: 'warning',
+        riskLevel: 'medium',
+        recommendation: '📊 MEDIUM RISK: 75% budget used. Start reducing expenses and track daily.'
+    },
+    {
+        from: 50,
+        status: 'moderate',
+        riskLevel: 'low',
+        recommendation: '📈 ON TRACK: Good spending pace. Continue monitoring regularly.'
+    },
+    {
+        from: -Infinity,
+        status: 'excellent',
+        riskLevel: 'very_low',
+        recommendation: '✅ EXCELLENT: Well within budget. Consider increasing savings or investments.'
+    }
+];
+
+function assessRisk(percentage) {
+    return RISK_BANDS.find(band => percentage >= band.from);
+}
+
+// Transactions are matched to category limits regardless of case
+function categoryKey(category) {
+    return String(category || 'Other').trim().toLowerCase();
+}
+
+function isThisMonth(date, now = new Date()) {
+    const d = new Date(date);
+    return d.getMonth() === now.getMonth() && d.getFullYear() === now.getFullYear();
+}
+
+function sumSpend(transactions) {
+    return transactions.reduce((sum, t) => sum + spendMinor(t), 0);
+}
+
+class AIBudgetAnalyzer {
+    static analyzeBudget(userId) {
+        const user = state.budgetData.users[userId] || { ...EMPTY_USER, createdAt: new Date().toISOString() };
+        const budget = getBudget(userId);
+        const currency = homeCurrencyOf(user);
+        const period = currentPeriodSummary(userId);
+        const spentMinor = period.spentMinor;
+        const limitMinor = period.effectiveLimitMinor;
+        const projectedMinor = periods.projectSpend(spentMinor, period);
+        const incomeMinor = periods.incomeWithin(user.transactions, period);
+        const unconverted = user.transactions.filter(t => countsTowardSpend(t) && t.homeAmountMinor === null);
+
+        const analysis = {
+            userId,
+            currency,
+            currentSpent: toMajor(spentMinor, currency),
+            budgetLimit: toMajor(limitMinor, currency),
+            remainingBudget: toMajor(limitMinor - spentMinor, currency),
+            spendingPercentage: limitMinor > 0 ? ((spentMinor / limitMinor) * 100).toFixed(2) : 0,
+            formatted: {
+                currentSpent: formatMinor(spentMinor, currency),
+                budgetLimit: formatMinor(limitMinor, currency),
+                remainingBudget: formatMinor(limitMinor - spentMinor, currency)
+            },
+            period: {
+                type: period.period,
+                start: period.start,
+                end: period.end,
+                cycleStartDay: period.cycleStartDay,
+                weekStartDay: period.weekStartDay,
+                rollover: period.rollover,
+                limit: toMajor(period.limitMinor, currency),
+                rolloverIn: toMajor(period.rolloverInMinor, currency),
+                effectiveLimit: toMajor(limitMinor, currency),
+                elapsedDays: period.elapsedDays,
+                remainingDays: period.remainingDays,
+                projectedSpend: toMajor(projectedMinor, currency),
+                projectedOverrun: toMajor(Math.max(0, projectedMinor - limitMinor), currency),
+                income: toMajor(incomeMinor, currency),
+                netCashFlow: toMajor(incomeMinor - spentMinor, currency)
+            },
+            lifetimeSpent: toMajor(user.totalSpentMinor || 0, currency),
+            status: 'good',
+            riskLevel: 'low',
+            aiRecommendation: '',
+            categoryBreakdown: this.getCategoryBreakdown(user.transactions, currency),
+            categoryBudgets: this.analyzeCategories(userId, period),
+            categoryAlerts: [],
+            monthlyProjection: this.getMonthlyProjection(user.transactions, currency),
+            lastUpdated: new Date().toISOString()
+        };
+
+        if (budget.alerts !== false) {
+            analysis.categoryAlerts = this.getCategoryAlerts(userId, analysis.categoryBudgets);
+        }
+
+        // Payments without an FX rate are left out of every total until one is imported
+        if (unconverted.length > 0) {
+            analysis.unconvertedTransactions = unconverted.map(t => ({
+                id: t.id,
+                amount: t.amount,
+                currency: t.currency
+            }));
+        }
+
+        // 🎯 AI Risk Assessment
+        const risk = assessRisk(parseFloat(analysis.spendingPercentage));
+        analysis.status = risk.status;
+        analysis.riskLevel = risk.riskLevel;
+        analysis.aiRecommendation = risk.recommendation;
+
+        return analysis;
+    }
+
+    // Spend per category key within a period, in minor units
+    static getSpendByCategory(transactions, period) {
+        const totals = {};
+        transactions.filter(t => countsTowardSpend(t) && periods.isWithin(t.date, period)).forEach(t => {
+            categoryShares(t).forEach(([category, minor]) => {
+                const key = categoryKey(category);
+                totals[key] = (totals[key] || 0) + minor;
+            });
+        });
+        return totals;
+    }
+
+    // Status, remaining amount and projected overrun at the end of the budget
+    // period for every category the user has a limit for
+    static analyzeCategories(userId, period = currentPeriodSummary(userId)) {
+        const user = state.budgetData.users[userId] || EMPTY_USER;
+        const currency = homeCurrencyOf(user);
+        const spentByCategory = this.getSpendByCategory(user.transactions, period);
+
+        return Object.fromEntries(Object.entries(categoryLimitsMinor(userId)).map(([category, limitMinor]) => {
+            const spentMinor = spentByCategory[categoryKey(category)] || 0;
+            const projectedMinor = periods.projectSpend(spentMinor, period);
+            const overrunMinor = Math.max(0, projectedMinor - limitMinor);
+            const percentage = (spentMinor / limitMinor) * 100;
+            const risk = assessRisk(percentage);
+
+            return [category, {
+                limit: toMajor(limitMinor, currency),
+                spent: toMajor(spentMinor, currency),
+                remaining: toMajor(limitMinor - spentMinor, currency),
+                spendingPercentage: percentage.toFixed(2),
+                status: risk.status,
+                riskLevel: risk.riskLevel,
+                projectedSpend: toMajor(projectedMinor, currency),
+                projectedOverrun: toMajor(overrunMinor, currency),
+                formatted: {
+                    limit: formatMinor(limitMinor, currency),
+                    spent: formatMinor(spentMinor, currency),
+                    remaining: formatMinor(limitMinor - spentMinor, currency),
+                    projectedOverrun: formatMinor(overrunMinor, currency)
+                }
+            }];
+        }));
+    }
+
+    // One alert per category for the highest alert threshold it has reached
+    static getCategoryAlerts(userId, categoryBudgets = this.analyzeCategories(userId)) {
+        const settings = getBudget(userId).categories || {};
+
+        return Object.entries(categoryBudgets).flatMap(([category, analysis]) => {
+            const percentage = parseFloat(analysis.spendingPercentage);
+            const reached = (settings[category]?.alertAt || []).filter(t => percentage >= t);
+            if (reached.length === 0) return [];
+
+            const threshold = Math.max(...reached);
+            return [{
+                category,
+                threshold,
+                spendingPercentage: analysis.spendingPercentage,
+                riskLevel: analysis.riskLevel,
+                message: threshold >= 100
+                    ? `🚨 ${category} budget exceeded: ${analysis.formatted.spent} of ${analysis.formatted.limit} spent this period`
+                    : `⚠️ ${category} budget ${threshold}% used: ${analysis.formatted.remaining} left this period`
+            }];
+        });
+    }
+
+    // Where the budget and the payment's category would stand after a payment
+    // of `amountMinor` (home currency) in the current period. Nothing is recorded.
+    static projectPayment(userId, amountMinor, category) {
+        const user = state.budgetData.users[userId] || EMPTY_USER;
+        const currency = homeCurrencyOf(user);
+        const period = currentPeriodSummary(userId);
+
+        const project = (spentMinor, limitMinor) => {
+            const afterMinor = spentMinor + amountMinor;
+            const percentage = limitMinor > 0 ? (afterMinor / limitMinor) * 100 : 0;
+            const risk = assessRisk(percentage);
+            return {
+                limit: toMajor(limitMinor, currency),
+                spent: toMajor(spentMinor, currency),
+                spentAfter: toMajor(afterMinor, currency),
+                remainingAfter: toMajor(limitMinor - afterMinor, currency),
+                spendingPercentage: percentage.toFixed(2),
+                status: risk.status,
+                riskLevel: risk.riskLevel,
+                exceedsLimit: afterMinor > limitMinor
+            };
+        };
+
+        const overall = project(period.spentMinor, period.effectiveLimitMinor);
+        overall.message = `This purchase puts you at ${Math.round(overall.spendingPercentage)}% of your ${period.period} budget`;
+
+        const limits = categoryLimitsMinor(userId);
+        const name = Object.keys(limits).find(c => categoryKey(c) === categoryKey(category));
+        let categoryProjection = null;
+        if (name) {
+            const spentMinor = this.getSpendByCategory(user.transactions, period)[categoryKey(name)] || 0;
+            categoryProjection = { category: name, ...project(spentMinor, limits[name]) };
+            categoryProjection.message = `This purchase puts you at ${Math.round(categoryProjection.spendingPercentage)}% of ${name}`;
+        }
+
+        return {
+            currency,
+            amount: toMajor(amountMinor, currency),
+            period: { type: period.period, start: period.start, end: period.end },
+            overall,
+            category: categoryProjection
+        };
+    }
+
+    // Alerts for thresholds this transaction pushed its categories across
+    static getCrossedCategoryAlerts(userId, transaction) {
+        const budget = getBudget(userId);
+        const period = currentPeriodSummary(userId);
+        if (budget.alerts === false || !periods.isWithin(transaction.date, period)) return [];
+
+        const user = state.budgetData.users[userId] || EMPTY_USER;
+        const limits = categoryLimitsMinor(userId);
+        const spentByCategory = this.getSpendByCategory(user.transactions, period);
+
+        const crossed = {};
+        categoryShares(transaction).forEach(([name, minor]) => {
+            const key = categoryKey(name);
+            const category = Object.keys(limits).find(c => categoryKey(c) === key);
+            if (!category) return;
+
+            const afterMinor = spentByCategory[key] || 0;
+            const after = (afterMinor / limits[category]) * 100;
+            const before = ((afterMinor - minor) / limits[category]) * 100;
+            if ((budget.categories[category].alertAt || []).some(t => before < t && after >= t)) {
+                crossed[category] = this.analyzeCategories(userId, period)[category];
+            }
+        });
+
+        return Object.keys(crossed).length > 0 ? this.getCategoryAlerts(userId, crossed) : [];
+    }
+
+    static getCategoryBreakdown(transactions, currency = DEFAULT_CURRENCY) {
+        const categories = {};
+        transactions.filter(countsTowardSpend).forEach(transaction => {
+            categoryShares(transaction).forEach(([category, minor]) => {
+                categories[category] = (categories[category] || 0) + minor;
+            });
+        });
+        const total = Object.values(categories).reduce((a, b) => a + b, 0);
+
+        // Sort by amount descending
+        return Object.entries(categories)
+            .sort(([,a], [,b]) => b - a)
+            .reduce((obj, [key, value]) => {
+                obj[key] = {
+                    amount: toMajor(value, currency),
+                    percentage: total > 0 ? ((value / total) * 100).toFixed(2) : 0
+                };
+                return obj;
+            }, {});
+    }
+
+    // The month's projected spend comes from the forecast (see ./forecast):
+    // recurring charges count once each, including those still due, and the
+    // rest follows the user's weekday pattern over recent months
+    static getMonthlyProjection(transactions, currency = DEFAULT_CURRENCY) {
+        const now = new Date();
+        const thisMonthTransactions = transactions.filter(countsTowardSpend).filter(t => isThisMonth(t.date, now));
+        const spentThisMonth = sumSpend(thisMonthTransactions);
+        const dailyAverage = Math.round(spentThisMonth / now.getDate());
+        const monthForecast = forecast.forecastMonth(transactions, currency, { asOf: now });
+
+        return {
+            spentThisMonth: toMajor(spentThisMonth, currency),
+            dailyAverage: toMajor(dailyAverage, currency).toFixed(2),
+            projectedMonthly: toMajor(monthForecast.projectedMinor, currency).toFixed(2),
+            remainingDays: monthForecast.remainingDays,
+            transactionCount: thisMonthTransactions.length,
+            forecast: {
+                model: monthForecast.model,
+                confidence: monthForecast.confidence,
+                low: monthForecast.low,
+                high: monthForecast.high
+            },
+            recurring: {
+                spentThisMonth: monthForecast.components.recurringCharged,
+                expectedRestOfMonth: monthForecast.components.recurringUpcoming,
+                upcoming: monthForecast.upcoming
+            }
+        };
+    }
+
+    static getSpendingTrends(userId, days = 30) {
+        const user = state.budgetData.users[userId] || EMPTY_USER;
+        const currency = homeCurrencyOf(user);
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - days);
+
+        const recentTransactions = user.transactions.filter(t =>
+            countsTowardSpend(t) && new Date(t.date) >= cutoffDate
+        );
+
+        const dailySpending = {};
+        recentTransactions.forEach(t => {
+            const day = new Date(t.date).toISOString().split('T')[0];
+            dailySpending[day] = (dailySpending[day] || 0) + spendMinor(t);
+        });
+        Object.keys(dailySpending).forEach(day => {
+            dailySpending[day] = toMajor(dailySpending[day], currency);
+        });
+
+        const totalMinor = sumSpend(recentTransactions);
+        return {
+            currency,
+            totalTransactions: recentTransactions.length,
+            totalAmount: toMajor(totalMinor, currency),
+            averageTransaction: recentTransactions.length > 0 ?
+                toMajor(Math.round(totalMinor / recentTransactions.length), currency).toFixed(2) : 0,
+            dailySpending,
+            period: `${days} days`,
+            trends: recentTransactions.slice(-10).reverse()
+        };
+    }
+
+    // Spend today, this week and this month against the user's period limits;
+    // weeks and months follow the budget's weekStartDay and cycleStartDay
+    static analyzePeriods(userId, category = 'general') {
+        const user = state.budgetData.users[userId] || EMPTY_USER;
+        const currency = homeCurrencyOf(user);
+        const limits = periodLimitsMinor(userId);
+        const settings = periodSettings(getBudget(userId));
+        const spendIn = period => periods.spendWithin(user.transactions, periods.periodContaining({ ...settings, period }));
+
+        const daily = spendIn('daily');
+        const weekly = spendIn('weekly');
+        const monthly = spendIn('monthly');
+
+        const analysis = {
+            currency,
+            currentSpending: {
+                daily: toMajor(daily, currency),
+                weekly: toMajor(weekly, currency),
+                monthly: toMajor(monthly, currency)
+            },
+            budgetLimits: periodLimits(userId),
+            percentageUsed: {
+                daily: (daily / limits.daily) * 100,
+                weekly: (weekly / limits.weekly) * 100,
+                monthly: (monthly / limits.monthly) * 100
+            },
+            alerts: [],
+            recommendations: []
+        };
+
+        if (analysis.percentageUsed.daily > 80) {
+            analysis.alerts.push('⚠️ Daily budget almost exceeded!');
+            analysis.recommendations.push('Consider postponing non-essential purchases today');
+        }
+
+        if (analysis.percentageUsed.weekly > 70) {
+            analysis.alerts.push('📊 Weekly spending is high');
+            analysis.recommendations.push('Focus on essential purchases for the rest of the week');
+        }
+
+        if (analysis.percentageUsed.monthly > 60) {
+            analysis.alerts.push('📈 Monthly spending trending high');
+            analysis.recommendations.push('Review your spending patterns and consider budget adjustments');
+        }
+
+        if (String(category).toLowerCase() === 'food' && daily > limits.daily * 0.5) {
+            analysis.recommendations.push('🍽️ Consider cooking at home to save on food expenses');
+        }
+
+        return analysis;
+    }
+
+    // Spend per day for the last week, oldest last
+    static getWeeklyTrend(userId) {
+        const user = state.budgetData.users[userId] || EMPTY_USER;
+        const currency = homeCurrencyOf(user);
+        const transactions = user.transactions.filter(countsTowardSpend);
+
+        return Array.from({ length: 7 }, (_, i) => {
+            const date = new Date();
+            date.setDate(date.getDate() - i);
+            const day = date.toDateString();
+            return {
+                date: day,
+                amount: toMajor(sumSpend(transactions.filter(t => new Date(t.date).toDateString() === day)), currency)
+            };
+        });
+    }
+
+    static getCategoryTotals(userId) {
+        const user = state.budgetData.users[userId] || EMPTY_USER;
+        const currency = homeCurrencyOf(user);
+        const totals = {};
+        user.transactions.filter(countsTowardSpend).forEach(t => {
+            categoryShares(t).forEach(([category, minor]) => {
+                totals[category] = (totals[category] || 0) + minor;
+            });
+        });
+        Object.keys(totals).forEach(category => {
+            totals[category] = toMajor(totals[category], currency);
+        });
+        return totals;
+    }
+
+    static findSavingsOpportunities(userId) {
+        const weeklyLimit = periodLimits(userId).weekly;
+        const currency = homeCurrencyOf(state.budgetData.users[userId] || EMPTY_USER);
+
+        return Object.entries(this.getCategoryTotals(userId))
+            .filter(([, amount]) => amount > weeklyLimit * 0.3)
+            .map(([category, amount]) => ({
+                category,
+                currentSpend: amount,
+                suggestion: `Consider reducing ${category} expenses by 20% to save ${Money.fromMajor(amount, currency).multiply(0.2).format()}`
+            }));
+    }
+}
+
+module.exports = { AIBudgetAnalyzer, categoryKey };
@@ -0,0 +1,290 @@
+// 🕵️ Spending anomalies
+// Statistical checks of each new transaction against the user's own history.
+// They catch mistakes and are the first sign of a stolen card:
+//
+//   large_transaction   far above what the user usually spends in the
+//                       category (robust z-score on the median and MAD)
+//   category_spike      the category's spend in the last 7 days far above
+//                       its weekly average over the 8 weeks before
+//   odd_hour_burst      several charges within an hour at a time of night
+//                       the user is rarely active
+//   duplicate_charge    the same amount to the same payee minutes apart
+//
+// Only transactions before the one being checked form the baseline, so a
+// scan over history flags the same things a live check would have. Alerts
+// are kept on the user as `anomalyAlerts` with an explanation of why each
+// was raised, until the user resolves them as expected or as fraud.
+
+const crypto = require('crypto');
+const { saveData } = require('../state');
+const { ApiError } = require('../errors');
+const { countsTowardSpend, spendMinor } = require('./lifecycle');
+const { formatMinor } = require('./money');
+const { requireUser } = require('./users');
+const { homeCurrencyOf } = require('./transactions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_CATEGORY_HISTORY = 5;
+const LARGE_Z_SCORE = 3.5;
+const LARGE_MIN_MULTIPLE = 2;
+const SPIKE_WINDOW_DAYS = 7;
+const SPIKE_BASELINE_WEEKS = 8;
+const SPIKE_MIN_ACTIVE_WEEKS = 3;
+const SPIKE_Z_SCORE = 3;
+const SPIKE_MIN_MULTIPLE = 2;
+const ODD_HOURS = { from: 0, to: 5 }; // [from, to) in server time
+const ODD_HOUR_SHARE = 0.05; // Rarely active: under 5% of past charges at those hours
+const BURST_WINDOW_MS = 60 * 60 * 1000;
+const BURST_MIN_CHARGES = 3;
+const DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+const RESOLUTIONS = ['expected', 'fraud'];
+const MAX_ALERTS = 200;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function payeeKey(transaction) {
+    return String(transaction.merchant || transaction.vpa || transaction.description || '').trim().toLowerCase();
+}
+
+function isOddHour(date) {
+    const hour = new Date(date).getHours();
+    return hour >= ODD_HOURS.from && hour < ODD_HOURS.to;
+}
+
+function alertId(type, key) {
+    return `anomaly_${crypto.createHash('sha1').update(`${type}|${key}`).digest('hex').slice(0, 16)}`;
+}
+
+function detectLargeTransaction(transaction, history, currency) {
+    const category = transaction.category || 'Other';
+    const amounts = history.filter(t => (t.category || 'Other') === category).map(spendMinor);
+    if (amounts.length < MIN_CATEGORY_HISTORY) return null;
+
+    const amount = spendMinor(transaction);
+    const typical = median(amounts);
+    const mad = median(amounts.map(a => Math.abs(a - typical)));
+    // A MAD of 0 means nearly every charge was the same amount
+    const zScore = mad > 0 ? 0.6745 * (amount - typical) / mad : (amount > typical ? Infinity : 0);
+    const multiple = typical > 0 ? amount / typical : Infinity;
+    if (zScore < LARGE_Z_SCORE || multiple < LARGE_MIN_MULTIPLE) return null;
+
+    return {
+        type: 'large_transaction',
+        key: transaction.id,
+        severity: multiple >= 5 ? 'high' : 'medium',
+        transactionIds: [transaction.id],
+        explanation: `${formatMinor(amount, currency)} is ${multiple.toFixed(1)}× the typical ${category} transaction of ` +
+            `${formatMinor(Math.round(typical), currency)} (${amounts.length} earlier ${category} transactions)`,
+        details: {
+            category,
+            amount: formatMinor(amount, currency),
+            typicalAmount: formatMinor(Math.round(typical), currency),
+            multiple: Number(multiple.toFixed(2)),
+            zScore: Number.isFinite(zScore) ? Number(zScore.toFixed(2)) : null,
+            sampleSize: amounts.length
+        }
+    };
+}
+
+function detectCategorySpike(transaction, history, currency) {
+    const category = transaction.category || 'Other';
+    const at = new Date(transaction.date).getTime();
+    const windowStart = at - SPIKE_WINDOW_DAYS * DAY_MS;
+    const inCategory = [...history, transaction].filter(t => (t.category || 'Other') === category);
+
+    const recentMinor = inCategory
+        .filter(t => new Date(t.date).getTime() > windowStart)
+        .reduce((sum, t) => sum + spendMinor(t), 0);
+
+    const weekly = Array.from({ length: SPIKE_BASELINE_WEEKS }, (_, week) => {
+        const end = windowStart - week * SPIKE_WINDOW_DAYS * DAY_MS;
+        const start = end - SPIKE_WINDOW_DAYS * DAY_MS;
+        return inCategory
+            .filter(t => { const time = new Date(t.date).getTime(); return time > start && time <= end; })
+            .reduce((sum, t) => sum + spendMinor(t), 0);
+    });
+    if (weekly.filter(total => total > 0).length < SPIKE_MIN_ACTIVE_WEEKS) return null;
+
+    const mean = weekly.reduce((a, b) => a + b, 0) / weekly.length;
+    const deviation = Math.sqrt(weekly.reduce((sum, total) => sum + (total - mean) ** 2, 0) / weekly.length);
+    const threshold = Math.max(mean + SPIKE_Z_SCORE * deviation, mean * SPIKE_MIN_MULTIPLE);
+    if (recentMinor <= threshold) return null;
+
+    const multiple = recentMinor / mean;
+    return {
+        type: 'category_spike',
+        // One alert per category per week
+        key: `${category}|${Math.floor(at / (SPIKE_WINDOW_DAYS * DAY_MS))}`,
+        severity: multiple >= 3 ? 'high' : 'medium',
+        transactionIds: [transaction.id],
+        explanation: `${category} spending in the last ${SPIKE_WINDOW_DAYS} days is ${formatMinor(recentMinor, currency)}, ` +
+            `${multiple.toFixed(1)}× the weekly average of ${formatMinor(Math.round(mean), currency)} over the previous ${SPIKE_BASELINE_WEEKS} weeks`,
+        details: {
+            category,
+            recentSpend: formatMinor(recentMinor, currency),
+            weeklyAverage: formatMinor(Math.round(mean), currency),
+            weeklyStandardDeviation: formatMinor(Math.round(deviation), currency),
+            multiple: Number(multiple.toFixed(2))
+        }
+    };
+}
+
+function detectOddHourBurst(transaction, history, currency) {
+    if (!isOddHour(transaction.date)) return null;
+
+    const at = new Date(transaction.date).getTime();
+    const burst = [...history, transaction].filter(t => {
+        const time = new Date(t.date).getTime();
+        return time > at - BURST_WINDOW_MS && time <= at && isOddHour(t.date);
+    });
+    if (burst.length < BURST_MIN_CHARGES) return null;
+
+    const earlier = history.filter(t => new Date(t.date).getTime() <= at - BURST_WINDOW_MS);
+    const oddShare = earlier.length > 0 ? earlier.filter(t => isOddHour(t.date)).length / earlier.length : 0;
+    if (oddShare >= ODD_HOUR_SHARE) return null;
+
+    const totalMinor = burst.reduce((sum, t) => sum + spendMinor(t), 0);
+    return {
+        type: 'odd_hour_burst',
+        key: burst[0].id,
+        severity: burst.length >= 5 ? 'high' : 'medium',
+        transactionIds: burst.map(t => t.id),
+        explanation: `${burst.length} charges totalling ${formatMinor(totalMinor, currency)} within an hour between ` +
+            `${String(ODD_HOURS.from).padStart(2, '0')}:00 and ${String(ODD_HOURS.to).padStart(2, '0')}:00, ` +
+            `when only ${(oddShare * 100).toFixed(1)}% of your earlier charges happened`,
+        details: {
+            charges: burst.length,
+            total: formatMinor(totalMinor, currency),
+            usualShareAtThisHour: Number(oddShare.toFixed(3))
+        }
+    };
+}
+
+function detectDuplicateCharge(transaction, history, currency) {
+    const at = new Date(transaction.date).getTime();
+    const payee = payeeKey(transaction);
+    const amount = spendMinor(transaction);
+
+    const original = history.find(t =>
+        t.id !== transaction.id &&
+        spendMinor(t) === amount &&
+        payeeKey(t) === payee &&
+        at - new Date(t.date).getTime() >= 0 &&
+        at - new Date(t.date).getTime() <= DUPLICATE_WINDOW_MS);
+    if (!original) return null;
+
+    const minutes = Math.round((at - new Date(original.date).getTime()) / 60000);
+    return {
+        type: 'duplicate_charge',
+        key: [original.id, transaction.id].sort().join('|'),
+        severity: 'medium',
+        transactionIds: [original.id, transaction.id],
+        explanation: `Two charges of ${formatMinor(amount, currency)} to ${transaction.merchant || transaction.description || 'the same payee'} ` +
+            `${minutes === 0 ? 'less than a minute' : `${minutes} minute${minutes === 1 ? '' : 's'}`} apart`,
+        details: {
+            amount: formatMinor(amount, currency),
+            payee: transaction.merchant || transaction.description || null,
+            minutesApart: minutes
+        }
+    };
+}
+
+const DETECTORS = [detectLargeTransaction, detectCategorySpike, detectOddHourBurst, detectDuplicateCharge];
+
+// Anomalies a transaction shows against the user's earlier spend
+function detectForTransaction(user, transaction) {
+    if (!countsTowardSpend(transaction)) return [];
+
+    const at = new Date(transaction.date);
+    const history = user.transactions.filter(t =>
+        t !== transaction && countsTowardSpend(t) && new Date(t.date) <= at);
+    const currency = homeCurrencyOf(user);
+
+    return DETECTORS
+        .map(detect => detect(transaction, history, currency))
+        .filter(Boolean)
+        .map(({ key, ...anomaly }) => ({ id: alertId(anomaly.type, key), ...anomaly }));
+}
+
+// Keeps new anomalies as open alerts; returns the ones not seen before
+function recordAlerts(user, anomalies) {
+    user.anomalyAlerts = user.anomalyAlerts || [];
+    const known = new Set(user.anomalyAlerts.map(alert => alert.id));
+    const fresh = anomalies.filter(anomaly => !known.has(anomaly.id));
+
+    const now = new Date().toISOString();
+    fresh.forEach(anomaly => {
+        user.anomalyAlerts.push({ ...anomaly, status: 'open', detectedAt: now });
+        console.log(anomaly.severity === 'high' ? '🚨 Anomaly:' : '🕵️ Anomaly:', user.id, anomaly.explanation);
+    });
+    user.anomalyAlerts = user.anomalyAlerts.slice(-MAX_ALERTS);
+    return fresh;
+}
+
+// Checks a transaction that was just recorded; the caller saves
+function checkTransaction(userId, transaction) {
+    const user = requireUser(userId);
+    return recordAlerts(user, detectForTransaction(user, transaction));
+}
+
+// Alerts that involve a transaction
+function alertsForTransaction(userId, transactionId) {
+    const user = requireUser(userId);
+    return (user.anomalyAlerts || []).filter(alert => alert.transactionIds.includes(transactionId));
+}
+
+function listAlerts(userId, { status } = {}) {
+    const user = requireUser(userId);
+    return (user.anomalyAlerts || [])
+        .filter(alert => !status || status === 'all' || alert.status === status)
+        .sort((a, b) => new Date(b.detectedAt) - new Date(a.detectedAt));
+}
+
+// Runs the checks over the last `days` of history and records what is new
+function scanHistory(userId, { days = 90 } = {}) {
+    const user = requireUser(userId);
+    const count = Math.min(Math.max(parseInt(days) || 90, 1), 730);
+    const since = Date.now() - count * DAY_MS;
+
+    const candidates = user.transactions.filter(t => countsTowardSpend(t) && new Date(t.date).getTime() >= since);
+    const fresh = recordAlerts(user, candidates.flatMap(t => detectForTransaction(user, t)));
+    if (fresh.length > 0) saveData();
+
+    return { days: count, scanned: candidates.length, newAlerts: fresh };
+}
+
+function resolveAlert(userId, alertIdToResolve, { resolution, note } = {}) {
+    const user = requireUser(userId);
+    const alert = (user.anomalyAlerts || []).find(a => a.id === alertIdToResolve);
+    if (!alert) {
+        throw new ApiError(404, 'Alert not found', { alertId: alertIdToResolve });
+    }
+    if (!RESOLUTIONS.includes(resolution)) {
+        throw new ApiError(400, `resolution must be one of ${RESOLUTIONS.join(', ')}`, { received: resolution });
+    }
+
+    Object.assign(alert, {
+        status: 'resolved',
+        resolution,
+        ...(typeof note === 'string' && { note: note.slice(0, 500) }),
+        resolvedAt: new Date().toISOString()
+    });
+    saveData();
+
+    if (resolution === 'fraud') {
+        console.log('🚨 Anomaly confirmed as fraud:', { userId, alertId: alert.id, transactionIds: alert.transactionIds });
+    }
+    return alert;
+}
+
+module.exports = {
+    checkTransaction,
+    alertsForTransaction,
+    listAlerts,
+    scanHistory,
+    resolveAlert
+};
@@ -0,0 +1,417 @@
+// 🔐 Accounts and sessions
+// Passwords are stored as scrypt hashes in `credentials`, keyed by user id.
+// Logging in opens a session and returns two tokens:
+//
+//   access token    a JWT (HS256) naming the user and the session, valid for
+//                   `accessTokenTtl` seconds; sent as `Authorization: Bearer`
+//   refresh token   an opaque random string, stored only as its SHA-256, that
+//                   buys a new pair of tokens once. Presenting one of the
+//                   session's used refresh tokens again ends the session,
+//                   since someone else must hold a copy.
+//
+// Logging out or changing the password ends sessions at once: access tokens
+// are checked against their session on every request. `authConfig` is the
+// `auth` block of the runtime configuration (see ../config); an account that
+// signs up with an email in its `adminEmails` gets the admin role. Emails are
+// not verified, so that is the only time the list counts: logging in does not
+// grant the role and no account can change its email to one on the list.
+//
+// Users created before accounts existed have no password. An admin issues a
+// one-time setup token for one (see ./admin), which its owner trades for a
+// password and a session with claimAccount().
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { state, saveData } = require('../state');
+const { ApiError } = require('../errors');
+const users = require('./users');
+const { roleOf, permissionsOf } = require('./roles');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const REMEMBERED_REFRESH_TOKENS = 20; // Used tokens kept per session to spot reuse
+const PASSWORD_SETUP_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Compared against when the account does not exist, so a login takes as
+// long for unknown users as for a wrong password
+const DUMMY_HASH = `scrypt$16384$8$1$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(KEY_LENGTH).toString('base64')}`;
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Passwords
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt') return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new ApiError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+function findCredentials(identifier) {
+    const { credentials } = state.budgetData;
+    if (credentials[identifier]) return credentials[identifier];
+
+    const email = users.normalizeEmail(identifier);
+    return email ? Object.values(credentials).find(c => c.email === email) || null : null;
+}
+
+// JWT
+
+function signAccessToken(session, authConfig) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        sub: session.userId,
+        sid: session.id,
+        typ: 'access',
+        iat: now,
+        exp: now + authConfig.accessTokenTtl
+    }));
+    const signature = crypto.createHmac('sha256', authConfig.jwtSecret).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+// The claims of a valid access token whose session is still open; throws 401
+function verifyAccessToken(token, authConfig) {
+    const [header, payload, signature] = String(token).split('.');
+    if (!header || !payload || !signature) {
+        throw new ApiError(401, 'Malformed access token');
+    }
+
+    const expected = crypto.createHmac('sha256', authConfig.jwtSecret).update(`${header}.${payload}`).digest('base64url');
+    let claims;
+    try {
+        if (JSON.parse(Buffer.from(header, 'base64url')).alg !== 'HS256') throw new Error('alg');
+        claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    } catch (error) {
+        throw new ApiError(401, 'Malformed access token');
+    }
+    if (!safeEqual(signature, expected) || claims.typ !== 'access') {
+        throw new ApiError(401, 'Invalid access token');
+    }
+    if (claims.exp * 1000 <= Date.now()) {
+        throw new ApiError(401, 'Access token expired', { code: 'token_expired' });
+    }
+
+    const session = state.budgetData.sessions[claims.sid];
+    if (!session || session.revokedAt || session.userId !== claims.sub) {
+        throw new ApiError(401, 'Session has ended');
+    }
+    return claims;
+}
+
+// Sessions
+
+function pruneSessions() {
+    const now = new Date().toISOString();
+    Object.entries(state.budgetData.sessions).forEach(([id, session]) => {
+        if (session.expiresAt < now) delete state.budgetData.sessions[id];
+    });
+}
+
+// Gives the session a fresh refresh token and extends it
+function rotate(session, authConfig) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    if (session.refreshTokenHash) {
+        session.usedTokenHashes = [session.refreshTokenHash, ...session.usedTokenHashes].slice(0, REMEMBERED_REFRESH_TOKENS);
+    }
+    session.refreshTokenHash = sha256(refreshToken);
+    session.refreshedAt = now.toISOString();
+    session.expiresAt = new Date(now.getTime() + authConfig.refreshTokenTtl * 1000).toISOString();
+    saveData();
+
+    return {
+        tokenType: 'Bearer',
+        accessToken: signAccessToken(session, authConfig),
+        expiresIn: authConfig.accessTokenTtl,
+        refreshToken,
+        refreshExpiresAt: session.expiresAt,
+        sessionId: session.id
+    };
+}
+
+function openSession(userId, authConfig, { userAgent = '' } = {}) {
+    pruneSessions();
+
+    const session = {
+        id: `ses_${crypto.randomBytes(12).toString('hex')}`,
+        userId,
+        refreshTokenHash: null,
+        usedTokenHashes: [],
+        userAgent: String(userAgent).slice(0, 200),
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+    };
+    state.budgetData.sessions[session.id] = session;
+    return rotate(session, authConfig);
+}
+
+function revokeSessions(predicate, reason) {
+    const now = new Date().toISOString();
+    let count = 0;
+    Object.values(state.budgetData.sessions).forEach(session => {
+        if (!session.revokedAt && predicate(session)) {
+            Object.assign(session, { revokedAt: now, revokedReason: reason });
+            count++;
+        }
+    });
+    if (count > 0) saveData();
+    return count;
+}
+
+function endSessions(userId, reason) {
+    return revokeSessions(s => s.userId === userId, reason);
+}
+
+function publicUser(user) {
+    return {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        homeCurrency: user.homeCurrency,
+        role: roleOf(user)
+    };
+}
+
+function grantBootstrapAdmin(user, email, authConfig) {
+    if (roleOf(user) !== 'admin' && authConfig.adminEmails.includes(email)) {
+        user.role = 'admin';
+        console.log('🛡️ Admin role granted from ADMIN_EMAILS:', user.id);
+    }
+}
+
+async function signup({ userId, email, password, name, initialBudget, homeCurrency } = {}, authConfig, meta = {}) {
+    const normalizedEmail = users.parseEmail(email);
+    validatePassword(password);
+    const id = userId || `user_${crypto.randomBytes(8).toString('hex')}`;
+    const requireFree = () => {
+        if (findCredentials(normalizedEmail)) {
+            throw new ApiError(409, 'An account with this email already exists');
+        }
+        if (users.getUser(id)) {
+            throw new ApiError(409, 'User already exists', { userId: id });
+        }
+    };
+    requireFree();
+
+    // Hashed first: createUser saves, and a user must not exist without a password.
+    // Checked again after, since another signup may have finished meanwhile.
+    const passwordHash = await hashPassword(password);
+    requireFree();
+    const { user, budget } = users.createUser({
+        userId: id,
+        name,
+        email: normalizedEmail,
+        homeCurrency,
+        ...(initialBudget !== undefined && { initialBudget })
+    });
+
+    state.budgetData.credentials[id] = {
+        userId: id,
+        email: normalizedEmail,
+        passwordHash,
+        createdAt: new Date().toISOString(),
+        passwordChangedAt: new Date().toISOString()
+    };
+    grantBootstrapAdmin(user, normalizedEmail, authConfig);
+    console.log('🔐 Account created:', id);
+
+    return { user: publicUser(user), budget, ...openSession(id, authConfig, meta) };
+}
+
+// `identifier` is the email or the user id
+async function login({ identifier, email, userId, password } = {}, authConfig, meta = {}) {
+    const credentials = findCredentials(identifier || email || userId || '');
+    const matches = await verifyPassword(String(password || ''), credentials ? credentials.passwordHash : DUMMY_HASH);
+    if (!credentials || !matches) {
+        throw new ApiError(401, 'Invalid email or password');
+    }
+
+    const user = users.requireUser(credentials.userId);
+    if (user.suspension) {
+        throw new ApiError(403, 'Account suspended', { code: 'account_suspended' });
+    }
+    users.touchUser(user);
+    console.log('🔐 Login:', user.id);
+
+    return { user: publicUser(user), ...openSession(user.id, authConfig, meta) };
+}
+
+function refresh(refreshToken, authConfig) {
+    if (!refreshToken) {
+        throw new ApiError(400, 'refreshToken is required');
+    }
+
+    const hash = sha256(String(refreshToken));
+    const sessions = Object.values(state.budgetData.sessions);
+    const session = sessions.find(s => s.refreshTokenHash === hash);
+
+    if (!session) {
+        const reused = sessions.find(s => s.usedTokenHashes.includes(hash));
+        if (reused) {
+            revokeSessions(s => s.id === reused.id, 'refresh_token_reused');
+            console.warn('⚠️ Refresh token reused, session ended:', reused.userId, reused.id);
+        }
+        throw new ApiError(401, 'Invalid refresh token');
+    }
+    if (session.revokedAt || new Date(session.expiresAt) <= new Date()) {
+        throw new ApiError(401, 'Invalid refresh token');
+    }
+
+    return { userId: session.userId, ...rotate(session, authConfig) };
+}
+
+function logout(sessionId, { everywhere = false } = {}) {
+    const session = state.budgetData.sessions[sessionId];
+    if (!session) return { sessionsEnded: 0 };
+
+    const sessionsEnded = everywhere
+        ? revokeSessions(s => s.userId === session.userId, 'logout')
+        : revokeSessions(s => s.id === session.id, 'logout');
+    return { sessionsEnded };
+}
+
+// Ends every other session of the user
+async function changePassword(userId, sessionId, { currentPassword, newPassword } = {}) {
+    const credentials = state.budgetData.credentials[userId];
+    if (!credentials || !(await verifyPassword(String(currentPassword || ''), credentials.passwordHash))) {
+        throw new ApiError(401, 'Current password is incorrect');
+    }
+    validatePassword(newPassword);
+
+    credentials.passwordHash = await hashPassword(newPassword);
+    credentials.passwordChangedAt = new Date().toISOString();
+    const sessionsEnded = revokeSessions(s => s.userId === userId && s.id !== sessionId, 'password_changed');
+    saveData();
+
+    return { sessionsEnded };
+}
+
+// Replaces any earlier setup token of the user
+function createPasswordSetup(userId) {
+    const user = users.requireUser(userId);
+    if (state.budgetData.credentials[user.id]) {
+        throw new ApiError(409, 'This account already has a password', { userId });
+    }
+
+    const now = Date.now();
+    Object.entries(state.budgetData.passwordSetups).forEach(([id, setup]) => {
+        if (new Date(setup.expiresAt).getTime() <= now) delete state.budgetData.passwordSetups[id];
+    });
+
+    const setupToken = crypto.randomBytes(32).toString('base64url');
+    const setup = {
+        userId: user.id,
+        tokenHash: sha256(setupToken),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + PASSWORD_SETUP_TTL_MS).toISOString()
+    };
+    state.budgetData.passwordSetups[user.id] = setup;
+    return { userId: user.id, setupToken, expiresAt: setup.expiresAt };
+}
+
+// Sets the first password of an account with a setup token. `email` becomes
+// the sign-in email and defaults to the one the user already has.
+async function claimAccount({ setupToken, email, password } = {}, authConfig, meta = {}) {
+    const hash = sha256(String(setupToken || ''));
+    const setup = Object.values(state.budgetData.passwordSetups).find(s => s.tokenHash === hash);
+    if (!setup || new Date(setup.expiresAt) <= new Date()) {
+        throw new ApiError(401, 'Invalid or expired setup token');
+    }
+
+    const user = users.requireUser(setup.userId);
+    if (user.suspension) {
+        throw new ApiError(403, 'Account suspended', { code: 'account_suspended' });
+    }
+    const normalizedEmail = users.parseEmail(email === undefined ? user.email : email);
+    if (authConfig.adminEmails.includes(normalizedEmail)) {
+        throw new ApiError(403, 'This email is reserved for an admin account');
+    }
+    validatePassword(password);
+    const passwordHash = await hashPassword(password);
+
+    // Checked again after the hash: another claim or signup may have finished meanwhile
+    if (state.budgetData.passwordSetups[user.id] !== setup || state.budgetData.credentials[user.id]) {
+        throw new ApiError(401, 'Invalid or expired setup token');
+    }
+    if (findCredentials(normalizedEmail)) {
+        throw new ApiError(409, 'An account with this email already exists');
+    }
+
+    delete state.budgetData.passwordSetups[user.id];
+    user.email = normalizedEmail;
+    state.budgetData.credentials[user.id] = {
+        userId: user.id,
+        email: normalizedEmail,
+        passwordHash,
+        createdAt: new Date().toISOString(),
+        passwordChangedAt: new Date().toISOString()
+    };
+    console.log('🔐 Account claimed:', user.id);
+
+    return { user: publicUser(user), ...openSession(user.id, authConfig, meta) };
+}
+
+function getAccount(userId) {
+    const user = users.requireUser(userId);
+    const now = new Date().toISOString();
+    return {
+        user: publicUser(user),
+        permissions: permissionsOf(roleOf(user)),
+        hasPassword: Boolean(state.budgetData.credentials[userId]),
+        activeSessions: Object.values(state.budgetData.sessions)
+            .filter(s => s.userId === userId && !s.revokedAt && s.expiresAt > now)
+            .map(({ id, userAgent, createdAt, expiresAt }) => ({ id, userAgent, createdAt, expiresAt }))
+    };
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    verifyAccessToken,
+    signup,
+    login,
+    refresh,
+    logout,
+    endSessions,
+    changePassword,
+    createPasswordSetup,
+    claimAccount,
+    getAccount
+};
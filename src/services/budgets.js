@@ -0,0 +1,467 @@
+// 🎯 Budgets
+// Every user has a monthly limit and may add daily, weekly and quarterly
+// limits. Limits a user never set fall back to the platform defaults in
+// budgetData.budgetDefaults and, failing those, to a share of the monthly limit. Limits are stored as
+// `<period>Minor` integers next to their major-unit value, in the user's home
+// currency. The platform defaults are in the platform currency (INR) and are
+// converted at the latest rate for users with another home currency.
+//
+// A budget runs on one of the cycles in ./periods (`period`, `cycleStartDay`,
+// `weekStartDay`) and is measured against that period's limit. When a period
+// ends it is closed into `periodHistory`; with `rollover` set, what was left
+// ('unspent'), what was overspent ('overspent') or both carry into the next
+// period's limit. Closed periods are snapshots and are not recomputed.
+//
+// Category limits apply per budget period and live in budget.categories as
+// `{ Food: { limitMinor, limit, alertAt, guard } }`; `alertAt` lists the
+// percentages of the limit at which the user is alerted.
+//
+// `guard` is the policy ./guard applies before an order that would overrun
+// the budget ('allow', 'warn', 'confirm' or 'block'); a category may set its
+// own policy for orders that would overrun that category. 'confirm' and
+// 'block' are there to hold the user back, so once one is set only a caller
+// allowed to (`mayChangeGuard`, see auth.canLiftGuard) can loosen it: change
+// the policy, raise a limit it watches, drop a category limit or move the
+// budget's cycle or rollover.
+
+const { state, saveData } = require('../state');
+const { ApiError } = require('../errors');
+const { DEFAULT_CURRENCY, Money, MoneyError, toMajor } = require('./money');
+const fx = require('./fx');
+const periods = require('./periods');
+
+const DEFAULT_MONTHLY_BUDGET = 10000;
+const PERIODS = periods.PERIOD_TYPES;
+const DEFAULT_CATEGORY_ALERTS = [75, 90, 100];
+const ROLLOVER_MODES = ['none', 'unspent', 'overspent', 'both'];
+const GUARD_POLICIES = ['allow', 'warn', 'confirm', 'block'];
+const PERIOD_DEFAULTS = { period: 'monthly', cycleStartDay: 1, weekStartDay: 0, rollover: 'none' };
+const MAX_PERIOD_HISTORY = 120;
+
+// A positive limit in major units, or an ApiError naming the field
+function parseLimit(value, name, currency) {
+    try {
+        const money = Money.fromMajor(value, currency);
+        if (money.isPositive()) return money;
+    } catch (error) {
+        if (!(error instanceof MoneyError)) throw error;
+    }
+    throw new ApiError(400, `Valid ${name} limit is required`, { received: value });
+}
+
+function parseAlertThresholds(value, category) {
+    if (value === undefined) return DEFAULT_CATEGORY_ALERTS;
+
+    const thresholds = Array.isArray(value) ? value.map(Number) : [];
+    if (thresholds.length === 0 || thresholds.some(t => !Number.isFinite(t) || t <= 0)) {
+        throw new ApiError(400, `alertAt for ${category} must be a list of positive percentages`, {
+            received: value
+        });
+    }
+    return [...new Set(thresholds)].sort((a, b) => a - b);
+}
+
+function parseGuardPolicy(value, name) {
+    if (!GUARD_POLICIES.includes(value)) {
+        throw new ApiError(400, `${name} must be one of ${GUARD_POLICIES.join(', ')}`, { received: value });
+    }
+    return value;
+}
+
+// `{ Food: 3000 }` or `{ Food: { limit: 3000, alertAt: [80, 100], guard: 'block' } }`
+function parseCategoryLimits(categories, currency) {
+    if (typeof categories !== 'object' || Array.isArray(categories)) {
+        throw new ApiError(400, 'categories must be an object of category limits', { received: categories });
+    }
+
+    const parsed = {};
+    Object.entries(categories).forEach(([category, value]) => {
+        const name = category.trim();
+        if (!name) {
+            throw new ApiError(400, 'Category names cannot be empty');
+        }
+
+        const settings = value !== null && typeof value === 'object' ? value : { limit: value };
+        parsed[name] = {
+            ...parseLimit(settings.limit, name, currency).toFields('limit'),
+            alertAt: parseAlertThresholds(settings.alertAt, name),
+            ...(settings.guard !== undefined && { guard: parseGuardPolicy(settings.guard, `guard for ${name}`) })
+        };
+    });
+    return parsed;
+}
+
+function parseInteger(value, name, min, max) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new ApiError(400, `${name} must be a whole number from ${min} to ${max}`, { received: value });
+    }
+    return number;
+}
+
+// Period settings from a request, on top of the budget's current ones
+function parsePeriodSettings({ period, cycleStartDay, weekStartDay, rollover }, previous = {}) {
+    const settings = { ...PERIOD_DEFAULTS };
+    Object.keys(PERIOD_DEFAULTS).forEach(key => {
+        if (previous[key] !== undefined) settings[key] = previous[key];
+    });
+
+    if (period !== undefined) {
+        if (!PERIODS.includes(period)) {
+            throw new ApiError(400, `period must be one of ${PERIODS.join(', ')}`, { received: period });
+        }
+        settings.period = period;
+    }
+    if (cycleStartDay !== undefined) settings.cycleStartDay = parseInteger(cycleStartDay, 'cycleStartDay', 1, 31);
+    if (weekStartDay !== undefined) settings.weekStartDay = parseInteger(weekStartDay, 'weekStartDay', 0, 6);
+    if (rollover !== undefined) {
+        if (!ROLLOVER_MODES.includes(rollover)) {
+            throw new ApiError(400, `rollover must be one of ${ROLLOVER_MODES.join(', ')}`, { received: rollover });
+        }
+        settings.rollover = rollover;
+    }
+
+    return settings;
+}
+
+function budgetCurrency(userId) {
+    return state.budgetData.users[userId]?.homeCurrency || DEFAULT_CURRENCY;
+}
+
+// A platform default in the given currency; without a rate the default
+// amount is taken as is in that currency
+function defaultLimitMinor(minor, currency) {
+    const money = new Money(minor, DEFAULT_CURRENCY);
+    if (currency === DEFAULT_CURRENCY) return minor;
+
+    try {
+        return fx.convert(money, currency).money.minor;
+    } catch (error) {
+        if (!(error instanceof fx.FxRateError)) throw error;
+        return Money.fromMajor(money.toMajor(), currency).minor;
+    }
+}
+
+function getBudget(userId) {
+    if (state.budgetData.budgets[userId]) {
+        return state.budgetData.budgets[userId];
+    }
+
+    const currency = budgetCurrency(userId);
+    const monthly = state.budgetData.budgetDefaults.monthlyMinor ||
+        Money.fromMajor(DEFAULT_MONTHLY_BUDGET).minor;
+
+    return {
+        ...new Money(defaultLimitMinor(monthly, currency), currency).toFields('monthly'),
+        currency,
+        ...PERIOD_DEFAULTS,
+        categories: {},
+        alerts: true,
+        guard: 'allow'
+    };
+}
+
+function periodSettings(budget) {
+    return parsePeriodSettings({}, budget);
+}
+
+function hasBudget(userId) {
+    return Boolean(state.budgetData.budgets[userId]);
+}
+
+// What `budget` loosens of the 'confirm' and 'block' guards of `previous`,
+// the stored budget; a category without its own policy has the budget's
+function lockedGuardChanges(previous, budget, currency) {
+    const locked = policy => policy === 'confirm' || policy === 'block';
+    const changes = [];
+    const change = (scope, guard, field, from, to) => changes.push({ scope, guard, field, from, to });
+
+    if (locked(previous.guard)) {
+        if (budget.guard !== previous.guard) change('budget', previous.guard, 'guard', previous.guard, budget.guard);
+
+        const before = limitsMinorOf(previous, currency);
+        const after = limitsMinorOf(budget, currency);
+        PERIODS.filter(period => after[period] > before[period]).forEach(period => {
+            change('budget', previous.guard, period, toMajor(before[period], currency), toMajor(after[period], currency));
+        });
+        Object.keys(PERIOD_DEFAULTS)
+            .filter(key => previous[key] !== undefined && budget[key] !== previous[key])
+            .forEach(key => change('budget', previous.guard, key, previous[key], budget[key]));
+    }
+
+    Object.entries(previous.categories || {}).forEach(([category, settings]) => {
+        const guard = settings.guard || previous.guard;
+        if (!locked(guard)) return;
+
+        const next = budget.categories?.[category];
+        if (!next) return change(category, guard, 'limit', settings.limit, null);
+        if ((next.guard || budget.guard) !== guard) change(category, guard, 'guard', guard, next.guard || budget.guard);
+        if (next.limitMinor > settings.limitMinor) change(category, guard, 'limit', settings.limit, next.limit);
+    });
+    return changes;
+}
+
+function refuseLockedGuardChanges(changes) {
+    if (changes.length > 0) {
+        throw new ApiError(403, 'A confirm or block guard can only be loosened by an admin', {
+            permission: 'budgets:guard',
+            changes
+        });
+    }
+}
+
+// `limit` sets the limit of the budget's own period and may replace
+// `monthlyLimit`. Category limits and period settings left out of the request
+// keep their value; changing the cycle starts a fresh current period.
+// Without `mayChangeGuard`, loosening a 'confirm' or 'block' guard is refused.
+function setBudget(userId, { monthlyLimit, limit, categories, alerts = true, guard, ...periodInput }, { mayChangeGuard = false } = {}) {
+    if (!userId || typeof userId !== 'string') {
+        throw new ApiError(400, 'Valid userId is required', { received: typeof userId });
+    }
+
+    const currency = budgetCurrency(userId);
+    const previous = state.budgetData.budgets[userId] || {};
+    const settings = parsePeriodSettings(periodInput, previous);
+    const limits = {};
+    if (monthlyLimit !== undefined || limit === undefined) {
+        Object.assign(limits, parseLimit(monthlyLimit, 'monthly', currency).toFields('monthly'));
+    }
+    if (limit !== undefined) {
+        Object.assign(limits, parseLimit(limit, settings.period, currency).toFields(settings.period));
+    }
+
+    const budget = {
+        ...getBudget(userId),
+        ...limits,
+        ...settings,
+        currency,
+        categories: categories === undefined
+            ? previous.categories || {}
+            : parseCategoryLimits(categories, currency),
+        alerts,
+        guard: guard === undefined ? previous.guard || 'allow' : parseGuardPolicy(guard, 'guard'),
+        updatedAt: new Date().toISOString()
+    };
+
+    if (!mayChangeGuard) refuseLockedGuardChanges(lockedGuardChanges(previous, budget, currency));
+
+    const cycleChanged = ['period', 'cycleStartDay', 'weekStartDay']
+        .some(key => previous[key] !== undefined && previous[key] !== settings[key]);
+    if (cycleChanged) delete budget.currentPeriod;
+
+    state.budgetData.budgets[userId] = budget;
+    syncPeriods(userId);
+    saveData();
+    return budget;
+}
+
+function openPeriod(settings, date, rolloverInMinor = 0) {
+    const { start, end } = periods.periodContaining(settings, date);
+    return { start: start.toISOString(), end: end.toISOString(), rolloverInMinor };
+}
+
+function carryOver(rollover, remainingMinor) {
+    if (remainingMinor > 0 && (rollover === 'unspent' || rollover === 'both')) return remainingMinor;
+    if (remainingMinor < 0 && (rollover === 'overspent' || rollover === 'both')) return remainingMinor;
+    return 0;
+}
+
+// Closes every period of a stored budget that ended before `now`, carrying
+// rollover forward, and opens the one `now` falls in. Returns true when the
+// budget changed.
+function syncPeriods(userId, now = new Date()) {
+    const budget = state.budgetData.budgets[userId];
+    if (!budget) return false;
+
+    const settings = periodSettings(budget);
+    if (!budget.currentPeriod) {
+        budget.currentPeriod = openPeriod(settings, now);
+        return true;
+    }
+    if (now < new Date(budget.currentPeriod.end)) return false;
+
+    const transactions = state.budgetData.users[userId]?.transactions || [];
+    const limitMinor = periodLimitsMinor(userId)[settings.period];
+    const history = budget.periodHistory = budget.periodHistory || [];
+
+    let current = budget.currentPeriod;
+    while (now >= new Date(current.end)) {
+        const spentMinor = periods.spendWithin(transactions, current);
+        const effectiveLimitMinor = limitMinor + current.rolloverInMinor;
+        const remainingMinor = effectiveLimitMinor - spentMinor;
+        const rolloverOutMinor = carryOver(settings.rollover, remainingMinor);
+
+        history.push({
+            ...current,
+            period: settings.period,
+            currency: budget.currency || DEFAULT_CURRENCY,
+            limitMinor,
+            effectiveLimitMinor,
+            spentMinor,
+            remainingMinor,
+            rolloverOutMinor,
+            closedAt: now.toISOString()
+        });
+        current = openPeriod(settings, new Date(current.end), rolloverOutMinor);
+    }
+
+    budget.periodHistory = history.slice(-MAX_PERIOD_HISTORY);
+    budget.currentPeriod = current;
+    return true;
+}
+
+// The budget's current period with its limit and spend in minor units. Users
+// without a stored budget get the default monthly period without rollover.
+function currentPeriodSummary(userId, now = new Date()) {
+    if (syncPeriods(userId, now)) saveData();
+
+    const budget = getBudget(userId);
+    const settings = periodSettings(budget);
+    const current = budget.currentPeriod || openPeriod(settings, now);
+    const limitMinor = periodLimitsMinor(userId)[settings.period];
+    const transactions = state.budgetData.users[userId]?.transactions || [];
+
+    return {
+        ...settings,
+        start: current.start,
+        end: current.end,
+        currency: budgetCurrency(userId),
+        limitMinor,
+        rolloverInMinor: current.rolloverInMinor,
+        effectiveLimitMinor: limitMinor + current.rolloverInMinor,
+        spentMinor: periods.spendWithin(transactions, current),
+        ...periods.dayProgress(current, now)
+    };
+}
+
+// Closed periods, newest first, in major units
+function getPeriodHistory(userId) {
+    if (syncPeriods(userId)) saveData();
+
+    const currency = budgetCurrency(userId);
+    const history = state.budgetData.budgets[userId]?.periodHistory || [];
+    return [...history].reverse().map(entry => {
+        const major = minor => toMajor(minor, entry.currency || currency);
+        return {
+            ...entry,
+            limit: major(entry.limitMinor),
+            effectiveLimit: major(entry.effectiveLimitMinor),
+            spent: major(entry.spentMinor),
+            remaining: major(entry.remainingMinor),
+            rolloverIn: major(entry.rolloverInMinor),
+            rolloverOut: major(entry.rolloverOutMinor)
+        };
+    });
+}
+
+// Category limits per budget period in minor units, keyed by category name
+function categoryLimitsMinor(userId) {
+    const categories = getBudget(userId).categories || {};
+    return Object.fromEntries(Object.entries(categories)
+        .filter(([, settings]) => settings && Number.isSafeInteger(settings.limitMinor))
+        .map(([category, settings]) => [category, settings.limitMinor]));
+}
+
+// Limits in minor units
+function periodLimitsMinor(userId) {
+    return limitsMinorOf(getBudget(userId), budgetCurrency(userId));
+}
+
+function limitsMinorOf(budget, currency) {
+    const defaults = state.budgetData.budgetDefaults;
+    const monthly = budget.monthlyMinor;
+    const fallback = (period, share) => defaults[`${period}Minor`]
+        ? defaultLimitMinor(defaults[`${period}Minor`], currency)
+        : Math.round(monthly * share);
+
+    return {
+        daily: budget.dailyMinor || fallback('daily', 1 / 30),
+        weekly: budget.weeklyMinor || fallback('weekly', 7 / 30),
+        monthly,
+        quarterly: budget.quarterlyMinor || fallback('quarterly', 3)
+    };
+}
+
+// Limits in major units of the user's home currency
+function periodLimits(userId) {
+    const limits = periodLimitsMinor(userId);
+    const currency = budgetCurrency(userId);
+    return Object.fromEntries(PERIODS.map(period => [period, toMajor(limits[period], currency)]));
+}
+
+// Without a userId the limits become the defaults for every user. Without
+// `mayChangeGuard`, raising a limit a 'confirm' or 'block' guard watches is refused.
+function setPeriodLimits(userId, limits, { mayChangeGuard = false } = {}) {
+    const currency = userId ? budgetCurrency(userId) : DEFAULT_CURRENCY;
+    const changes = {};
+    PERIODS.forEach(period => {
+        if (limits[period] !== undefined) {
+            Object.assign(changes, parseLimit(limits[period], period, currency).toFields(period));
+        }
+    });
+
+    if (userId) {
+        const budget = {
+            ...getBudget(userId),
+            ...changes,
+            currency,
+            updatedAt: new Date().toISOString()
+        };
+        const previous = state.budgetData.budgets[userId] || {};
+        if (!mayChangeGuard) refuseLockedGuardChanges(lockedGuardChanges(previous, budget, currency));
+        state.budgetData.budgets[userId] = budget;
+    } else {
+        Object.assign(state.budgetData.budgetDefaults, changes);
+    }
+
+    saveData();
+    return periodLimits(userId);
+}
+
+// Moves a user's stored limits into another currency at today's rate. Throws
+// fx.FxRateError, before changing anything, when there is no rate.
+function convertBudget(userId, currency) {
+    const budget = state.budgetData.budgets[userId];
+    if (!budget) return null;
+
+    const from = budget.currency || DEFAULT_CURRENCY;
+    if (from === currency) return budget;
+
+    const changes = { currency, updatedAt: new Date().toISOString() };
+    PERIODS.forEach(period => {
+        if (budget[`${period}Minor`] !== undefined) {
+            const converted = fx.convert(new Money(budget[`${period}Minor`], from), currency).money;
+            Object.assign(changes, converted.toFields(period));
+        }
+    });
+
+    changes.categories = Object.fromEntries(Object.entries(budget.categories || {}).map(([category, settings]) => {
+        const converted = fx.convert(new Money(settings.limitMinor, from), currency).money;
+        return [category, { ...settings, ...converted.toFields('limit') }];
+    }));
+
+    if (budget.currentPeriod && budget.currentPeriod.rolloverInMinor !== 0) {
+        const converted = fx.convert(new Money(budget.currentPeriod.rolloverInMinor, from), currency).money;
+        changes.currentPeriod = { ...budget.currentPeriod, rolloverInMinor: converted.minor };
+    }
+
+    return Object.assign(budget, changes);
+}
+
+module.exports = {
+    DEFAULT_MONTHLY_BUDGET,
+    DEFAULT_CATEGORY_ALERTS,
+    GUARD_POLICIES,
+    getBudget,
+    hasBudget,
+    setBudget,
+    periodLimits,
+    periodLimitsMinor,
+    categoryLimitsMinor,
+    setPeriodLimits,
+    periodSettings,
+    syncPeriods,
+    currentPeriodSummary,
+    getPeriodHistory,
+    convertBudget
+};
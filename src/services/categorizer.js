@@ -0,0 +1,268 @@
+// 🧠 Category suggestions
+// A multinomial naive Bayes classifier per user, trained on the spot from the
+// user's own categorized transactions. It needs no external service and no
+// stored model, so it runs the same on a server and in CI. Features are
+// description words, the merchant, the UPI handle, the payment method, the
+// transaction type and a logarithmic amount bucket.
+//
+// Transactions still on a default category ('Other', ...) are not learned
+// from; the features of categories the user chose by editing count
+// CORRECTION_WEIGHT times, since they are the strongest signal. Class priors
+// count every transaction once. Split and deleted transactions are
+// left out. New transactions that arrive without a category get a
+// `categorySuggestion`; the category itself only changes when the user or a
+// rule sets it.
+
+const { state, currentTenantId } = require('../state');
+const { ApiError } = require('../errors');
+const { Money, MoneyError, toMajor } = require('./money');
+const { requireUser } = require('./users');
+const { homeCurrencyOf } = require('./transactions');
+const { DEFAULT_CATEGORIES } = require('./rules');
+
+const CORRECTION_WEIGHT = 3;
+const MIN_TRAINING_EXAMPLES = 5;
+const CROSS_VALIDATION_FOLDS = 5;
+const MAX_ALTERNATIVES = 3;
+
+// Models are rebuilt when the user's transactions change; keyed by tenant and user
+const models = new Map();
+
+function words(value) {
+    return String(value || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length >= 2 && !/^\d+$/.test(word));
+}
+
+// Half-decade buckets of the amount in major units: 0-3, 3-10, 10-31, ...
+function amountBucket(transaction) {
+    const hasHome = typeof transaction.homeAmountMinor === 'number';
+    const amount = hasHome
+        ? toMajor(transaction.homeAmountMinor, transaction.homeCurrency)
+        : toMajor(transaction.amountMinor || 0, transaction.currency);
+    return amount > 0 ? Math.floor(Math.log10(amount) * 2) : 0;
+}
+
+function features(transaction) {
+    const vpaHandle = String(transaction.vpa || '').split('@')[0];
+    return [
+        ...words(transaction.description).map(word => `word:${word}`),
+        ...words(transaction.merchant).map(word => `merchant:${word}`),
+        ...(vpaHandle ? [`vpa:${vpaHandle.toLowerCase()}`] : []),
+        `method:${String(transaction.paymentMethod || transaction.method || 'unknown').toLowerCase()}`,
+        `type:${transaction.type || 'expense'}`,
+        `amount:${amountBucket(transaction)}`
+    ];
+}
+
+function isTrainingExample(transaction) {
+    return Boolean(transaction.category) &&
+        !DEFAULT_CATEGORIES.includes(transaction.category) &&
+        !transaction.deletedAt &&
+        !(transaction.splits && transaction.splits.length > 0);
+}
+
+function trainingExamples(user) {
+    return user.transactions.filter(isTrainingExample).map(transaction => ({
+        category: transaction.category,
+        features: features(transaction),
+        weight: transaction.categorizedBy?.source === 'user' ? CORRECTION_WEIGHT : 1
+    }));
+}
+
+function train(examples) {
+    const model = { categories: {}, vocabulary: new Set(), examples: 0 };
+
+    examples.forEach(({ category, features: tokens, weight }) => {
+        const entry = model.categories[category] = model.categories[category] || { examples: 0, tokens: {}, tokenTotal: 0 };
+        entry.examples++;
+        model.examples++;
+        tokens.forEach(token => {
+            entry.tokens[token] = (entry.tokens[token] || 0) + weight;
+            entry.tokenTotal += weight;
+            model.vocabulary.add(token);
+        });
+    });
+
+    return model;
+}
+
+// Categories ranked by posterior probability, with Laplace smoothing;
+// features never seen in training are ignored
+function classify(model, tokens) {
+    const known = tokens.filter(token => model.vocabulary.has(token));
+    const size = model.vocabulary.size;
+
+    const scores = Object.entries(model.categories).map(([category, entry]) => {
+        const logPrior = Math.log(entry.examples / model.examples);
+        const logLikelihood = known.reduce((sum, token) =>
+            sum + Math.log(((entry.tokens[token] || 0) + 1) / (entry.tokenTotal + size)), 0);
+        return { category, score: logPrior + logLikelihood };
+    });
+
+    const best = Math.max(...scores.map(s => s.score));
+    const total = scores.reduce((sum, s) => sum + Math.exp(s.score - best), 0);
+    return scores
+        .map(({ category, score }) => ({ category, confidence: Math.exp(score - best) / total }))
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+function isUsable(model, exampleCount) {
+    return exampleCount >= MIN_TRAINING_EXAMPLES && Object.keys(model.categories).length >= 2;
+}
+
+function signatureOf(user) {
+    const latest = user.transactions.reduce((max, t) => (t.updatedAt || '') > max ? t.updatedAt : max, '');
+    return `${user.transactions.length}|${latest}`;
+}
+
+function modelFor(user) {
+    const signature = signatureOf(user);
+    const cacheKey = `${currentTenantId()}:${user.id}`;
+    const cached = models.get(cacheKey);
+    if (cached && cached.signature === signature) return cached;
+
+    const examples = trainingExamples(user);
+    const model = train(examples);
+    const entry = { signature, model, examples: examples.length, usable: isUsable(model, examples.length) };
+    models.set(cacheKey, entry);
+    return entry;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// { category, confidence, alternatives } for a transaction-shaped object, or
+// null while the user has too little categorized history
+function suggestCategory(userId, transaction) {
+    const user = state.budgetData.users[userId];
+    if (!user) return null;
+
+    const { model, usable } = modelFor(user);
+    if (!usable) return null;
+
+    const [best, ...rest] = classify(model, features(transaction));
+    return {
+        category: best.category,
+        confidence: round(best.confidence),
+        alternatives: rest.slice(0, MAX_ALTERNATIVES).map(({ category, confidence }) => ({
+            category,
+            confidence: round(confidence)
+        })),
+        model: 'naive_bayes'
+    };
+}
+
+// Attaches a suggestion to a new transaction that has no real category
+function suggestFor(userId, transaction) {
+    if (transaction.category && !DEFAULT_CATEGORIES.includes(transaction.category)) return null;
+
+    const suggestion = suggestCategory(userId, transaction);
+    if (suggestion) {
+        transaction.categorySuggestion = { ...suggestion, at: new Date().toISOString() };
+    }
+    return suggestion;
+}
+
+// Suggestion for a transaction that has not happened yet, e.g. while the
+// user fills in a payment form
+function suggestForInput(userId, input = {}) {
+    requireUser(userId);
+    if (!input.description && !input.merchant && !input.vpa) {
+        throw new ApiError(400, 'description, merchant or vpa is required');
+    }
+
+    const currency = String(input.currency || homeCurrencyOf(state.budgetData.users[userId])).toUpperCase();
+    let amountMinor = 0;
+    if (input.amount !== undefined) {
+        try {
+            amountMinor = Money.fromMajor(input.amount, currency).minor;
+        } catch (error) {
+            if (!(error instanceof MoneyError)) throw error;
+            throw new ApiError(400, 'amount must be a number', { received: input.amount });
+        }
+    }
+
+    return suggestCategory(userId, {
+        description: input.description,
+        merchant: input.merchant,
+        vpa: input.vpa,
+        paymentMethod: input.method,
+        type: input.type,
+        currency,
+        amountMinor
+    });
+}
+
+// Accuracy of the classifier for a user, measured two ways:
+//   crossValidation   k-fold over the user's categorized history; each fold
+//                     is predicted by a model trained on the others
+//   suggestions       how often the category a transaction ended up with
+//                     matches the suggestion it arrived with
+function getMetrics(userId) {
+    const user = requireUser(userId);
+    const examples = trainingExamples(user);
+    const categories = [...new Set(examples.map(e => e.category))].sort();
+
+    const ready = isUsable(train(examples), examples.length);
+    const perCategory = Object.fromEntries(categories.map(c => [c, { examples: 0, predicted: 0, correct: 0 }]));
+    let evaluated = 0;
+    let correct = 0;
+
+    if (ready) {
+        const folds = Math.min(CROSS_VALIDATION_FOLDS, examples.length);
+        for (let fold = 0; fold < folds; fold++) {
+            const model = train(examples.filter((_, i) => i % folds !== fold));
+            if (Object.keys(model.categories).length < 2) continue;
+
+            examples.filter((_, i) => i % folds === fold).forEach(example => {
+                const [best] = classify(model, example.features);
+                evaluated++;
+                perCategory[example.category].examples++;
+                perCategory[best.category].predicted++;
+                if (best.category === example.category) {
+                    correct++;
+                    perCategory[example.category].correct++;
+                }
+            });
+        }
+    }
+
+    const suggested = user.transactions.filter(t => t.categorySuggestion && isTrainingExample(t));
+    const accepted = suggested.filter(t => t.category === t.categorySuggestion.category).length;
+    const ratio = (part, whole) => whole > 0 ? round(part / whole) : null;
+
+    return {
+        userId,
+        model: 'naive_bayes',
+        trainingExamples: examples.length,
+        corrections: user.transactions.filter(t => isTrainingExample(t) && t.categorizedBy?.source === 'user').length,
+        categories,
+        ready,
+        minimumExamples: MIN_TRAINING_EXAMPLES,
+        crossValidation: {
+            folds: Math.min(CROSS_VALIDATION_FOLDS, examples.length),
+            evaluated,
+            accuracy: ratio(correct, evaluated),
+            perCategory: Object.fromEntries(Object.entries(perCategory).map(([category, stats]) => [category, {
+                examples: stats.examples,
+                precision: ratio(stats.correct, stats.predicted),
+                recall: ratio(stats.correct, stats.examples)
+            }]))
+        },
+        suggestions: {
+            total: suggested.length,
+            accepted,
+            acceptanceRate: ratio(accepted, suggested.length)
+        }
+    };
+}
+
+module.exports = {
+    suggestCategory,
+    suggestFor,
+    suggestForInput,
+    getMetrics
+};
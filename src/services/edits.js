@@ -0,0 +1,223 @@
+// ✏️ Transaction edits
+// Recategorizing, annotating, tagging and splitting any transaction, and
+// soft-deleting manual entries. Every change is appended to the
+// transaction's `editHistory` as
+//
+//   { at, source, changes: { field: { from, to } } }
+//
+// and goes through transactions.updateTransaction(), so totalSpent and the
+// payments log follow. Amounts of Razorpay payments never change here; refunds
+// do that. A split is a list of { category, amountMinor, amount, notes } in
+// the transaction's own currency adding up to its amount.
+
+const { saveData } = require('../state');
+const { ApiError } = require('../errors');
+const { Money, MoneyError } = require('./money');
+const { requireUser } = require('./users');
+const { isManual, updateTransaction } = require('./transactions');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_SPLITS = 20;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_EDIT_HISTORY = 200;
+
+function text(value, name, { required = false } = {}) {
+    if (value === null && !required) return '';
+    if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH || (required && !value.trim())) {
+        throw new ApiError(400, required
+            ? `${name} must be non-empty text`
+            : `${name} must be text of at most ${MAX_TEXT_LENGTH} characters`, { received: value });
+    }
+    return value.trim();
+}
+
+function parseTags(tags) {
+    if (tags === null) return [];
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+        throw new ApiError(400, `tags must be a list of at most ${MAX_TAGS} tags`);
+    }
+
+    const parsed = tags.map(tag => {
+        if (typeof tag !== 'string' || !tag.trim() || tag.trim().length > MAX_TAG_LENGTH) {
+            throw new ApiError(400, `Each tag must be text of 1 to ${MAX_TAG_LENGTH} characters`, { received: tag });
+        }
+        return tag.trim();
+    });
+    return [...new Set(parsed)];
+}
+
+function parseSplits(splits, transaction) {
+    if (splits === null || (Array.isArray(splits) && splits.length === 0)) return [];
+    if (!Array.isArray(splits) || splits.length < 2 || splits.length > MAX_SPLITS) {
+        throw new ApiError(400, `splits must be a list of 2 to ${MAX_SPLITS} parts, or empty to undo a split`);
+    }
+
+    const parsed = splits.map((split, index) => {
+        const { category, amount, notes } = split || {};
+        let money;
+        try {
+            money = Money.fromMajor(amount, transaction.currency);
+        } catch (error) {
+            if (!(error instanceof MoneyError)) throw error;
+        }
+        if (!money || !money.isPositive()) {
+            throw new ApiError(400, `splits[${index}].amount must be a positive amount`, { received: amount });
+        }
+
+        return {
+            category: text(category, `splits[${index}].category`, { required: true }),
+            ...money.toFields(),
+            ...(notes !== undefined && { notes: text(notes, `splits[${index}].notes`) })
+        };
+    });
+
+    const totalMinor = parsed.reduce((sum, split) => sum + split.amountMinor, 0);
+    if (totalMinor !== transaction.amountMinor) {
+        throw new ApiError(400, 'Split amounts must add up to the transaction amount', {
+            amount: transaction.amount,
+            splitTotal: Money.fromMinor(totalMinor, transaction.currency).toMajor(),
+            currency: transaction.currency
+        });
+    }
+    return parsed;
+}
+
+// Appends the fields of `fields` that differ from the transaction's current
+// values to its edit history; returns the changes, empty when nothing changed
+function recordEdit(transaction, fields, source) {
+    const changes = {};
+    Object.entries(fields).forEach(([field, value]) => {
+        const from = transaction[field] === undefined ? null : transaction[field];
+        if (JSON.stringify(from) !== JSON.stringify(value)) {
+            changes[field] = { from, to: value };
+        }
+    });
+
+    if (Object.keys(changes).length > 0) {
+        transaction.editHistory = [
+            ...(transaction.editHistory || []),
+            { at: new Date().toISOString(), source, changes }
+        ].slice(-MAX_EDIT_HISTORY);
+    }
+    return changes;
+}
+
+function findTransaction(user, transactionId) {
+    const transaction = user.transactions.find(t => t.id === transactionId);
+    if (!transaction) {
+        throw new ApiError(404, 'Transaction not found', { transactionId });
+    }
+    return transaction;
+}
+
+function getTransaction(userId, transactionId) {
+    return findTransaction(requireUser(userId), transactionId);
+}
+
+// Applies validated fields to a transaction and records them; a change that
+// alters nothing is not saved
+function applyEdit(user, transaction, fields, source) {
+    let changes = {};
+    updateTransaction(user.id, transaction, t => {
+        changes = recordEdit(t, fields, source);
+        if (Object.keys(changes).length > 0) {
+            Object.assign(t, fields, { updatedAt: new Date().toISOString() });
+        }
+    });
+
+    if (Object.keys(changes).length > 0) {
+        saveData();
+        console.log('✏️ Transaction edited:', { userId: user.id, transactionId: transaction.id, fields: Object.keys(changes) });
+    }
+    return { transaction, changes };
+}
+
+function requireActive(transaction) {
+    if (transaction.deletedAt) {
+        throw new ApiError(409, 'Transaction is deleted; restore it first', { transactionId: transaction.id });
+    }
+}
+
+// Recategorizes, annotates or tags a transaction: { category, description,
+// notes, tags }; fields left out stay as they are, null clears notes,
+// description and tags
+function editTransaction(userId, transactionId, input = {}) {
+    const user = requireUser(userId);
+    const transaction = findTransaction(user, transactionId);
+    requireActive(transaction);
+    if (transaction.adjustment) {
+        throw new ApiError(409, 'Adjustments are made by staff and cannot be edited', { transactionId });
+    }
+
+    const fields = {};
+    if (input.category !== undefined) {
+        if (transaction.splits && transaction.splits.length > 0) {
+            throw new ApiError(409, 'Transaction is split; change its splits instead', { transactionId });
+        }
+        fields.category = text(input.category, 'category', { required: true });
+        // Categorization rules leave a category the user chose alone
+        fields.categorizedBy = { source: 'user' };
+    }
+    if (input.description !== undefined) fields.description = text(input.description, 'description');
+    if (input.notes !== undefined) fields.notes = text(input.notes, 'notes');
+    if (input.tags !== undefined) fields.tags = parseTags(input.tags);
+
+    if (Object.keys(fields).length === 0) {
+        throw new ApiError(400, 'Nothing to change: send category, description, notes or tags');
+    }
+
+    return applyEdit(user, transaction, fields, 'api');
+}
+
+// Replaces the splits of a transaction; an empty list undoes the split
+function splitTransaction(userId, transactionId, splits) {
+    const user = requireUser(userId);
+    const transaction = findTransaction(user, transactionId);
+    requireActive(transaction);
+    if (transaction.adjustment) {
+        throw new ApiError(409, 'Adjustments are made by staff and cannot be split', { transactionId });
+    }
+
+    return applyEdit(user, transaction, { splits: parseSplits(splits, transaction) }, 'api');
+}
+
+// Soft-deletes a manual entry: it stays in the user's list with `deletedAt`
+// set and stops counting toward spend or income. Razorpay payments are
+// refunded instead.
+function deleteTransaction(userId, transactionId, { reason } = {}) {
+    const user = requireUser(userId);
+    const transaction = findTransaction(user, transactionId);
+    requireActive(transaction);
+
+    if (!isManual(transaction)) {
+        throw new ApiError(409, 'Only manual entries can be deleted; refund a Razorpay payment instead', { transactionId });
+    }
+    if (transaction.adjustment) {
+        throw new ApiError(409, 'Adjustments are made by staff and cannot be deleted', { transactionId });
+    }
+
+    return applyEdit(user, transaction, {
+        deletedAt: new Date().toISOString(),
+        ...(reason !== undefined && { deletionReason: text(reason, 'reason') })
+    }, 'api');
+}
+
+function restoreTransaction(userId, transactionId) {
+    const user = requireUser(userId);
+    const transaction = findTransaction(user, transactionId);
+    if (!transaction.deletedAt) {
+        throw new ApiError(409, 'Transaction is not deleted', { transactionId });
+    }
+
+    return applyEdit(user, transaction, { deletedAt: null, deletionReason: null }, 'api');
+}
+
+module.exports = {
+    recordEdit,
+    getTransaction,
+    editTransaction,
+    splitTransaction,
+    deleteTransaction,
+    restoreTransaction
+};
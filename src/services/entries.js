@@ -0,0 +1,267 @@
+// ✍️ Manual entries
+// Cash, card-on-another-gateway and bank-transfer expenses, and income, that
+// never pass through Razorpay. They are stored in user.transactions next to
+// the Razorpay payments with `source: 'manual'` and a `type` of 'expense' or
+// 'income', so budgets, trends and history pick them up; they stay out of the
+// global payments log, refunds and webhooks. Razorpay payments have no `type`
+// and count as expenses. Deleting an entry is a soft delete (see edits.js).
+// Staff adjustments (see admin.js) are entries too, but only staff change them.
+
+const crypto = require('crypto');
+const { saveData } = require('../state');
+const { ApiError } = require('../errors');
+const { transitionStatus, spendMinor, incomeMinor, countsTowardSpend, countsAsIncome } = require('./lifecycle');
+const { Money, MoneyError, toMajor, formatMinor } = require('./money');
+const fx = require('./fx');
+const { requireUser } = require('./users');
+const { homeCurrencyOf, addTransaction, updateTransaction, applyHomeAmount } = require('./transactions');
+const edits = require('./edits');
+const rules = require('./rules');
+const categorizer = require('./categorizer');
+const anomalies = require('./anomalies');
+
+const ENTRY_TYPES = ['expense', 'income'];
+const ENTRY_METHODS = ['cash', 'card', 'bank_transfer', 'upi', 'wallet', 'cheque', 'other'];
+const MAX_ATTACHMENTS = 10;
+const MAX_TEXT_LENGTH = 2000;
+
+function optionalText(value, name) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+        throw new ApiError(400, `${name} must be text of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+    return value.trim();
+}
+
+function parseEntryDate(value) {
+    if (value === undefined) return new Date().toISOString();
+
+    const date = new Date(value);
+    if (value === null || isNaN(date)) {
+        throw new ApiError(400, 'date must be a valid date', { received: value });
+    }
+    return date.toISOString();
+}
+
+// Metadata only; the files themselves are stored wherever the client keeps them
+function parseAttachments(attachments) {
+    if (attachments === undefined) return [];
+    if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+        throw new ApiError(400, `attachments must be a list of at most ${MAX_ATTACHMENTS} items`);
+    }
+
+    return attachments.map((attachment, index) => {
+        const { name, contentType, size, url } = attachment || {};
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new ApiError(400, `attachments[${index}].name is required`);
+        }
+        if (size !== undefined && (!Number.isSafeInteger(size) || size < 0)) {
+            throw new ApiError(400, `attachments[${index}].size must be a byte count`, { received: size });
+        }
+
+        return {
+            name: name.trim(),
+            ...(contentType && { contentType: String(contentType) }),
+            ...(size !== undefined && { size }),
+            ...(url && { url: String(url) })
+        };
+    });
+}
+
+// Validates the fields of a create or update request; on update, fields left
+// out keep the entry's current value
+function parseEntryFields(input, current, homeCurrency) {
+    const fields = {};
+    const has = key => input[key] !== undefined;
+
+    if (has('type') || !current) {
+        const type = input.type || 'expense';
+        if (!ENTRY_TYPES.includes(type)) {
+            throw new ApiError(400, `type must be one of ${ENTRY_TYPES.join(', ')}`, { received: type });
+        }
+        fields.type = type;
+    }
+
+    if (has('amount') || has('currency') || !current) {
+        const currency = String(input.currency || current?.currency || homeCurrency).toUpperCase();
+        if (!fx.isCurrencyCode(currency)) {
+            throw new ApiError(400, 'currency must be a 3-letter currency code', { received: input.currency });
+        }
+
+        let money;
+        try {
+            money = Money.fromMajor(has('amount') ? input.amount : current.amount, currency);
+        } catch (error) {
+            if (!(error instanceof MoneyError)) throw error;
+        }
+        if (!money || !money.isPositive()) {
+            throw new ApiError(400, 'Valid amount is required', { received: input.amount });
+        }
+        Object.assign(fields, money.toFields(), { currency: money.currency });
+    }
+
+    if (has('method') || !current) {
+        const method = input.method || 'cash';
+        if (!ENTRY_METHODS.includes(method)) {
+            throw new ApiError(400, `method must be one of ${ENTRY_METHODS.join(', ')}`, { received: method });
+        }
+        fields.method = method;
+    }
+
+    if (has('date') || !current) fields.date = parseEntryDate(input.date);
+    if (has('category') || !current) {
+        fields.category = optionalText(input.category, 'category') ||
+            ((fields.type || current?.type) === 'income' ? 'Income' : 'Other');
+    }
+    if (has('description') || !current) fields.description = optionalText(input.description, 'description');
+    if (has('merchant') || !current) fields.merchant = optionalText(input.merchant, 'merchant');
+    if (has('notes') || !current) fields.notes = optionalText(input.notes, 'notes');
+    if (has('attachments') || !current) fields.attachments = parseAttachments(input.attachments);
+
+    return fields;
+}
+
+function findEntry(user, entryId) {
+    const entry = user.transactions.find(t => t.id === entryId && t.source === 'manual' && !t.deletedAt);
+    if (!entry) {
+        throw new ApiError(404, 'Entry not found', { entryId });
+    }
+    return entry;
+}
+
+function requireOwnEntry(entry) {
+    if (entry.adjustment) {
+        throw new ApiError(409, 'Adjustments are made by staff and cannot be changed', { entryId: entry.id });
+    }
+    return entry;
+}
+
+function getEntry(userId, entryId) {
+    return findEntry(requireUser(userId), entryId);
+}
+
+// `attributes` are set by the server, never taken from the request
+function createEntry(userId, input, attributes = {}) {
+    const user = requireUser(userId);
+    const entry = {
+        id: `entry_${crypto.randomBytes(8).toString('hex')}`,
+        source: 'manual',
+        ...parseEntryFields(input, null, homeCurrencyOf(user)),
+        ...attributes,
+        createdAt: new Date().toISOString()
+    };
+
+    transitionStatus(entry, 'captured', 'manual_entry');
+    rules.categorize(user.id, entry);
+    categorizer.suggestFor(user.id, entry);
+    addTransaction(user, entry);
+    anomalies.checkTransaction(user.id, entry);
+    saveData();
+
+    console.log('✍️ Manual entry added:', { userId, entryId: entry.id, type: entry.type, amount: formatMinor(entry.amountMinor, entry.currency) });
+    return entry;
+}
+
+function updateEntry(userId, entryId, input) {
+    const user = requireUser(userId);
+    const entry = requireOwnEntry(findEntry(user, entryId));
+    const fields = parseEntryFields(input, entry, homeCurrencyOf(user));
+
+    if (entry.splits && entry.splits.length > 0 && fields.amountMinor !== undefined &&
+        (fields.amountMinor !== entry.amountMinor || fields.currency !== entry.currency)) {
+        throw new ApiError(409, 'Entry is split; undo the split before changing its amount', { entryId });
+    }
+
+    updateTransaction(user.id, entry, e => {
+        if (Object.keys(edits.recordEdit(e, fields, 'manual_entry')).length === 0) return;
+        Object.assign(e, fields, { updatedAt: new Date().toISOString() });
+        applyHomeAmount(e, homeCurrencyOf(user));
+    });
+    saveData();
+
+    return entry;
+}
+
+function deleteEntry(userId, entryId, options) {
+    findEntry(requireUser(userId), entryId);
+    return edits.deleteTransaction(userId, entryId, options).transaction;
+}
+
+// Deleted entries are left out unless `includeDeleted` is 'true'
+function listEntries(userId, { type, includeDeleted, limit = 50, offset = 0 } = {}) {
+    const user = requireUser(userId);
+    const entries = user.transactions
+        .filter(t => t.source === 'manual' && (String(includeDeleted) === 'true' || !t.deletedAt))
+        .filter(t => !type || type === 'all' || t.type === type)
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    const start = parseInt(offset) || 0;
+    const count = parseInt(limit) || 50;
+    return {
+        entries: entries.slice(start, start + count),
+        pagination: {
+            total: entries.length,
+            limit: count,
+            offset: start,
+            hasMore: start + count < entries.length
+        }
+    };
+}
+
+// Income, expenses (Razorpay and manual) and net per calendar month for the
+// last `months` months, oldest first, in the user's home currency
+function getCashFlow(userId, { months = 6 } = {}) {
+    const user = requireUser(userId);
+    const currency = homeCurrencyOf(user);
+    const count = Math.min(Math.max(parseInt(months) || 6, 1), 36);
+    const now = new Date();
+
+    const buckets = Array.from({ length: count }, (_, i) => {
+        const start = new Date(now.getFullYear(), now.getMonth() - (count - 1 - i), 1);
+        return { month: `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`, income: 0, expenses: 0 };
+    });
+    const byMonth = Object.fromEntries(buckets.map(bucket => [bucket.month, bucket]));
+
+    user.transactions.filter(t => countsTowardSpend(t) || countsAsIncome(t)).forEach(t => {
+        const date = new Date(t.date);
+        const bucket = byMonth[`${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`];
+        if (!bucket) return;
+        bucket.income += incomeMinor(t);
+        bucket.expenses += spendMinor(t);
+    });
+
+    const summarize = ({ income, expenses }) => ({
+        income: toMajor(income, currency),
+        expenses: toMajor(expenses, currency),
+        net: toMajor(income - expenses, currency),
+        savingsRate: income > 0 ? (((income - expenses) / income) * 100).toFixed(2) : null
+    });
+    const totals = buckets.reduce((sum, b) => ({
+        income: sum.income + b.income,
+        expenses: sum.expenses + b.expenses
+    }), { income: 0, expenses: 0 });
+
+    return {
+        currency,
+        months: buckets.map(bucket => ({ month: bucket.month, ...summarize(bucket) })),
+        totals: {
+            ...summarize(totals),
+            formatted: {
+                income: formatMinor(totals.income, currency),
+                expenses: formatMinor(totals.expenses, currency),
+                net: formatMinor(totals.income - totals.expenses, currency)
+            }
+        }
+    };
+}
+
+module.exports = {
+    ENTRY_TYPES,
+    ENTRY_METHODS,
+    createEntry,
+    updateEntry,
+    deleteEntry,
+    getEntry,
+    listEntries,
+    getCashFlow
+};
@@ -0,0 +1,351 @@
+// 🔮 Spending forecasts
+// Projects the calendar month's total spend from what is known at a moment
+// (`asOf`) and can backtest itself on past months. Three models:
+//
+//   seasonal          the default. Spend so far, plus the recurring charges
+//                     (see ./recurring) still due this month, plus the rest of
+//                     the month's day-to-day spend at the user's own rate for
+//                     each day of the week over the previous 13 weeks. That
+//                     rate is nudged toward this month's pace (big one-off
+//                     days aside) as the month goes on. Falls back to this month's pace alone when
+//                     there are fewer than MIN_HISTORY_DAYS of history.
+//   linear            spend so far / days elapsed * days in the month, the
+//                     projection the dashboard used to show
+//   history_average   the average total of the last 3 full months
+//
+// Every forecast carries an interval at the requested confidence, taken from
+// the spread of daily (or, for history_average, monthly) spend. Amounts are
+// minor units of the user's home currency until they are formatted.
+
+const { countsTowardSpend, spendMinor } = require('./lifecycle');
+const { toMajor, formatMinor } = require('./money');
+const recurring = require('./recurring');
+const { requireUser } = require('./users');
+const { homeCurrencyOf } = require('./transactions');
+
+const MODELS = ['seasonal', 'linear', 'history_average'];
+const DEFAULT_MODEL = 'seasonal';
+const HISTORY_DAYS = 91; // 13 weeks, so every weekday appears 13 times
+const MIN_HISTORY_DAYS = 14;
+const PACE_PRIOR_DAYS = 7; // How many days of this month weigh as much as the history
+const HISTORY_MONTHS = 3;
+const BUSY_DAY_QUANTILE = 0.9;
+const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+const DEFAULT_CONFIDENCE = 0.8;
+const DEFAULT_CHECKPOINTS = [1, 8, 15, 22];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+function addDays(date, days) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
+function dayKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function daysBetween(start, end) {
+    return Math.round((startOfDay(end) - startOfDay(start)) / DAY_MS);
+}
+
+function sumSpend(transactions) {
+    return transactions.reduce((sum, t) => sum + spendMinor(t), 0);
+}
+
+function standardDeviation(values) {
+    if (values.length < 2) return 0;
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+}
+
+function parseConfidence(confidence) {
+    const value = Number(confidence);
+    return Z_SCORES[value] ? value : DEFAULT_CONFIDENCE;
+}
+
+// Daily spend totals from `start` up to (not including) `end`, zero days included
+function dailyTotals(transactions, start, end) {
+    const totals = {};
+    for (let day = startOfDay(start); day < end; day = addDays(day, 1)) totals[dayKey(day)] = 0;
+    transactions.forEach(t => {
+        const key = dayKey(t.date);
+        if (key in totals) totals[key] += spendMinor(t);
+    });
+    return totals;
+}
+
+// Everything the models need about the month containing `asOf`, using only
+// transactions dated up to `asOf`
+function buildContext(transactions, currency, asOf) {
+    const known = transactions.filter(t => countsTowardSpend(t) && new Date(t.date) <= asOf);
+    const start = new Date(asOf.getFullYear(), asOf.getMonth(), 1);
+    const end = new Date(asOf.getFullYear(), asOf.getMonth() + 1, 1);
+    const daysInMonth = daysBetween(start, end);
+    const elapsedDays = asOf.getDate();
+
+    const subscriptions = recurring.detectRecurring(known, currency, asOf);
+    const recurringIds = new Set(subscriptions.flatMap(s => s.transactionIds));
+    const upcoming = recurring.expectedCharges(subscriptions, asOf, new Date(end - 1));
+
+    const thisMonth = known.filter(t => new Date(t.date) >= start);
+    const variableThisMonth = thisMonth.filter(t => !recurringIds.has(t.id));
+
+    // History starts no earlier than the user's first transaction
+    const firstDate = known.reduce((min, t) => new Date(t.date) < min ? new Date(t.date) : min, start);
+    const historyStart = new Date(Math.max(addDays(start, -HISTORY_DAYS), startOfDay(firstDate)));
+    const history = known.filter(t => new Date(t.date) >= historyStart && new Date(t.date) < start && !recurringIds.has(t.id));
+
+    return {
+        asOf,
+        start,
+        end,
+        daysInMonth,
+        elapsedDays,
+        remainingDays: daysInMonth - elapsedDays,
+        known,
+        firstDate,
+        subscriptions,
+        upcoming,
+        spentMinor: sumSpend(thisMonth),
+        recurringSpentMinor: sumSpend(thisMonth.filter(t => recurringIds.has(t.id))),
+        variableSpentMinor: sumSpend(variableThisMonth),
+        upcomingMinor: upcoming.reduce((sum, charge) => sum + charge.amountMinor, 0),
+        monthDaily: Object.values(dailyTotals(variableThisMonth, start, addDays(startOfDay(asOf), 1))),
+        historyStart,
+        historyDays: daysBetween(historyStart, start),
+        historyDaily: dailyTotals(history, historyStart, start)
+    };
+}
+
+function interval(context, projectedMinor, sigma, z) {
+    return {
+        projectedMinor: Math.round(projectedMinor),
+        lowMinor: Math.round(Math.max(context.spentMinor, projectedMinor - z * sigma)),
+        highMinor: Math.round(projectedMinor + z * sigma)
+    };
+}
+
+function linearModel(context, z) {
+    const { spentMinor, elapsedDays, remainingDays, daysInMonth, monthDaily } = context;
+    const projected = spentMinor / elapsedDays * daysInMonth;
+    // A day or two says little about the spread; assume it is as large as the pace
+    const sigma = elapsedDays >= 3
+        ? standardDeviation(monthDaily) * Math.sqrt(remainingDays)
+        : projected - spentMinor;
+    return interval(context, projected, sigma, z);
+}
+
+function seasonalModel(context, z) {
+    const { start, asOf, elapsedDays, remainingDays, variableSpentMinor, spentMinor, upcomingMinor, historyDays, historyDaily } = context;
+
+    if (historyDays < MIN_HISTORY_DAYS) {
+        const pace = variableSpentMinor / elapsedDays;
+        const remaining = pace * remainingDays;
+        const sigma = elapsedDays >= 3
+            ? standardDeviation(context.monthDaily) * Math.sqrt(remainingDays)
+            : remaining;
+        return { ...interval(context, spentMinor + upcomingMinor + remaining, sigma, z), variableRemainingMinor: Math.round(remaining) };
+    }
+
+    // Average spend per weekday over the history
+    const sums = Array(7).fill(0);
+    const counts = Array(7).fill(0);
+    Object.entries(historyDaily).forEach(([key, total]) => {
+        const weekday = new Date(`${key}T00:00:00`).getDay();
+        sums[weekday] += total;
+        counts[weekday]++;
+    });
+    const rate = weekday => counts[weekday] > 0 ? sums[weekday] / counts[weekday] : 0;
+    const expectedBetween = (from, days) => Array.from({ length: days }, (_, i) => rate(addDays(from, i).getDay()))
+        .reduce((a, b) => a + b, 0);
+
+    const expectedElapsed = expectedBetween(start, elapsedDays);
+    const expectedRemaining = expectedBetween(addDays(startOfDay(asOf), 1), remainingDays);
+
+    // A one-off big purchase is spent, not a new pace: days are capped at a
+    // busy day of the history before they are compared with it
+    const historyValues = Object.values(historyDaily);
+    const busyDay = [...historyValues].sort((a, b) => a - b)[Math.floor(historyValues.length * BUSY_DAY_QUANTILE)];
+    const cappedSpent = context.monthDaily.reduce((sum, total) => sum + Math.min(total, busyDay), 0);
+    const ratio = expectedElapsed > 0 ? cappedSpent / expectedElapsed : 1;
+    const weight = elapsedDays / (elapsedDays + PACE_PRIOR_DAYS);
+    const adjust = Math.min(4, Math.max(0.25, 1 + weight * (ratio - 1)));
+    const remaining = expectedRemaining * adjust;
+    const sigma = standardDeviation(historyValues) * adjust * Math.sqrt(remainingDays);
+
+    return { ...interval(context, spentMinor + upcomingMinor + remaining, sigma, z), variableRemainingMinor: Math.round(remaining) };
+}
+
+function historyAverageModel(context, z) {
+    const totals = [];
+    for (let i = 1; i <= HISTORY_MONTHS; i++) {
+        const monthStart = new Date(context.start.getFullYear(), context.start.getMonth() - i, 1);
+        const monthEnd = new Date(context.start.getFullYear(), context.start.getMonth() - i + 1, 1);
+        if (monthStart < startOfDay(context.firstDate)) break;
+        totals.push(sumSpend(context.known.filter(t => new Date(t.date) >= monthStart && new Date(t.date) < monthEnd)));
+    }
+    if (totals.length === 0) return null;
+
+    const mean = totals.reduce((a, b) => a + b, 0) / totals.length;
+    const sigma = totals.length > 1 ? standardDeviation(totals) : mean / 2;
+    return interval(context, Math.max(context.spentMinor, mean), sigma, z);
+}
+
+const MODEL_FUNCTIONS = {
+    seasonal: seasonalModel,
+    linear: linearModel,
+    history_average: historyAverageModel
+};
+
+function formatResult(result, currency) {
+    if (!result) return null;
+    return {
+        projected: toMajor(result.projectedMinor, currency),
+        low: toMajor(result.lowMinor, currency),
+        high: toMajor(result.highMinor, currency),
+        formatted: {
+            projected: formatMinor(result.projectedMinor, currency),
+            low: formatMinor(result.lowMinor, currency),
+            high: formatMinor(result.highMinor, currency)
+        }
+    };
+}
+
+// Forecast of this calendar month's spend as of `asOf` with every model;
+// `model` picks the headline figure
+function forecastMonth(transactions, currency, { asOf = new Date(), model = DEFAULT_MODEL, confidence } = {}) {
+    const level = parseConfidence(confidence);
+    const z = Z_SCORES[level];
+    const chosen = MODELS.includes(model) ? model : DEFAULT_MODEL;
+    const context = buildContext(transactions, currency, new Date(asOf));
+
+    const results = Object.fromEntries(MODELS.map(name => [name, MODEL_FUNCTIONS[name](context, z)]));
+    const headline = results[chosen] || results[DEFAULT_MODEL];
+
+    return {
+        currency,
+        month: dayKey(context.start).slice(0, 7),
+        asOf: context.asOf.toISOString(),
+        model: results[chosen] ? chosen : DEFAULT_MODEL,
+        confidence: level,
+        projectedMinor: headline.projectedMinor,
+        ...formatResult(headline, currency),
+        components: {
+            spentSoFar: toMajor(context.spentMinor, currency),
+            recurringCharged: toMajor(context.recurringSpentMinor, currency),
+            recurringUpcoming: toMajor(context.upcomingMinor, currency),
+            variableRemaining: toMajor(results.seasonal.variableRemainingMinor, currency)
+        },
+        elapsedDays: context.elapsedDays,
+        remainingDays: context.remainingDays,
+        historyDays: context.historyDays,
+        upcoming: context.upcoming.map(({ subscription, expectedOn, amountMinor }) => ({
+            subscriptionId: subscription.id,
+            name: subscription.name,
+            amount: toMajor(amountMinor, currency),
+            expectedOn: expectedOn.toISOString()
+        })),
+        models: Object.fromEntries(MODELS.map(name => [name, formatResult(results[name], currency)]))
+    };
+}
+
+// Replays the models on each of the last `months` full months: at the end of
+// each checkpoint day they forecast the month from what was known then, and
+// the forecast is scored against the month's actual spend. Transactions are
+// taken with their current status, so a later refund counts from the start.
+function backtest(transactions, currency, { months = 6, checkpoints = DEFAULT_CHECKPOINTS, confidence, now = new Date() } = {}) {
+    const level = parseConfidence(confidence);
+    const z = Z_SCORES[level];
+    const count = Math.min(Math.max(parseInt(months) || 6, 1), 24);
+    const spend = transactions.filter(countsTowardSpend);
+    const firstDate = spend.reduce((min, t) => new Date(t.date) < min ? new Date(t.date) : min, now);
+
+    const samples = [];
+    for (let i = count; i >= 1; i--) {
+        const start = new Date(now.getFullYear(), now.getMonth() - i, 1);
+        const end = new Date(now.getFullYear(), now.getMonth() - i + 1, 1);
+        if (end <= firstDate) continue;
+
+        const actualMinor = sumSpend(spend.filter(t => new Date(t.date) >= start && new Date(t.date) < end));
+        const daysInMonth = daysBetween(start, end);
+
+        checkpoints.filter(day => day >= 1 && day <= daysInMonth).forEach(day => {
+            const asOf = new Date(start.getFullYear(), start.getMonth(), day, 23, 59, 59, 999);
+            const context = buildContext(spend, currency, asOf);
+            MODELS.forEach(model => {
+                const result = MODEL_FUNCTIONS[model](context, z);
+                if (!result) return;
+                samples.push({ model, month: dayKey(start).slice(0, 7), day, actualMinor, ...result });
+            });
+        });
+    }
+
+    const score = list => {
+        if (list.length === 0) return null;
+        const withActual = list.filter(s => s.actualMinor > 0);
+        return {
+            samples: list.length,
+            meanAbsoluteError: toMajor(Math.round(list.reduce((sum, s) => sum + Math.abs(s.projectedMinor - s.actualMinor), 0) / list.length), currency),
+            meanAbsolutePercentageError: withActual.length > 0
+                ? Number((withActual.reduce((sum, s) => sum + Math.abs(s.projectedMinor - s.actualMinor) / s.actualMinor, 0) / withActual.length * 100).toFixed(2))
+                : null,
+            intervalCoverage: Number((list.filter(s => s.actualMinor >= s.lowMinor && s.actualMinor <= s.highMinor).length / list.length).toFixed(3))
+        };
+    };
+
+    const results = Object.fromEntries(MODELS.map(model => {
+        const list = samples.filter(s => s.model === model);
+        return [model, list.length === 0 ? null : {
+            ...score(list),
+            byCheckpoint: Object.fromEntries(checkpoints.map(day => [`day${day}`, score(list.filter(s => s.day === day))]))
+        }];
+    }));
+
+    const ranked = MODELS.filter(model => results[model])
+        .sort((a, b) => results[a].meanAbsoluteError - results[b].meanAbsoluteError);
+
+    return {
+        currency,
+        confidence: level,
+        months: [...new Set(samples.map(s => s.month))],
+        checkpoints,
+        models: results,
+        bestModel: ranked[0] || null
+    };
+}
+
+function getForecast(userId, { model, confidence } = {}) {
+    const user = requireUser(userId);
+    const { projectedMinor, ...result } = forecastMonth(user.transactions, homeCurrencyOf(user), { model, confidence });
+    return result;
+}
+
+// `checkpoints` may come from a query string as "1,8,15"
+function getBacktest(userId, { months, checkpoints, confidence } = {}) {
+    const user = requireUser(userId);
+    const days = checkpoints
+        ? [...new Set(String(checkpoints).split(',').map(day => parseInt(day)).filter(day => day >= 1 && day <= 31))]
+            .sort((a, b) => a - b)
+        : DEFAULT_CHECKPOINTS;
+    return backtest(user.transactions, homeCurrencyOf(user), {
+        months,
+        checkpoints: days.length > 0 ? days : DEFAULT_CHECKPOINTS,
+        confidence
+    });
+}
+
+module.exports = {
+    MODELS,
+    forecastMonth,
+    backtest,
+    getForecast,
+    getBacktest
+};
@@ -0,0 +1,193 @@
+// 💱 Foreign exchange
+// Conversion runs entirely offline from a dated rate table imported from CSV
+// or JSON. The table lives in budgetData.fxRates as
+//
+//   { 'YYYY-MM-DD': { 'USD/INR': 83.12, 'EUR/INR': 90.4 } }
+//
+// where 'BASE/QUOTE': rate means 1 BASE = rate QUOTE. A conversion uses the
+// latest table on or before the transaction date (the earliest later one when
+// none is older) and may go through inverse or cross rates of that day.
+//
+// CSV files have the header `date,base,quote,rate`. JSON files hold either an
+// array of such rows or of `{ date, base, rates: { QUOTE: rate } }` tables.
+
+const fs = require('fs');
+const path = require('path');
+const { state } = require('../state');
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+class FxRateError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'FxRateError';
+        this.details = details;
+    }
+}
+
+function isCurrencyCode(currency) {
+    return CURRENCY_CODE.test(String(currency || '').toUpperCase());
+}
+
+function toDateKey(date) {
+    const value = date ? new Date(date) : new Date();
+    if (isNaN(value)) {
+        throw new FxRateError(`Invalid date: ${date}`);
+    }
+    return value.toISOString().slice(0, 10);
+}
+
+function normalizeRow(row, index) {
+    const base = String(row.base || '').trim().toUpperCase();
+    const quote = String(row.quote || '').trim().toUpperCase();
+    const rate = Number(row.rate);
+    const where = `row ${index + 1}`;
+
+    if (!DATE_KEY.test(String(row.date || '').trim())) {
+        throw new FxRateError(`${where}: date must be YYYY-MM-DD`, { row });
+    }
+    if (!isCurrencyCode(base) || !isCurrencyCode(quote) || base === quote) {
+        throw new FxRateError(`${where}: base and quote must be two different currency codes`, { row });
+    }
+    if (!Number.isFinite(rate) || rate <= 0) {
+        throw new FxRateError(`${where}: rate must be a positive number`, { row });
+    }
+
+    return { date: String(row.date).trim(), base, quote, rate };
+}
+
+function parseRatesCsv(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) return [];
+
+    const header = lines[0].split(',').map(column => column.trim().toLowerCase());
+    const missing = ['date', 'base', 'quote', 'rate'].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+        throw new FxRateError(`CSV header is missing: ${missing.join(', ')}`);
+    }
+
+    return lines.slice(1).map(line => {
+        const values = line.split(',').map(value => value.trim());
+        return Object.fromEntries(header.map((column, i) => [column, values[i]]));
+    });
+}
+
+function parseRatesJson(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    const tables = Array.isArray(data) ? data : [data];
+
+    return tables.flatMap(entry => {
+        if (entry && entry.rates && typeof entry.rates === 'object') {
+            return Object.entries(entry.rates).map(([quote, rate]) => ({
+                date: entry.date,
+                base: entry.base,
+                quote,
+                rate
+            }));
+        }
+        return [entry || {}];
+    });
+}
+
+// Adds rows to the table; a pair already present for a date is overwritten
+function importRates(rows) {
+    const normalized = rows.map(normalizeRow);
+    const dates = new Set();
+
+    normalized.forEach(({ date, base, quote, rate }) => {
+        const table = state.budgetData.fxRates[date] = state.budgetData.fxRates[date] || {};
+        table[`${base}/${quote}`] = rate;
+        dates.add(date);
+    });
+
+    return { imported: normalized.length, dates: [...dates].sort() };
+}
+
+function readRatesFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    return path.extname(file).toLowerCase() === '.csv' ? parseRatesCsv(text) : parseRatesJson(text);
+}
+
+// Rate of `from` in `to` within one day's table, following inverse and cross
+// rates as needed
+function rateInTable(table, from, to) {
+    const graph = {};
+    Object.entries(table).forEach(([pair, rate]) => {
+        const [base, quote] = pair.split('/');
+        (graph[base] = graph[base] || []).push([quote, rate]);
+        (graph[quote] = graph[quote] || []).push([base, 1 / rate]);
+    });
+
+    const seen = new Set([from]);
+    const queue = [[from, 1]];
+    while (queue.length > 0) {
+        const [currency, rate] = queue.shift();
+        if (currency === to) return rate;
+
+        (graph[currency] || []).forEach(([next, step]) => {
+            if (!seen.has(next)) {
+                seen.add(next);
+                queue.push([next, rate * step]);
+            }
+        });
+    }
+    return null;
+}
+
+// Returns { rate, date } or null when the table cannot convert the pair
+function findRate(from, to, date) {
+    from = String(from).toUpperCase();
+    to = String(to).toUpperCase();
+    if (from === to) return { rate: 1, date: null };
+
+    const target = toDateKey(date);
+    const dates = Object.keys(state.budgetData.fxRates).sort();
+    const ordered = [
+        ...dates.filter(d => d <= target).reverse(),
+        ...dates.filter(d => d > target)
+    ];
+
+    for (const day of ordered) {
+        const rate = rateInTable(state.budgetData.fxRates[day], from, to);
+        if (rate !== null) return { rate, date: day };
+    }
+    return null;
+}
+
+// Converts a Money into `currency` at the rate for `date`.
+// Returns { money, rate, rateDate }; throws FxRateError without a usable rate.
+function convert(money, currency, date) {
+    const found = findRate(money.currency, currency, date);
+    if (!found) {
+        throw new FxRateError(`No FX rate from ${money.currency} to ${String(currency).toUpperCase()}`, {
+            from: money.currency,
+            to: String(currency).toUpperCase()
+        });
+    }
+
+    return {
+        money: money.convert(currency, found.rate),
+        rate: found.rate,
+        rateDate: found.date
+    };
+}
+
+function listRates({ from, to } = {}) {
+    return Object.keys(state.budgetData.fxRates)
+        .filter(date => (!from || date >= from) && (!to || date <= to))
+        .sort()
+        .map(date => ({ date, rates: state.budgetData.fxRates[date] }));
+}
+
+module.exports = {
+    FxRateError,
+    isCurrencyCode,
+    parseRatesCsv,
+    parseRatesJson,
+    readRatesFile,
+    importRates,
+    findRate,
+    convert,
+    listRates
+};
@@ -0,0 +1,126 @@
+// 🛡️ Budget guard
+// Checks an order against the user's budget before it is created. An order
+// that would take the current budget period or its category past the limit
+// gets the strictest policy that applies (see budgets.js):
+//
+//   allow     the order is created
+//   warn      the order is created and the response carries the warnings
+//   confirm   409 with a one-time confirmation token; sending the token back
+//             with the same order creates it
+//   block     403, no order is created
+//
+// Every check returns the projected post-payment analysis, whatever the policy.
+
+const crypto = require('crypto');
+const { state, currentTenantId } = require('../state');
+const { ApiError } = require('../errors');
+const fx = require('./fx');
+const { GUARD_POLICIES, getBudget } = require('./budgets');
+const { homeCurrencyOf } = require('./transactions');
+const { AIBudgetAnalyzer, categoryKey } = require('./analyzer');
+
+const CONFIRMATION_TTL_MS = 10 * 60 * 1000;
+
+// Tokens only live as long as the process; a restart means confirming again
+const confirmations = new Map();
+
+function strictest(policies) {
+    return policies.reduce((worst, policy) =>
+        GUARD_POLICIES.indexOf(policy) > GUARD_POLICIES.indexOf(worst) ? policy : worst, 'allow');
+}
+
+function orderFingerprint({ userId, money, category }) {
+    return [currentTenantId(), userId, money.currency, money.minor, categoryKey(category)].join('|');
+}
+
+function issueConfirmation(order) {
+    const now = Date.now();
+    confirmations.forEach((entry, token) => {
+        if (entry.expiresAt <= now) confirmations.delete(token);
+    });
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + CONFIRMATION_TTL_MS;
+    confirmations.set(token, { fingerprint: orderFingerprint(order), expiresAt });
+    return { confirmationToken: token, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+function isConfirmed(token, order) {
+    const entry = token && confirmations.get(token);
+    return Boolean(entry && entry.expiresAt > Date.now() && entry.fingerprint === orderFingerprint(order));
+}
+
+// The token is used up as soon as checkOrder accepts it, so two requests
+// racing with one token cannot both get past the guard; an order that then
+// fails gets it back, with a fresh lifetime, to be retried.
+function restoreConfirmation(token, order) {
+    confirmations.set(token, { fingerprint: orderFingerprint(order), expiresAt: Date.now() + CONFIRMATION_TTL_MS });
+}
+
+// `money` is the order amount in its own currency. Returns
+// { action, breaches, projection, confirmed }; throws ApiError 403 when the
+// order is blocked and 409 when it needs confirmation. A confirmation token
+// it accepts is spent; see restoreConfirmation.
+function checkOrder({ userId, money, category, confirmationToken }) {
+    const budget = getBudget(userId);
+    const userPolicy = budget.guard || 'allow';
+    const homeCurrency = homeCurrencyOf(state.budgetData.users[userId]);
+
+    let homeMinor = money.currency === homeCurrency ? money.minor : null;
+    if (homeMinor === null) {
+        try {
+            homeMinor = fx.convert(money, homeCurrency).money.minor;
+        } catch (error) {
+            if (!(error instanceof fx.FxRateError)) throw error;
+        }
+    }
+
+    const categoryName = Object.keys(budget.categories || {}).find(c => categoryKey(c) === categoryKey(category));
+    const categoryPolicy = (categoryName && budget.categories[categoryName].guard) || userPolicy;
+
+    const breaches = [];
+    let projection = null;
+    if (homeMinor === null) {
+        // Without a rate the impact is unknown, so the strictest policy that could apply does
+        breaches.push({
+            scope: 'fx',
+            policy: strictest([userPolicy, categoryPolicy]),
+            message: `No FX rate from ${money.currency} to ${homeCurrency}, so the budget impact is unknown`
+        });
+    } else {
+        projection = AIBudgetAnalyzer.projectPayment(userId, homeMinor, category);
+
+        if (projection.overall.exceedsLimit) {
+            breaches.push({ scope: 'budget', policy: userPolicy, message: projection.overall.message });
+        }
+        if (projection.category && projection.category.exceedsLimit) {
+            breaches.push({
+                scope: 'category',
+                category: projection.category.category,
+                policy: categoryPolicy,
+                message: projection.category.message
+            });
+        }
+    }
+
+    const result = { action: strictest(breaches.map(b => b.policy)), breaches, projection };
+
+    if (result.action === 'block') {
+        throw new ApiError(403, 'Payment blocked by budget guard', { budgetGuard: result });
+    }
+
+    if (result.action === 'confirm') {
+        const order = { userId, money, category };
+        if (!isConfirmed(confirmationToken, order)) {
+            throw new ApiError(409, 'Payment exceeds the budget and needs confirmation', {
+                budgetGuard: { ...result, requiresConfirmation: true, ...issueConfirmation(order) }
+            });
+        }
+        confirmations.delete(confirmationToken);
+        result.confirmed = true;
+    }
+
+    return result;
+}
+
+module.exports = { checkOrder, restoreConfirmation };
@@ -0,0 +1,134 @@
+// 🔄 Payment Lifecycle
+// Orders and transactions share one state machine. Every change goes through
+// transitionStatus() so illegal jumps are rejected and the history is kept.
+
+const PAYMENT_TRANSITIONS = {
+    created: ['authorized', 'captured', 'failed'],
+    authorized: ['captured', 'failed', 'refunded'],
+    captured: ['partially_refunded', 'refunded', 'disputed'],
+    partially_refunded: ['partially_refunded', 'refunded', 'disputed'],
+    disputed: ['captured', 'partially_refunded', 'refunded'],
+    failed: ['authorized', 'captured'], // Retries and late authorization
+    refunded: []
+};
+
+const REFUND_TRANSITIONS = {
+    pending: ['processed', 'failed'],
+    processed: [],
+    failed: []
+};
+
+// Statuses whose money counts as spent in budgets and analytics
+const SPEND_STATUSES = ['captured', 'partially_refunded', 'disputed'];
+
+// Statuses from before the lifecycle existed
+const LEGACY_STATUSES = {
+    success: 'captured',
+    paid: 'captured'
+};
+
+class PaymentLifecycleError extends Error {
+    constructor(from, to) {
+        super(`Illegal status transition: ${from} → ${to}`);
+        this.name = 'PaymentLifecycleError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+function canTransition(from, to, transitions = PAYMENT_TRANSITIONS) {
+    return (transitions[from] || []).includes(to);
+}
+
+function transitionStatus(entity, to, source, details = {}, transitions = PAYMENT_TRANSITIONS) {
+    const from = entity.status;
+
+    // Re-delivered events land on the state they already produced
+    if (from === to && !canTransition(from, to, transitions)) {
+        return false;
+    }
+
+    if (from && !canTransition(from, to, transitions)) {
+        throw new PaymentLifecycleError(from, to);
+    }
+
+    const at = new Date().toISOString();
+    entity.statusHistory = entity.statusHistory || [];
+    entity.statusHistory.push({ from: from || null, to, at, source, ...details });
+    entity.status = to;
+    entity.updatedAt = at;
+    return true;
+}
+
+function normalizeStatus(status) {
+    return LEGACY_STATUSES[status] || status;
+}
+
+// Income entries (see entries.js) go through the same statuses but are
+// never spend. Deleted manual entries (see edits.js) are kept for their
+// history and count as neither.
+function countsTowardSpend(transaction) {
+    return transaction.type !== 'income' && !transaction.deletedAt && SPEND_STATUSES.includes(transaction.status);
+}
+
+function countsAsIncome(transaction) {
+    return transaction.type === 'income' && !transaction.deletedAt && SPEND_STATUSES.includes(transaction.status);
+}
+
+// Net minor units of the user's home currency a transaction contributes to
+// spend once refunds are taken off. Refunds are converted at the rate the
+// payment was booked at, so they reverse exactly what it added. A payment
+// whose conversion is still missing contributes nothing until rates arrive.
+function spendMinor(transaction) {
+    if (!countsTowardSpend(transaction) || transaction.homeAmountMinor === null) return 0;
+
+    const refunded = transaction.refundedAmountMinor || 0;
+    if (transaction.homeAmountMinor === undefined || transaction.amountMinor === 0) {
+        return transaction.amountMinor - refunded;
+    }
+
+    const homeRefunded = Math.round(refunded * transaction.homeAmountMinor / transaction.amountMinor);
+    return transaction.homeAmountMinor - homeRefunded;
+}
+
+// The spend of a transaction as [category, minor] pairs. A split transaction
+// spreads its spend over the splits in proportion to their share of the
+// original amount; the last split takes the rounding remainder.
+function categoryShares(transaction) {
+    const spent = spendMinor(transaction);
+    const splits = transaction.splits || [];
+    if (splits.length === 0 || !transaction.amountMinor) {
+        return [[transaction.category || 'Other', spent]];
+    }
+
+    let assigned = 0;
+    return splits.map((split, index) => {
+        const share = index === splits.length - 1
+            ? spent - assigned
+            : Math.round(spent * split.amountMinor / transaction.amountMinor);
+        assigned += share;
+        return [split.category, share];
+    });
+}
+
+// Minor units of the user's home currency an income entry adds
+function incomeMinor(transaction) {
+    if (!countsAsIncome(transaction) || transaction.homeAmountMinor === null) return 0;
+    return transaction.homeAmountMinor === undefined ? transaction.amountMinor : transaction.homeAmountMinor;
+}
+
+module.exports = {
+    PAYMENT_TRANSITIONS,
+    REFUND_TRANSITIONS,
+    SPEND_STATUSES,
+    LEGACY_STATUSES,
+    PaymentLifecycleError,
+    canTransition,
+    transitionStatus,
+    normalizeStatus,
+    countsTowardSpend,
+    countsAsIncome,
+    spendMinor,
+    categoryShares,
+    incomeMinor
+};
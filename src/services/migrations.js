@@ -0,0 +1,251 @@
+// Brings data written by the older servers into the shape the unified app
+// uses: amounts in rupees, `date` on transactions, lifecycle statuses, a
+// payments log entry per transaction and per-user budgets.
+//
+//   budget-tracker-backend.js   paise, `timestamp`, a global `transactions` log
+//                               and one global `budgetLimits` object
+//   budget-tracker-server.js    users without ids, payments without userId,
+//                               'success' statuses
+//
+// Version 3 stores every amount as integer minor units (`amountMinor`,
+// `totalSpentMinor`, `monthlyMinor`, ...) next to its major-unit value.
+//
+// Version 4 gives every user a home currency (INR for existing data) and every
+// transaction its home-currency amount, and keeps platform totals per home
+// currency in `analytics.totalsByCurrency`.
+//
+// Version 5 stores category limits as `{ limitMinor, limit, alertAt }`; the
+// older servers kept whatever `categories` object the client sent.
+//
+// Version 6 adds the categorization rules (see ./rules).
+//
+// Version 7 adds password credentials and login sessions (see ./auth).
+//
+// Version 8 adds the audit log of staff actions (see ./admin).
+//
+// Version 9 adds partner apps and their API keys (see ./partners).
+//
+// Version 10 adds the stored responses of idempotent requests (see ../idempotency).
+//
+// Version 11 adds the password setup tokens of accounts without a password (see ./auth).
+//
+// `schemaVersion` marks data that has been migrated so it never runs twice.
+
+const { normalizeStatus, spendMinor } = require('./lifecycle');
+const { DEFAULT_CURRENCY, Money, MoneyError } = require('./money');
+
+const SCHEMA_VERSION = 11;
+const DEFAULT_CATEGORY_ALERTS = [75, 90, 100];
+
+function migrateBackendData(budgetData) {
+    const transactions = budgetData.transactions || [];
+    const known = new Set();
+
+    Object.entries(budgetData.users).forEach(([userId, user]) => {
+        user.transactions = user.transactions || [];
+        user.transactions.forEach(t => known.add(t.id));
+    });
+
+    // Payments the webhook booked for users that were never created
+    transactions.filter(t => !known.has(t.id) && t.userId).forEach(t => {
+        const user = budgetData.users[t.userId] = budgetData.users[t.userId] || {
+            id: t.userId,
+            transactions: [],
+            createdAt: t.timestamp
+        };
+        user.transactions.push(t);
+    });
+
+    Object.values(budgetData.users).forEach(user => {
+        user.transactions.forEach(t => {
+            t.amount = t.amount / 100; // Convert from paise
+            t.date = t.date || t.timestamp;
+            delete t.timestamp;
+        });
+    });
+
+    const limits = budgetData.budgetLimits || {};
+    budgetData.budgetDefaults = {};
+    ['daily', 'weekly', 'monthly'].forEach(period => {
+        if (limits[period]) budgetData.budgetDefaults[period] = limits[period] / 100;
+    });
+
+    delete budgetData.budgetLimits;
+}
+
+function migrateToVersion2(budgetData) {
+    if (budgetData.budgetLimits) {
+        migrateBackendData(budgetData);
+    }
+
+    const logged = new Set(budgetData.payments.map(p => p.id));
+
+    Object.entries(budgetData.users).forEach(([userId, user]) => {
+        user.id = user.id || userId;
+        user.transactions = user.transactions || [];
+        user.transactions.forEach(t => {
+            t.status = normalizeStatus(t.status);
+            if (!logged.has(t.id)) {
+                budgetData.payments.push({ ...t, userId });
+            }
+        });
+    });
+
+    budgetData.payments.forEach(payment => {
+        payment.status = normalizeStatus(payment.status);
+        if (!payment.userId) {
+            const owner = Object.values(budgetData.users)
+                .find(user => user.transactions.some(t => t.id === payment.id));
+            if (owner) payment.userId = owner.id;
+        }
+    });
+
+    Object.values(budgetData.orders).forEach(order => {
+        order.status = normalizeStatus(order.status);
+    });
+}
+
+// Major-unit amounts become `<field>Minor` integers; the order ledger already
+// held Razorpay's minor units in `amount`
+function migrateToVersion3(budgetData) {
+    const toMinor = (record, field, currency) => {
+        if (record[field] === undefined || record[field] === null || record[`${field}Minor`] !== undefined) return;
+        Object.assign(record, Money.fromMajor(record[field], currency).toFields(field));
+    };
+
+    const transactions = [
+        ...budgetData.payments,
+        ...Object.values(budgetData.users).flatMap(user => user.transactions)
+    ];
+    transactions.forEach(t => {
+        toMinor(t, 'amount', t.currency);
+        toMinor(t, 'refundedAmount', t.currency);
+    });
+
+    Object.values(budgetData.refunds).forEach(refund => toMinor(refund, 'amount', refund.currency));
+
+    Object.values(budgetData.orders).forEach(order => {
+        if (order.amountMinor === undefined) {
+            Object.assign(order, Money.fromMinor(Math.round(order.amount), order.currency).toFields());
+        }
+    });
+
+    [...Object.values(budgetData.budgets), budgetData.budgetDefaults].forEach(budget => {
+        ['daily', 'weekly', 'monthly'].forEach(period => toMinor(budget, period));
+    });
+
+    Object.values(budgetData.users).forEach(user => {
+        const spent = user.transactions.reduce((sum, t) => sum + spendMinor(t), 0);
+        Object.assign(user, Money.fromMinor(spent).toFields('totalSpent'));
+    });
+
+    const settled = budgetData.payments.filter(p => spendMinor(p) > 0);
+    budgetData.analytics = {
+        totalUsers: Object.keys(budgetData.users).length,
+        totalTransactions: settled.length,
+        ...Money.fromMinor(settled.reduce((sum, p) => sum + spendMinor(p), 0)).toFields('totalAmount')
+    };
+}
+
+// No rates exist yet, so foreign payments are marked missing until a rate
+// table is imported
+function migrateToVersion4(budgetData) {
+    budgetData.fxRates = budgetData.fxRates || {};
+
+    const homeAmount = (t, currency) => {
+        t.homeCurrency = currency;
+        if (String(t.currency || DEFAULT_CURRENCY).toUpperCase() === currency) {
+            Object.assign(t, Money.fromMinor(t.amountMinor, currency).toFields('homeAmount'));
+        } else {
+            Object.assign(t, { homeAmountMinor: null, homeAmount: null, fxStatus: 'missing' });
+        }
+    };
+
+    const totals = {};
+    Object.values(budgetData.users).forEach(user => {
+        const currency = user.homeCurrency = user.homeCurrency || DEFAULT_CURRENCY;
+        user.transactions.forEach(t => homeAmount(t, currency));
+
+        const spent = user.transactions.reduce((sum, t) => sum + spendMinor(t), 0);
+        Object.assign(user, Money.fromMinor(spent, currency).toFields('totalSpent'));
+        totals[currency] = (totals[currency] || 0) + spent;
+    });
+
+    budgetData.payments.forEach(p => {
+        homeAmount(p, budgetData.users[p.userId]?.homeCurrency || DEFAULT_CURRENCY);
+    });
+
+    Object.values(budgetData.budgets).forEach(budget => {
+        budget.currency = budget.currency || DEFAULT_CURRENCY;
+    });
+
+    const { totalAmountMinor, totalAmount, ...analytics } = budgetData.analytics || {};
+    budgetData.analytics = { ...analytics, totalsByCurrency: totals };
+}
+
+// Plain numbers were major-unit limits; entries that hold no usable limit
+// are dropped
+function migrateToVersion5(budgetData) {
+    Object.values(budgetData.budgets).forEach(budget => {
+        const categories = {};
+        Object.entries(budget.categories || {}).forEach(([category, value]) => {
+            const limit = value !== null && typeof value === 'object' ? value.limit : value;
+            try {
+                const money = Money.fromMajor(limit, budget.currency);
+                if (money.isPositive()) {
+                    categories[category] = { ...money.toFields('limit'), alertAt: DEFAULT_CATEGORY_ALERTS };
+                }
+            } catch (error) {
+                if (!(error instanceof MoneyError)) throw error;
+            }
+        });
+        budget.categories = categories;
+    });
+}
+
+function migrateToVersion6(budgetData) {
+    budgetData.categoryRules = budgetData.categoryRules || [];
+}
+
+function migrateToVersion7(budgetData) {
+    budgetData.credentials = budgetData.credentials || {};
+    budgetData.sessions = budgetData.sessions || {};
+}
+
+function migrateToVersion8(budgetData) {
+    budgetData.auditLog = budgetData.auditLog || [];
+}
+
+function migrateToVersion9(budgetData) {
+    budgetData.partners = budgetData.partners || {};
+}
+
+function migrateToVersion10(budgetData) {
+    budgetData.idempotencyKeys = budgetData.idempotencyKeys || {};
+}
+
+function migrateToVersion11(budgetData) {
+    budgetData.passwordSetups = budgetData.passwordSetups || {};
+}
+
+function migrateLegacyData(budgetData) {
+    const version = budgetData.schemaVersion || 1;
+
+    if (version < 2) migrateToVersion2(budgetData);
+    if (version < 3) migrateToVersion3(budgetData);
+    if (version < 4) migrateToVersion4(budgetData);
+    if (version < 5) migrateToVersion5(budgetData);
+    if (version < 6) migrateToVersion6(budgetData);
+    if (version < 7) migrateToVersion7(budgetData);
+    if (version < 8) migrateToVersion8(budgetData);
+    if (version < 9) migrateToVersion9(budgetData);
+    if (version < 10) migrateToVersion10(budgetData);
+    if (version < 11) migrateToVersion11(budgetData);
+
+    // SQL adapters rebuild this log on every load; nothing reads it any more
+    delete budgetData.transactions;
+    budgetData.schemaVersion = SCHEMA_VERSION;
+    return budgetData;
+}
+
+module.exports = { migrateLegacyData, SCHEMA_VERSION };
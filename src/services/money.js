@@ -0,0 +1,205 @@
+// 💰 Money
+// Amounts are held as integer minor units (paise, cents, fils) together with
+// their currency, so sums never pick up floating-point drift. Stored records
+// keep the integer in `<field>Minor` and, for API output, the same amount in
+// major units in `<field>`; the major value is always derived, never summed.
+
+const DEFAULT_CURRENCY = 'INR';
+
+// Digits after the decimal point, as Razorpay and ISO 4217 define them
+const CURRENCY_EXPONENTS = {
+    INR: 2,
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    JPY: 0,
+    KWD: 3
+};
+
+const FALLBACK_EXPONENT = 2;
+
+class MoneyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MoneyError';
+    }
+}
+
+function normalizeCurrency(currency) {
+    return String(currency || DEFAULT_CURRENCY).toUpperCase();
+}
+
+function exponentOf(currency) {
+    const exponent = CURRENCY_EXPONENTS[normalizeCurrency(currency)];
+    return exponent === undefined ? FALLBACK_EXPONENT : exponent;
+}
+
+class Money {
+    constructor(minor, currency = DEFAULT_CURRENCY) {
+        if (!Number.isSafeInteger(minor)) {
+            throw new MoneyError(`Minor units must be a whole number, got ${minor}`);
+        }
+
+        this.minor = minor;
+        this.currency = normalizeCurrency(currency);
+        Object.freeze(this);
+    }
+
+    static fromMinor(minor, currency) {
+        return new Money(Number(minor), currency);
+    }
+
+    // Parses a major-unit amount (250.5, "250.50"). The value is rounded half
+    // up to the currency's precision on its shortest decimal string rather
+    // than by multiplying a float, so 1.005 becomes 101 paise, not 100.
+    static fromMajor(amount, currency) {
+        const value = Number(amount);
+        if (amount === null || amount === '' || !Number.isFinite(value)) {
+            throw new MoneyError(`Invalid amount: ${amount}`);
+        }
+
+        const exponent = exponentOf(currency);
+        const decimal = Math.abs(value).toString();
+        if (decimal.includes('e')) {
+            // Far too large or too small to be a payment; precision is moot
+            return new Money(Math.sign(value) * Math.round(Math.abs(value) * 10 ** exponent), currency);
+        }
+
+        const [whole, fraction = ''] = decimal.split('.');
+        const digits = fraction.padEnd(exponent + 1, '0');
+        let minor = parseInt(whole + digits.slice(0, exponent), 10);
+        if (digits[exponent] >= '5') minor++;
+
+        return new Money(value < 0 ? -minor : minor, currency);
+    }
+
+    static zero(currency) {
+        return new Money(0, currency);
+    }
+
+    static sum(amounts, currency) {
+        return amounts.reduce((total, money) => total.add(money), Money.zero(currency));
+    }
+
+    assertSameCurrency(other) {
+        if (other.currency !== this.currency) {
+            throw new MoneyError(`Currency mismatch: ${this.currency} and ${other.currency}`);
+        }
+    }
+
+    add(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.minor + other.minor, this.currency);
+    }
+
+    subtract(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.minor - other.minor, this.currency);
+    }
+
+    // Rounds half away from zero to the nearest minor unit
+    multiply(factor) {
+        const product = this.minor * factor;
+        return new Money(Math.sign(product) * Math.round(Math.abs(product)), this.currency);
+    }
+
+    // Converts at `rate` (1 unit of this currency = rate units of `currency`),
+    // rounding half away from zero to the target's minor unit
+    convert(currency, rate) {
+        const shift = exponentOf(currency) - exponentOf(this.currency);
+        const product = this.minor * rate * 10 ** shift;
+        return new Money(Math.sign(product) * Math.round(Math.abs(product)), currency);
+    }
+
+    compare(other) {
+        this.assertSameCurrency(other);
+        return Math.sign(this.minor - other.minor);
+    }
+
+    isZero() {
+        return this.minor === 0;
+    }
+
+    isPositive() {
+        return this.minor > 0;
+    }
+
+    isNegative() {
+        return this.minor < 0;
+    }
+
+    toMajor() {
+        return this.minor / 10 ** exponentOf(this.currency);
+    }
+
+    // Major units as a fixed-precision string, e.g. "250.50" or "1.250" (KWD)
+    toDecimalString() {
+        return this.toMajor().toFixed(exponentOf(this.currency));
+    }
+
+    format(locale = 'en-IN') {
+        const exponent = exponentOf(this.currency);
+        try {
+            return new Intl.NumberFormat(locale, {
+                style: 'currency',
+                currency: this.currency,
+                minimumFractionDigits: exponent,
+                maximumFractionDigits: exponent
+            }).format(this.toMajor());
+        } catch (error) {
+            // Codes Intl does not know still get a readable amount
+            return `${this.currency} ${this.toDecimalString()}`;
+        }
+    }
+
+    // `{ amountMinor, amount }` for spreading into a stored record
+    toFields(field = 'amount') {
+        return {
+            [`${field}Minor`]: this.minor,
+            [field]: this.toMajor()
+        };
+    }
+
+    toJSON() {
+        return {
+            minor: this.minor,
+            amount: this.toMajor(),
+            currency: this.currency,
+            formatted: this.format()
+        };
+    }
+
+    toString() {
+        return this.format();
+    }
+}
+
+// Reads `<field>Minor` off a stored record; a missing value counts as zero
+function readAmount(record, field = 'amount', currency = record.currency) {
+    return new Money(record[`${field}Minor`] || 0, currency);
+}
+
+// Writes `<field>Minor` and the derived major-unit `<field>` onto a record
+function writeAmount(record, field, money) {
+    return Object.assign(record, money.toFields(field));
+}
+
+function toMajor(minor, currency = DEFAULT_CURRENCY) {
+    return new Money(minor, currency).toMajor();
+}
+
+function formatMinor(minor, currency = DEFAULT_CURRENCY) {
+    return new Money(minor, currency).format();
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    CURRENCY_EXPONENTS,
+    Money,
+    MoneyError,
+    exponentOf,
+    readAmount,
+    writeAmount,
+    toMajor,
+    formatMinor
+};
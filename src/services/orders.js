@@ -0,0 +1,75 @@
+// 🧾 Order Ledger
+// Orders are recorded server-side at creation so verification never has to
+// trust the amount or metadata echoed back by the client.
+
+const { state } = require('../state');
+const { transitionStatus } = require('./lifecycle');
+const { Money } = require('./money');
+
+function recordOrder(order, userId) {
+    const ledgerEntry = {
+        id: order.id,
+        userId,
+        ...Money.fromMinor(order.amount, order.currency).toFields(),
+        currency: order.currency,
+        category: order.notes.category,
+        description: order.notes.description,
+        notes: order.notes,
+        receipt: order.receipt,
+        createdAt: new Date().toISOString()
+    };
+
+    transitionStatus(ledgerEntry, 'created', 'create_order');
+    state.budgetData.orders[order.id] = ledgerEntry;
+    return ledgerEntry;
+}
+
+function getOrder(orderId) {
+    return state.budgetData.orders[orderId] || null;
+}
+
+// True when a client-supplied major-unit amount is exactly the order's amount
+function matchesAmount(order, amount) {
+    try {
+        return Money.fromMajor(amount, order.currency).minor === order.amountMinor;
+    } catch (error) {
+        return false;
+    }
+}
+
+function findOrderMismatches(order, claimed) {
+    const mismatches = [];
+
+    if (claimed.userId !== order.userId) {
+        mismatches.push('userId');
+    }
+    if (claimed.amount !== undefined && !matchesAmount(order, claimed.amount)) {
+        mismatches.push('amount');
+    }
+    if (claimed.currency !== undefined && claimed.currency !== order.currency) {
+        mismatches.push('currency');
+    }
+    if (claimed.category !== undefined && claimed.category !== order.category) {
+        mismatches.push('category');
+    }
+    if (claimed.description !== undefined && claimed.description !== order.description) {
+        mismatches.push('description');
+    }
+
+    return mismatches;
+}
+
+function transitionOrder(orderId, to, source, details = {}) {
+    const order = state.budgetData.orders[orderId];
+    if (!order) return null;
+
+    transitionStatus(order, to, source, details);
+    return order;
+}
+
+// The ledger knows who placed an order even when the payment carries no notes
+function resolvePaymentOwner(payment) {
+    return state.budgetData.orders[payment.order_id]?.userId || payment.notes?.userId;
+}
+
+module.exports = { recordOrder, getOrder, findOrderMismatches, transitionOrder, resolvePaymentOwner };
@@ -0,0 +1,338 @@
+// 🤝 Partner API keys
+// Partner apps call the API from their own servers with
+// `X-API-Key: btk_<keyId>_<secret>`. Only the SHA-256 of the secret is
+// stored; the full key is shown once, when it is issued. Each key carries
+//
+//   scopes      payments:write (create and verify orders, onboard users) and
+//               analytics:read (read their users' dashboards and history)
+//   rateLimit   { requests, windowSeconds }, counted per key in memory
+//   expiresAt   set when the key is rotated: the old key keeps working until
+//               then, so the partner can deploy the new one without downtime
+//
+// A partner reaches only the users it onboarded (`user.partnerId`); disabling
+// the partner stops all of its keys at once. Partners with `requireSignature`
+// must also sign every request (see verifySignature); the signing secret is
+// stored as issued, since the server has to compute the same HMAC.
+//
+// Changes are made by admins and written to the audit log; `actor` is the
+// caller's `req.auth`.
+
+const crypto = require('crypto');
+const { state, saveData } = require('../state');
+const { ApiError } = require('../errors');
+const { audit } = require('./admin');
+
+const SCOPES = ['payments:write', 'analytics:read'];
+const DEFAULT_RATE_LIMIT = { requests: 600, windowSeconds: 60 };
+const DEFAULT_ROTATION_OVERLAP = 24 * 60 * 60; // seconds
+const SIGNATURE_TOLERANCE = 5 * 60; // seconds a signed request stays valid
+const LAST_USED_SAVE_INTERVAL = 60 * 1000; // Last-used times are saved at most this often
+
+const windows = new Map(); // keyId → { startedAt, count }
+const seenSignatures = new Map(); // signature → expiry, against replays
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function parseScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+        throw new ApiError(400, `scopes must be a list of ${SCOPES.join(', ')}`, { received: scopes });
+    }
+    return [...new Set(scopes)];
+}
+
+function parseRateLimit(rateLimit) {
+    if (rateLimit === undefined) return { ...DEFAULT_RATE_LIMIT };
+
+    const requests = Number(rateLimit?.requests);
+    const windowSeconds = Number(rateLimit?.windowSeconds ?? DEFAULT_RATE_LIMIT.windowSeconds);
+    if (!Number.isSafeInteger(requests) || requests < 1 || !Number.isSafeInteger(windowSeconds) || windowSeconds < 1) {
+        throw new ApiError(400, 'rateLimit must be { requests, windowSeconds } with positive whole numbers', { received: rateLimit });
+    }
+    return { requests, windowSeconds };
+}
+
+function requirePartner(partnerId) {
+    const partner = state.budgetData.partners[partnerId];
+    if (!partner) {
+        throw new ApiError(404, 'Partner not found', { partnerId });
+    }
+    return partner;
+}
+
+function requireKey(partner, keyId) {
+    const key = partner.keys.find(k => k.id === keyId);
+    if (!key) {
+        throw new ApiError(404, 'API key not found', { keyId });
+    }
+    return key;
+}
+
+function isKeyActive(key, now = new Date()) {
+    return !key.revokedAt && (!key.expiresAt || new Date(key.expiresAt) > now);
+}
+
+// Keys as shown to admins: no hashes, no secrets
+function describeKey(key) {
+    const { secretHash, signingSecret, ...shown } = key;
+    return { ...shown, active: isKeyActive(key) };
+}
+
+function describePartner(partner) {
+    return {
+        ...partner,
+        keys: partner.keys.map(describeKey),
+        users: Object.values(state.budgetData.users).filter(user => user.partnerId === partner.id).length
+    };
+}
+
+// A new key for the partner; the only time the key and signing secret are returned
+function issueKey(partner, { scopes, rateLimit }) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const key = {
+        id,
+        prefix: `btk_${id}`,
+        scopes,
+        rateLimit,
+        secretHash: sha256(secret),
+        signingSecret: `bts_${crypto.randomBytes(24).toString('base64url')}`,
+        createdAt: new Date().toISOString(),
+        expiresAt: null,
+        revokedAt: null,
+        lastUsedAt: null,
+        lastUsedIp: null,
+        requestCount: 0
+    };
+    partner.keys.push(key);
+
+    return {
+        key: describeKey(key),
+        apiKey: `btk_${id}_${secret}`,
+        signingSecret: key.signingSecret
+    };
+}
+
+function createPartner(actor, { name, scopes, rateLimit, requireSignature = false } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new ApiError(400, 'name is required');
+    }
+
+    const partner = {
+        id: `ptn_${crypto.randomBytes(8).toString('hex')}`,
+        name: name.trim(),
+        status: 'active',
+        requireSignature: requireSignature === true,
+        keys: [],
+        createdAt: new Date().toISOString(),
+        createdBy: actor.userId
+    };
+    const issued = issueKey(partner, { scopes: parseScopes(scopes), rateLimit: parseRateLimit(rateLimit) });
+    state.budgetData.partners[partner.id] = partner;
+    audit(actor, 'partner_created', null, { partnerId: partner.id, name: partner.name, keyId: issued.key.id });
+    saveData();
+
+    console.log('🤝 Partner created:', partner.id, partner.name);
+    return { partner: describePartner(partner), ...issued };
+}
+
+function listPartners() {
+    return Object.values(state.budgetData.partners).map(describePartner);
+}
+
+function getPartner(partnerId) {
+    return describePartner(requirePartner(partnerId));
+}
+
+// `status: 'disabled'` stops every key of the partner until it is 'active' again
+function updatePartner(actor, partnerId, { name, status, requireSignature } = {}) {
+    const partner = requirePartner(partnerId);
+    const before = { name: partner.name, status: partner.status, requireSignature: partner.requireSignature };
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) throw new ApiError(400, 'name must not be empty');
+        partner.name = name.trim();
+    }
+    if (status !== undefined) {
+        if (!['active', 'disabled'].includes(status)) {
+            throw new ApiError(400, 'status must be active or disabled', { received: status });
+        }
+        partner.status = status;
+    }
+    if (requireSignature !== undefined) partner.requireSignature = requireSignature === true;
+    partner.updatedAt = new Date().toISOString();
+    audit(actor, 'partner_updated', null, {
+        partnerId,
+        from: before,
+        to: { name: partner.name, status: partner.status, requireSignature: partner.requireSignature }
+    });
+    saveData();
+
+    return describePartner(partner);
+}
+
+// An extra key; scopes and rate limit default to those of the newest active key
+function createKey(actor, partnerId, { scopes, rateLimit } = {}) {
+    const partner = requirePartner(partnerId);
+    const template = [...partner.keys].reverse().find(k => isKeyActive(k)) || {};
+
+    const issued = issueKey(partner, {
+        scopes: scopes === undefined && template.scopes ? template.scopes : parseScopes(scopes),
+        rateLimit: rateLimit === undefined && template.rateLimit ? template.rateLimit : parseRateLimit(rateLimit)
+    });
+    audit(actor, 'api_key_created', null, { partnerId, keyId: issued.key.id, scopes: issued.key.scopes });
+    saveData();
+    return issued;
+}
+
+// Issues a replacement with the same scopes and rate limit; the old key keeps
+// working for `overlapSeconds` (0 ends it at once)
+function rotateKey(actor, partnerId, keyId, { overlapSeconds = DEFAULT_ROTATION_OVERLAP } = {}) {
+    const partner = requirePartner(partnerId);
+    const key = requireKey(partner, keyId);
+    if (!isKeyActive(key)) {
+        throw new ApiError(409, 'Only an active key can be rotated', { keyId });
+    }
+
+    const overlap = Number(overlapSeconds);
+    if (!Number.isSafeInteger(overlap) || overlap < 0) {
+        throw new ApiError(400, 'overlapSeconds must be a whole number of seconds', { received: overlapSeconds });
+    }
+
+    const issued = issueKey(partner, { scopes: key.scopes, rateLimit: key.rateLimit });
+    const expiresAt = new Date(Date.now() + overlap * 1000);
+    if (!key.expiresAt || new Date(key.expiresAt) > expiresAt) key.expiresAt = expiresAt.toISOString();
+    key.replacedBy = issued.key.id;
+    audit(actor, 'api_key_rotated', null, { partnerId, keyId, replacedBy: issued.key.id, expiresAt: key.expiresAt });
+    saveData();
+
+    console.log('🔁 API key rotated:', partner.id, key.id, '→', issued.key.id);
+    return { ...issued, previousKey: describeKey(key) };
+}
+
+function revokeKey(actor, partnerId, keyId) {
+    const partner = requirePartner(partnerId);
+    const key = requireKey(partner, keyId);
+    if (!key.revokedAt) {
+        key.revokedAt = new Date().toISOString();
+        windows.delete(key.id);
+        audit(actor, 'api_key_revoked', null, { partnerId, keyId });
+        saveData();
+    }
+    return describeKey(key);
+}
+
+function parseApiKey(apiKey) {
+    const match = /^btk_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/.exec(String(apiKey));
+    return match && { keyId: match[1], secret: match[2] };
+}
+
+function findKey(keyId) {
+    return Object.values(state.budgetData.partners)
+        .map(partner => ({ partner, key: partner.keys.find(k => k.id === keyId) }))
+        .find(({ key }) => key);
+}
+
+// Whether the key was issued here, valid or not; tenants are told apart by it
+function hasApiKey(apiKey) {
+    const parsed = parseApiKey(apiKey);
+    return Boolean(parsed && findKey(parsed.keyId));
+}
+
+// The partner and key behind an X-API-Key header; throws 401 or 403
+function verifyApiKey(apiKey) {
+    const parsed = parseApiKey(apiKey);
+    const found = parsed && findKey(parsed.keyId);
+
+    if (!found || !safeEqual(sha256(parsed.secret), found.key.secretHash)) {
+        throw new ApiError(401, 'Invalid API key');
+    }
+    if (!isKeyActive(found.key)) {
+        throw new ApiError(401, found.key.revokedAt ? 'API key has been revoked' : 'API key has expired');
+    }
+    if (found.partner.status !== 'active') {
+        throw new ApiError(403, 'Partner access is disabled', { partnerId: found.partner.id });
+    }
+    return found;
+}
+
+// Signed requests send X-Signature-Timestamp (unix seconds) and
+// X-Signature = hex HMAC-SHA256 of `${timestamp}.${METHOD}.${path with query}.${raw body}`
+// under the key's signing secret. A signature is accepted once.
+function verifySignature(key, { timestamp, signature, method, url, rawBody }) {
+    if (!timestamp || !signature) {
+        throw new ApiError(401, 'This partner must sign requests (X-Signature and X-Signature-Timestamp)');
+    }
+
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE) {
+        throw new ApiError(401, 'Request signature timestamp is too old or invalid', { toleranceSeconds: SIGNATURE_TOLERANCE });
+    }
+
+    const expected = crypto.createHmac('sha256', key.signingSecret)
+        .update(`${timestamp}.${method}.${url}.${rawBody ? rawBody.toString('utf8') : ''}`)
+        .digest('hex');
+    if (!safeEqual(signature, expected)) {
+        throw new ApiError(401, 'Invalid request signature');
+    }
+
+    const now = Date.now();
+    seenSignatures.forEach((expiry, seen) => {
+        if (expiry < now) seenSignatures.delete(seen);
+    });
+    if (seenSignatures.has(signature)) {
+        throw new ApiError(401, 'Request signature was already used');
+    }
+    seenSignatures.set(signature, now + SIGNATURE_TOLERANCE * 2000);
+}
+
+// Counts a request against the key's fixed window; `limited` when it is over
+function consumeRateLimit(key) {
+    const now = Date.now();
+    const windowMs = key.rateLimit.windowSeconds * 1000;
+    let current = windows.get(key.id);
+    if (!current || now - current.startedAt >= windowMs) {
+        current = { startedAt: now, count: 0 };
+        windows.set(key.id, current);
+    }
+    current.count++;
+
+    return {
+        limited: current.count > key.rateLimit.requests,
+        limit: key.rateLimit.requests,
+        remaining: Math.max(0, key.rateLimit.requests - current.count),
+        resetAt: Math.ceil((current.startedAt + windowMs) / 1000)
+    };
+}
+
+function recordUse(key, ip) {
+    const now = new Date();
+    const lastSaved = key.lastUsedAt ? new Date(key.lastUsedAt).getTime() : 0;
+    key.lastUsedAt = now.toISOString();
+    key.lastUsedIp = ip || null;
+    key.requestCount++;
+    if (now.getTime() - lastSaved >= LAST_USED_SAVE_INTERVAL) saveData();
+}
+
+module.exports = {
+    SCOPES,
+    createPartner,
+    listPartners,
+    getPartner,
+    updatePartner,
+    createKey,
+    rotateKey,
+    revokeKey,
+    hasApiKey,
+    verifyApiKey,
+    verifySignature,
+    consumeRateLimit,
+    recordUse
+};
@@ -0,0 +1,312 @@
+// 💳 Payments: order creation, checkout verification and the payment events
+// Razorpay reports through webhooks. Requests carry major units; records keep
+// integer minor units alongside them (see money.js), as Razorpay does.
+
+const { state, saveData } = require('../state');
+const { ApiError } = require('../errors');
+const { getRazorpay, verifyPaymentSignature } = require('./razorpay');
+const { canTransition, transitionStatus } = require('./lifecycle');
+const { recordOrder, getOrder, findOrderMismatches, transitionOrder, resolvePaymentOwner } = require('./orders');
+const { transitionTransaction, addTransaction } = require('./transactions');
+const { getUser, ensureUser, touchUser } = require('./users');
+const guard = require('./guard');
+const rules = require('./rules');
+const categorizer = require('./categorizer');
+const anomalies = require('./anomalies');
+const { Money, MoneyError } = require('./money');
+
+function parseAmount(amount, currency) {
+    try {
+        const money = Money.fromMajor(amount, currency);
+        if (money.isPositive()) return money;
+    } catch (error) {
+        if (!(error instanceof MoneyError)) throw error;
+    }
+    throw new ApiError(400, 'Valid amount is required', { received: amount });
+}
+
+// The budget guard runs first and may refuse the order (see guard.js); a user
+// the order is for is only created once the guard lets it through.
+// `partnerId` is the partner calling with an API key, if any.
+async function createOrder({ amount, userId, category, description, currency = 'INR', confirmationToken, partnerId }) {
+    const money = parseAmount(amount, currency);
+
+    if (!userId || typeof userId !== 'string') {
+        throw new ApiError(400, 'Valid userId is required', { received: typeof userId });
+    }
+
+    if (getUser(userId)?.suspension) {
+        throw new ApiError(403, 'Account suspended', { code: 'account_suspended' });
+    }
+    const budgetGuard = guard.checkOrder({ userId, money, category: category || 'Other', confirmationToken });
+    ensureUser(userId, { partnerId });
+
+    const shortTimestamp = Date.now().toString().slice(-8); // Last 8 digits
+    const shortUserId = userId.slice(-10); // Last 10 chars of userId
+    let order;
+    try {
+        order = await getRazorpay().orders.create({
+            amount: money.minor,
+            currency: money.currency,
+            receipt: `rcpt_${shortUserId}_${shortTimestamp}`, // Max 40 chars
+            payment_capture: 1,
+            notes: {
+                userId,
+                category: category || 'Other',
+                description: description || 'Budget payment',
+                createdBy: 'budget_tracker_api'
+            }
+        });
+    } catch (error) {
+        if (budgetGuard.confirmed) guard.restoreConfirmation(confirmationToken, { userId, money, category: category || 'Other' });
+        throw error;
+    }
+
+    const ledgerEntry = recordOrder(order, userId);
+    ledgerEntry.budgetGuard = { action: budgetGuard.action, confirmed: Boolean(budgetGuard.confirmed) };
+    saveData();
+
+    console.log('💳 Order created:', { orderId: order.id, userId, amount: money.format(), category });
+    return { order, ledgerEntry, budgetGuard };
+}
+
+// Checks the checkout signature, then books the amount stored in the order
+// ledger. Returns { transaction, user, alreadyRecorded }.
+function verifyPayment({ orderId, paymentId, signature, userId, claimed = {}, partnerId }) {
+    if (!orderId || !paymentId || !signature) {
+        throw new ApiError(400, 'Missing required payment verification data', {
+            required: ['razorpay_order_id', 'razorpay_payment_id', 'razorpay_signature']
+        });
+    }
+
+    if (!userId) {
+        throw new ApiError(400, 'UserId is required for payment verification');
+    }
+
+    if (!verifyPaymentSignature(orderId, paymentId, signature)) {
+        console.log('❌ Payment verification failed - Invalid signature');
+        throw new ApiError(400, 'Payment verification failed - Invalid signature');
+    }
+
+    // Amount and metadata come from the ledger, never from the request body
+    const order = getOrder(orderId);
+    if (!order) {
+        console.log('❌ Payment verification failed - Unknown order:', orderId);
+        throw new ApiError(404, 'Order not found', { orderId });
+    }
+
+    const mismatches = findOrderMismatches(order, { userId, ...claimed });
+    if (mismatches.length > 0) {
+        console.log('❌ Payment verification failed - Order mismatch:', orderId, mismatches);
+        throw new ApiError(400, 'Payment details do not match the order', { mismatches });
+    }
+
+    // The webhook may have booked this payment before the client got here
+    const existingUser = state.budgetData.users[userId];
+    const alreadyRecorded = existingUser?.transactions.find(t => t.id === paymentId);
+    if (alreadyRecorded) {
+        // A signed success outranks an earlier payment.failed for the same payment
+        if (alreadyRecorded.status === 'failed') {
+            transitionTransaction(userId, alreadyRecorded, 'captured', 'verify_payment');
+            transitionOrder(orderId, 'captured', 'verify_payment', { paymentId });
+            order.paymentId = paymentId;
+            order.paidAt = new Date().toISOString();
+        }
+        alreadyRecorded.verified = true;
+        saveData();
+
+        return { transaction: alreadyRecorded, user: existingUser, alreadyRecorded: true };
+    }
+
+    if (!canTransition(order.status, 'captured')) {
+        throw new ApiError(409, `Order cannot be captured from status '${order.status}'`, {
+            status: order.status,
+            paymentId: order.paymentId
+        });
+    }
+
+    const user = ensureUser(userId, { partnerId });
+    const transaction = {
+        id: paymentId,
+        orderId,
+        ...Money.fromMinor(order.amountMinor, order.currency).toFields(),
+        currency: order.currency,
+        category: order.category,
+        description: order.description,
+        date: new Date().toISOString(),
+        verified: true,
+        method: 'razorpay'
+    };
+    transitionStatus(transaction, 'captured', 'verify_payment');
+    rules.categorize(userId, transaction);
+    categorizer.suggestFor(userId, transaction);
+
+    transitionStatus(order, 'captured', 'verify_payment', { paymentId });
+    order.paymentId = paymentId;
+    order.paidAt = transaction.date;
+
+    addTransaction(user, transaction);
+    anomalies.checkTransaction(userId, transaction);
+    saveData();
+
+    console.log('✅ Payment verified and budget updated:', {
+        userId,
+        paymentId,
+        amount: transaction.amount,
+        newTotal: user.totalSpent
+    });
+
+    return { transaction, user, alreadyRecorded: false };
+}
+
+function handlePaymentAuthorized(payment) {
+    transitionOrder(payment.order_id, 'authorized', 'webhook', { paymentId: payment.id });
+    saveData();
+    console.log('🔐 Payment authorized via webhook:', payment.id);
+}
+
+// Returns the new transaction, or null when there was nothing new to book
+function handlePaymentCaptured(payment, source = 'webhook') {
+    const userId = resolvePaymentOwner(payment);
+    if (!userId) return null;
+
+    const user = ensureUser(userId);
+
+    const order = transitionOrder(payment.order_id, 'captured', source, { paymentId: payment.id });
+    if (order) {
+        order.paymentId = payment.id;
+        order.paidAt = order.paidAt || new Date().toISOString();
+    }
+
+    const existingTransaction = user.transactions.find(t => t.id === payment.id);
+    if (existingTransaction) {
+        transitionTransaction(userId, existingTransaction, 'captured', source);
+        saveData();
+        return null;
+    }
+
+    const transaction = {
+        id: payment.id,
+        orderId: payment.order_id,
+        ...Money.fromMinor(payment.amount, payment.currency).toFields(),
+        currency: payment.currency,
+        category: order?.category || payment.notes?.category || 'Other',
+        description: order?.description || payment.notes?.description || 'Webhook payment',
+        date: new Date((payment.created_at || Date.now() / 1000) * 1000).toISOString(),
+        method: 'razorpay_webhook',
+        ...(payment.method && { paymentMethod: payment.method }),
+        ...(payment.vpa && { vpa: payment.vpa }),
+        ...(payment.notes?.merchant && { merchant: payment.notes.merchant })
+    };
+    transitionStatus(transaction, 'captured', source);
+    rules.categorize(userId, transaction);
+    categorizer.suggestFor(userId, transaction);
+
+    addTransaction(user, transaction);
+    anomalies.checkTransaction(userId, transaction);
+    saveData();
+    console.log('✅ Webhook payment processed:', payment.id);
+    return transaction;
+}
+
+// The attempt is recorded whatever the order's status: a late failure of an
+// earlier payment leaves an order that a retry has paid since as it is.
+function handlePaymentFailed(payment) {
+    const userId = resolvePaymentOwner(payment);
+    const user = state.budgetData.users[userId];
+    if (!user) {
+        failOrder(payment);
+        saveData();
+        console.log('❌ Payment failed via webhook (unknown user):', payment.id, payment.error_description);
+        return;
+    }
+
+    const error = {
+        code: payment.error_code,
+        description: payment.error_description,
+        reason: payment.error_reason,
+        source: payment.error_source,
+        step: payment.error_step
+    };
+
+    const existingTransaction = user.transactions.find(t => t.id === payment.id);
+    if (existingTransaction) {
+        transitionTransaction(userId, existingTransaction, 'failed', 'webhook', { reason: error.reason });
+        existingTransaction.error = error;
+    } else {
+        // Failed attempts live alongside real transactions but never count as spend
+        const order = getOrder(payment.order_id);
+        const attempt = {
+            id: payment.id,
+            orderId: payment.order_id,
+            ...Money.fromMinor(payment.amount, payment.currency).toFields(),
+            currency: payment.currency,
+            category: order?.category || payment.notes?.category || 'Other',
+            description: order?.description || payment.notes?.description || 'Failed payment',
+            date: new Date((payment.created_at || Date.now() / 1000) * 1000).toISOString(),
+            method: 'razorpay_webhook',
+            paymentMethod: payment.method,
+            error
+        };
+        transitionStatus(attempt, 'failed', 'webhook', { reason: error.reason });
+        addTransaction(user, attempt);
+    }
+
+    failOrder(payment);
+    touchUser(user);
+    saveData();
+    console.log('❌ Payment failed via webhook:', payment.id, error.code, error.description);
+}
+
+function failOrder(payment) {
+    const order = getOrder(payment.order_id);
+    if (order && canTransition(order.status, 'failed')) {
+        transitionOrder(order.id, 'failed', 'webhook', { paymentId: payment.id, reason: payment.error_reason });
+    }
+}
+
+// order.paid also arrives when the client closed the app before calling
+// /api/verify-payment, so it books the payment if nothing else has.
+function handleOrderPaid(order, payment) {
+    if (!payment) {
+        transitionOrder(order.id, 'captured', 'order_paid');
+        saveData();
+        console.log('💳 Order paid via webhook:', order.id);
+        return;
+    }
+
+    const transaction = handlePaymentCaptured({ ...payment, notes: { ...order.notes, ...payment.notes } }, 'order_paid');
+    if (transaction) {
+        transaction.reconciled = true;
+        const logged = state.budgetData.payments.find(p => p.id === transaction.id);
+        if (logged) logged.reconciled = true;
+        saveData();
+        console.log('🔁 Order reconciled without client verification:', order.id, payment.id);
+    } else {
+        console.log('💳 Order paid via webhook:', order.id);
+    }
+}
+
+function handleDisputeUpdate(dispute, to) {
+    const entry = state.budgetData.payments.find(p => p.id === dispute.payment_id);
+    if (!entry) return;
+
+    const transaction = state.budgetData.users[entry.userId]?.transactions.find(t => t.id === dispute.payment_id);
+    if (transaction) {
+        transitionTransaction(entry.userId, transaction, to, 'webhook', { disputeId: dispute.id });
+    }
+    transitionOrder(entry.orderId, to, 'webhook', { disputeId: dispute.id });
+
+    saveData();
+    console.log('⚖️ Dispute update via webhook:', dispute.id, '→', to);
+}
+
+module.exports = {
+    createOrder,
+    verifyPayment,
+    handlePaymentAuthorized,
+    handlePaymentCaptured,
+    handlePaymentFailed,
+    handleOrderPaid,
+    handleDisputeUpdate
+};
@@ -0,0 +1,109 @@
+// 📅 Budget periods
+// Date math for the cycles a budget runs on. A period is the half-open range
+// [start, end) in server local time:
+//
+//   daily       midnight to midnight
+//   weekly      7 days from `weekStartDay` (0 = Sunday)
+//   monthly     from `cycleStartDay` of one month to the same day of the next,
+//               so a salary cycle is { period: 'monthly', cycleStartDay: 25 }
+//   quarterly   3 months from `cycleStartDay` of January, April, July or October
+//
+// A cycle day past the end of a short month falls on its last day.
+
+const { countsTowardSpend, spendMinor, countsAsIncome, incomeMinor } = require('./lifecycle');
+
+const PERIOD_TYPES = ['daily', 'weekly', 'monthly', 'quarterly'];
+const MONTHS_PER_CYCLE = { monthly: 1, quarterly: 3 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+}
+
+function addDays(date, days) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
+// `day` of the given month, clamped to its length; months may overflow
+function cycleDay(year, month, day) {
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(day, daysInMonth));
+}
+
+function periodContaining({ period = 'monthly', cycleStartDay = 1, weekStartDay = 0 } = {}, date = new Date()) {
+    const day = startOfDay(date);
+
+    if (period === 'daily') {
+        return { start: day, end: addDays(day, 1) };
+    }
+
+    if (period === 'weekly') {
+        const start = addDays(day, -((day.getDay() - weekStartDay + 7) % 7));
+        return { start, end: addDays(start, 7) };
+    }
+
+    const months = MONTHS_PER_CYCLE[period];
+    if (!months) {
+        throw new Error(`Unknown budget period: ${period}`);
+    }
+
+    const year = day.getFullYear();
+    let month = day.getMonth() - (day.getMonth() % months);
+    if (cycleDay(year, month, cycleStartDay) > day) month -= months;
+
+    return {
+        start: cycleDay(year, month, cycleStartDay),
+        end: cycleDay(year, month + months, cycleStartDay)
+    };
+}
+
+function nextPeriod(settings, current) {
+    return periodContaining(settings, current.end);
+}
+
+function isWithin(date, { start, end }) {
+    const d = new Date(date);
+    return d >= new Date(start) && d < new Date(end);
+}
+
+// Minor units spent in the period (see lifecycle.spendMinor)
+function spendWithin(transactions, period) {
+    return transactions
+        .filter(t => countsTowardSpend(t) && isWithin(t.date, period))
+        .reduce((sum, t) => sum + spendMinor(t), 0);
+}
+
+// Minor units of income recorded in the period
+function incomeWithin(transactions, period) {
+    return transactions
+        .filter(t => countsAsIncome(t) && isWithin(t.date, period))
+        .reduce((sum, t) => sum + incomeMinor(t), 0);
+}
+
+// Days of the period begun by `now` (at least one), its length in days and
+// the days after today
+function dayProgress({ start, end }, now = new Date()) {
+    const totalDays = Math.round((new Date(end) - new Date(start)) / DAY_MS);
+    const elapsedDays = Math.min(totalDays, Math.max(1, Math.ceil((now - new Date(start)) / DAY_MS)));
+    return { elapsedDays, totalDays, remainingDays: totalDays - elapsedDays };
+}
+
+// Spend at the same daily pace for the whole period
+function projectSpend(spentMinor, progress) {
+    return Math.round(spentMinor / progress.elapsedDays * progress.totalDays);
+}
+
+module.exports = {
+    PERIOD_TYPES,
+    periodContaining,
+    nextPeriod,
+    isWithin,
+    spendWithin,
+    incomeWithin,
+    dayProgress,
+    projectSpend
+};
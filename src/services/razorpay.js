@@ -0,0 +1,49 @@
+// 🏦 Razorpay client shared by every route and webhook handler
+// Each tenant has its own Razorpay account; calls use the client of the
+// tenant the request belongs to.
+
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const { DEFAULT_TENANT, currentTenantId } = require('../state');
+
+const clients = new Map(); // tenantId → { instance, keyId, keySecret }
+
+function initRazorpay({ keyId, keySecret }, tenantId = DEFAULT_TENANT) {
+    const instance = new Razorpay({ key_id: keyId, key_secret: keySecret });
+    clients.set(tenantId, { instance, keyId, keySecret });
+    return instance;
+}
+
+function currentClient() {
+    const client = clients.get(currentTenantId());
+    if (!client) {
+        throw new Error(`Razorpay client used before initRazorpay() for tenant "${currentTenantId()}"`);
+    }
+    return client;
+}
+
+function getRazorpay() {
+    return currentClient().instance;
+}
+
+function getKeyId() {
+    return clients.get(currentTenantId())?.keyId || null;
+}
+
+function safeEqual(expected, received) {
+    if (typeof received !== 'string') return false;
+
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Checkout signs `order_id|payment_id` with the key secret
+function verifyPaymentSignature(orderId, paymentId, signature) {
+    const expected = crypto.createHmac('sha256', currentClient().keySecret)
+        .update(`${orderId}|${paymentId}`)
+        .digest('hex');
+    return safeEqual(expected, signature);
+}
+
+module.exports = { initRazorpay, getRazorpay, getKeyId, verifyPaymentSignature, safeEqual };
@@ -0,0 +1,237 @@
+// 🔁 Recurring payments
+// Finds subscriptions and other recurring charges in a user's spend: at least
+// MIN_OCCURRENCES charges to the same merchant (or, without one, the same
+// description once digits and punctuation are stripped) at a similar amount
+// and a regular interval. A charge that is skipped once in the history is
+// allowed; the gap is counted as a missed occurrence.
+//
+// Amounts are compared in the user's home currency. A subscription is
+//
+//   active    the next charge is not yet overdue
+//   overdue   one expected charge has not appeared
+//   lapsed    two or more expected charges have not appeared (cancelled?)
+
+const crypto = require('crypto');
+const { countsTowardSpend } = require('./lifecycle');
+const { toMajor, formatMinor } = require('./money');
+const { requireUser } = require('./users');
+const { homeCurrencyOf } = require('./transactions');
+
+const MIN_OCCURRENCES = 3;
+const AMOUNT_TOLERANCE = 0.35; // Share of the median a charge may differ by
+const PRICE_CHANGE_THRESHOLD = 0.01;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `days` is the average length; calendar cycles step by `months`
+const FREQUENCIES = [
+    { name: 'weekly', days: 7, tolerance: 2, perYear: 52 },
+    { name: 'biweekly', days: 14, tolerance: 3, perYear: 26 },
+    { name: 'monthly', days: 30.44, tolerance: 4, perYear: 12, months: 1 },
+    { name: 'quarterly', days: 91.31, tolerance: 10, perYear: 4, months: 3 },
+    { name: 'yearly', days: 365.25, tolerance: 20, perYear: 1, months: 12 }
+];
+
+function groupKey(transaction) {
+    if (transaction.merchant) {
+        return `merchant:${String(transaction.merchant).trim().toLowerCase()}`;
+    }
+    const description = String(transaction.description || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\s]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return description ? `description:${description}` : null;
+}
+
+// The charge in home-currency minor units, before refunds; null without an FX rate
+function chargeMinor(transaction) {
+    if (transaction.homeAmountMinor === null) return null;
+    return typeof transaction.homeAmountMinor === 'number' ? transaction.homeAmountMinor : transaction.amountMinor;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function addMonths(date, months) {
+    const d = new Date(date);
+    const day = d.getDate();
+    d.setDate(1);
+    d.setMonth(d.getMonth() + months);
+    d.setDate(Math.min(day, new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate()));
+    return d;
+}
+
+function nextCharge(date, frequency) {
+    return frequency.months
+        ? addMonths(date, frequency.months)
+        : new Date(new Date(date).getTime() + frequency.days * DAY_MS);
+}
+
+// The frequency whose interval fits every gap between charges, allowing a
+// gap of several intervals; returns { frequency, missed } or null
+function fitFrequency(intervals) {
+    const typical = median(intervals);
+    const frequency = FREQUENCIES.find(f => Math.abs(typical - f.days) <= f.tolerance);
+    if (!frequency) return null;
+
+    let missed = 0;
+    for (const interval of intervals) {
+        const steps = Math.round(interval / frequency.days);
+        if (steps < 1 || Math.abs(interval - steps * frequency.days) > frequency.tolerance * steps) return null;
+        missed += steps - 1;
+    }
+    return { frequency, missed };
+}
+
+function describeGroup(charges, frequency, missedInHistory, currency, now) {
+    const last = charges[charges.length - 1];
+    const previous = charges[charges.length - 2];
+    const toleranceMs = frequency.tolerance * DAY_MS;
+
+    // Step through the schedule past today, counting charges that never came
+    let nextExpected = nextCharge(last.date, frequency);
+    let missedSince = null;
+    let overdue = 0;
+    while (now - nextExpected > toleranceMs) {
+        missedSince = missedSince || nextExpected;
+        overdue++;
+        nextExpected = nextCharge(nextExpected, frequency);
+    }
+
+    let priceChange = null;
+    if (Math.abs(last.minor - previous.minor) > previous.minor * PRICE_CHANGE_THRESHOLD) {
+        priceChange = {
+            type: last.minor > previous.minor ? 'increase' : 'decrease',
+            from: toMajor(previous.minor, currency),
+            to: toMajor(last.minor, currency),
+            percentage: (((last.minor - previous.minor) / previous.minor) * 100).toFixed(2),
+            at: last.date.toISOString(),
+            formatted: {
+                from: formatMinor(previous.minor, currency),
+                to: formatMinor(last.minor, currency)
+            }
+        };
+    }
+
+    const annualMinor = Math.round(last.minor * frequency.perYear);
+    return {
+        id: `sub_${crypto.createHash('sha1').update(charges[0].key).digest('hex').slice(0, 12)}`,
+        name: last.transaction.merchant || last.transaction.description,
+        category: last.transaction.category || 'Other',
+        frequency: frequency.name,
+        status: overdue === 0 ? 'active' : overdue === 1 ? 'overdue' : 'lapsed',
+        currency,
+        amount: toMajor(last.minor, currency),
+        averageAmount: toMajor(Math.round(charges.reduce((sum, c) => sum + c.minor, 0) / charges.length), currency),
+        annualCost: toMajor(annualMinor, currency),
+        monthlyCost: toMajor(Math.round(annualMinor / 12), currency),
+        occurrences: charges.length,
+        firstCharged: charges[0].date.toISOString(),
+        lastCharged: last.date.toISOString(),
+        nextExpected: nextExpected.toISOString(),
+        missedOccurrences: missedInHistory + overdue,
+        ...(missedSince && { missedSince: missedSince.toISOString() }),
+        priceChange,
+        formatted: {
+            amount: formatMinor(last.minor, currency),
+            annualCost: formatMinor(annualMinor, currency)
+        },
+        amountMinor: last.minor,
+        annualCostMinor: annualMinor,
+        transactionIds: charges.map(c => c.transaction.id)
+    };
+}
+
+// Recurring charges among a user's transactions, most expensive per year first
+function detectRecurring(transactions, currency, now = new Date()) {
+    const groups = {};
+    transactions.filter(t => countsTowardSpend(t) && chargeMinor(t) !== null).forEach(transaction => {
+        const key = groupKey(transaction);
+        if (!key) return;
+        (groups[key] = groups[key] || []).push({
+            key,
+            transaction,
+            date: new Date(transaction.date),
+            minor: chargeMinor(transaction)
+        });
+    });
+
+    return Object.values(groups)
+        .filter(charges => charges.length >= MIN_OCCURRENCES)
+        .flatMap(charges => {
+            charges.sort((a, b) => a.date - b.date);
+
+            const typical = median(charges.map(c => c.minor));
+            if (charges.some(c => Math.abs(c.minor - typical) > typical * AMOUNT_TOLERANCE)) return [];
+
+            const intervals = charges.slice(1).map((c, i) => (c.date - charges[i].date) / DAY_MS);
+            const fit = fitFrequency(intervals);
+            if (!fit || fit.missed >= charges.length) return [];
+
+            return [describeGroup(charges, fit.frequency, fit.missed, currency, now)];
+        })
+        .sort((a, b) => b.annualCost - a.annualCost);
+}
+
+// Charges of active and overdue subscriptions still expected between `from`
+// and `until`, as { subscription, expectedOn, amountMinor }
+function expectedCharges(subscriptions, from, until) {
+    const frequencies = Object.fromEntries(FREQUENCIES.map(f => [f.name, f]));
+
+    return subscriptions.filter(s => s.status !== 'lapsed').flatMap(subscription => {
+        const charges = [];
+        let date = new Date(subscription.nextExpected);
+        while (date <= until) {
+            if (date > from) charges.push({ subscription, expectedOn: date, amountMinor: subscription.amountMinor });
+            date = nextCharge(date, frequencies[subscription.frequency]);
+        }
+        return charges;
+    });
+}
+
+function getSubscriptions(userId, { includeLapsed = false } = {}) {
+    const user = requireUser(userId);
+    const currency = homeCurrencyOf(user);
+    const detected = detectRecurring(user.transactions, currency);
+    const current = detected.filter(s => s.status !== 'lapsed');
+
+    const alerts = current.flatMap(subscription => [
+        ...(subscription.priceChange?.type === 'increase' ? [{
+            type: 'price_increase',
+            subscriptionId: subscription.id,
+            message: `📈 ${subscription.name} went up from ${subscription.priceChange.formatted.from} to ${subscription.priceChange.formatted.to} (+${subscription.priceChange.percentage}%)`
+        }] : []),
+        ...(subscription.status === 'overdue' ? [{
+            type: 'missed_charge',
+            subscriptionId: subscription.id,
+            message: `⏰ ${subscription.name} was expected on ${subscription.missedSince.slice(0, 10)} but has not been charged`
+        }] : [])
+    ]);
+
+    const annualMinor = current.reduce((sum, s) => sum + s.annualCostMinor, 0);
+    return {
+        currency,
+        subscriptions: (String(includeLapsed) === 'true' ? detected : current)
+            .map(({ amountMinor, annualCostMinor, ...subscription }) => subscription),
+        summary: {
+            count: current.length,
+            monthlyTotal: toMajor(Math.round(annualMinor / 12), currency),
+            annualTotal: toMajor(annualMinor, currency),
+            formatted: {
+                monthlyTotal: formatMinor(Math.round(annualMinor / 12), currency),
+                annualTotal: formatMinor(annualMinor, currency)
+            }
+        },
+        alerts
+    };
+}
+
+module.exports = {
+    FREQUENCIES,
+    detectRecurring,
+    expectedCharges,
+    getSubscriptions
+};
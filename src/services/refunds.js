@@ -0,0 +1,165 @@
+// 💸 Refunds
+// A refund takes its amount off the budget as soon as Razorpay accepts it and
+// gives it back if Razorpay later reports the refund as failed.
+
+const { state, saveData } = require('../state');
+const { ApiError } = require('../errors');
+const { getRazorpay } = require('./razorpay');
+const { REFUND_TRANSITIONS, canTransition, transitionStatus } = require('./lifecycle');
+const { transitionOrder } = require('./orders');
+const { updateTransaction, transitionTransaction, findPaymentTransaction } = require('./transactions');
+const { Money, MoneyError, readAmount, writeAmount } = require('./money');
+
+function getRefund(refundId) {
+    return state.budgetData.refunds[refundId] || null;
+}
+
+function recordRefund(refundEntity, source, reason) {
+    if (state.budgetData.refunds[refundEntity.id]) {
+        return state.budgetData.refunds[refundEntity.id];
+    }
+
+    const match = findPaymentTransaction(refundEntity.payment_id);
+    if (!match) return null;
+
+    const { userId, transaction } = match;
+    const refund = {
+        id: refundEntity.id,
+        paymentId: refundEntity.payment_id,
+        orderId: transaction.orderId,
+        userId,
+        ...Money.fromMinor(refundEntity.amount, refundEntity.currency || transaction.currency).toFields(),
+        currency: refundEntity.currency || transaction.currency,
+        reason: reason || refundEntity.notes?.reason || '',
+        speed: refundEntity.speed_requested || refundEntity.speed || 'normal',
+        createdAt: new Date().toISOString()
+    };
+    transitionStatus(refund, 'pending', source, {}, REFUND_TRANSITIONS);
+    state.budgetData.refunds[refund.id] = refund;
+
+    updateTransaction(userId, transaction, t => {
+        writeAmount(t, 'refundedAmount', readAmount(t, 'refundedAmount').add(readAmount(refund)));
+        t.refunds = [...(t.refunds || []), refund.id];
+    });
+
+    if (refundEntity.status === 'processed') {
+        processRefund(refund, source);
+    }
+
+    return refund;
+}
+
+function processRefund(refund, source) {
+    if (!transitionStatus(refund, 'processed', source, {}, REFUND_TRANSITIONS)) return;
+
+    const match = findPaymentTransaction(refund.paymentId);
+    if (!match) return;
+
+    const { userId, transaction } = match;
+    const processedMinor = (transaction.refunds || [])
+        .map(id => state.budgetData.refunds[id])
+        .filter(r => r && r.status === 'processed')
+        .reduce((sum, r) => sum + r.amountMinor, 0);
+    const to = processedMinor >= transaction.amountMinor ? 'refunded' : 'partially_refunded';
+
+    transitionTransaction(userId, transaction, to, source, { refundId: refund.id });
+    transitionOrder(refund.orderId, to, source, { refundId: refund.id });
+}
+
+function failRefund(refund, source, reason) {
+    if (!transitionStatus(refund, 'failed', source, { reason }, REFUND_TRANSITIONS)) return;
+
+    const match = findPaymentTransaction(refund.paymentId);
+    if (!match) return;
+
+    updateTransaction(match.userId, match.transaction, t => {
+        writeAmount(t, 'refundedAmount', readAmount(t, 'refundedAmount').subtract(readAmount(refund)));
+    });
+}
+
+// Omit `amount` for a full refund; pass it in major units for a partial one
+async function createRefund({ paymentId, amount, reason, speed = 'normal' }) {
+    if (!paymentId) {
+        throw new ApiError(400, 'PaymentId is required');
+    }
+
+    const match = findPaymentTransaction(paymentId);
+    if (!match) {
+        throw new ApiError(404, 'Payment not found');
+    }
+
+    const { userId, transaction } = match;
+    if (!canTransition(transaction.status, 'refunded')) {
+        throw new ApiError(409, `Payment cannot be refunded from status '${transaction.status}'`, {
+            status: transaction.status
+        });
+    }
+
+    const refundable = readAmount(transaction).subtract(readAmount(transaction, 'refundedAmount'));
+    let refundAmount = refundable;
+    if (amount !== undefined) {
+        try {
+            refundAmount = Money.fromMajor(amount, transaction.currency);
+        } catch (error) {
+            if (!(error instanceof MoneyError)) throw error;
+            refundAmount = Money.zero(transaction.currency);
+        }
+    }
+
+    if (!refundAmount.isPositive() || refundAmount.compare(refundable) > 0) {
+        throw new ApiError(400, 'Refund amount must be positive and no more than the refundable amount', {
+            refundable: refundable.toMajor()
+        });
+    }
+
+    const refundEntity = await getRazorpay().payments.refund(paymentId, {
+        amount: refundAmount.minor,
+        speed,
+        notes: {
+            userId,
+            reason: reason || '',
+            createdBy: 'budget_tracker_api'
+        }
+    });
+
+    const refund = recordRefund(refundEntity, 'refund_api', reason);
+    saveData();
+
+    console.log('💸 Refund created:', {
+        refundId: refund.id,
+        paymentId,
+        amount: refund.amount,
+        newTotal: state.budgetData.users[userId].totalSpent
+    });
+
+    // Full once this and earlier refunds together cover the payment
+    return { refund, transaction, userId, full: transaction.refundedAmountMinor >= transaction.amountMinor };
+}
+
+function handleRefundCreated(refundEntity) {
+    recordRefund(refundEntity, 'webhook');
+    saveData();
+    console.log('💸 Refund created via webhook:', refundEntity.id);
+}
+
+function handleRefundProcessed(refundEntity) {
+    const refund = recordRefund(refundEntity, 'webhook');
+    if (refund) processRefund(refund, 'webhook');
+    saveData();
+    console.log('✅ Refund processed via webhook:', refundEntity.id);
+}
+
+function handleRefundFailed(refundEntity) {
+    const refund = state.budgetData.refunds[refundEntity.id];
+    if (refund) failRefund(refund, 'webhook', refundEntity.error_description);
+    saveData();
+    console.log('❌ Refund failed via webhook:', refundEntity.id);
+}
+
+module.exports = {
+    getRefund,
+    createRefund,
+    handleRefundCreated,
+    handleRefundProcessed,
+    handleRefundFailed
+};
@@ -0,0 +1,56 @@
+// 🛡️ Roles and permissions
+// Every account has one role, stored as `user.role` ('user' when missing).
+// Staff roles hold permissions on data that is not their own:
+//
+//   support   look users up, read their data, suspend and reinstate accounts,
+//             read the payments log and stored webhook events, refund payments
+//   finance   look users up, read their data, platform statistics, the
+//             payments log, FX rates, refunds and manual adjustments
+//   admin     everything, including roles, global rules, acting for users,
+//             lifting budget guards ('budgets:guard'), webhook replays,
+//             partner API keys and the audit log
+
+const ROLES = ['user', 'support', 'finance', 'admin'];
+
+const PERMISSIONS = {
+    user: [],
+    support: [
+        'users:read',
+        'users:suspend',
+        'payments:read',
+        'webhooks:read',
+        'fx:read',
+        'refunds:write'
+    ],
+    finance: [
+        'users:read',
+        'payments:read',
+        'stats:read',
+        'fx:read',
+        'fx:write',
+        'refunds:write',
+        'adjustments:write'
+    ],
+    admin: ['*']
+};
+
+function roleOf(user) {
+    return user && ROLES.includes(user.role) ? user.role : 'user';
+}
+
+function permissionsOf(role) {
+    return PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+    const granted = permissionsOf(role);
+    return granted.includes('*') || granted.includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    roleOf,
+    permissionsOf,
+    hasPermission
+};
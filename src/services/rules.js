@@ -0,0 +1,406 @@
+// 🏷️ Categorization rules
+// Rules assign a category and tags to transactions as they arrive (verified
+// payments, webhooks and manual entries) and can be re-applied to history.
+// A rule belongs to one user or, with `userId: null`, to everyone; they live
+// in budgetData.categoryRules as
+//
+//   { id, userId, name, priority, enabled, match, category, tags, override }
+//
+// `match` holds one or more conditions, all of which must hold:
+//
+//   description, merchant, vpa   text contained in the field (any of a list)
+//   method                       payment method, e.g. 'upi' or 'cash' (any of a list)
+//   type                         'expense' or 'income'
+//   minAmount, maxAmount         inclusive bounds in `currency`
+//   timeOfDay                    { from: 'HH:MM', to: 'HH:MM' } in server
+//                                time; may wrap past midnight
+//
+// Text is compared case-insensitively. Rules run in ascending `priority`,
+// the user's before the global ones; the first match sets the category and
+// every match adds its tags. A rule only replaces a category the client left
+// at a default ('Other', 'Payment', ...) or that a rule set earlier, unless
+// it has `override`; categories a user chose by editing are never replaced,
+// nor are those of split transactions.
+
+const crypto = require('crypto');
+const { state, saveData } = require('../state');
+const { ApiError } = require('../errors');
+const { DEFAULT_CURRENCY, Money, MoneyError } = require('./money');
+const fx = require('./fx');
+const { requireUser } = require('./users');
+const { homeCurrencyOf, updateTransaction } = require('./transactions');
+const { recordEdit } = require('./edits');
+
+const DEFAULT_CATEGORIES = ['Other', 'Payment', 'general', 'Income'];
+const TEXT_CONDITIONS = ['description', 'merchant', 'vpa'];
+const TRANSACTION_TYPES = ['expense', 'income'];
+const DEFAULT_PRIORITY = 100;
+const MAX_RULES_PER_OWNER = 200;
+const MAX_TAGS = 20;
+const MAX_LISTED_CHANGES = 500;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function allRules() {
+    return state.budgetData.categoryRules;
+}
+
+function text(value, name) {
+    if (typeof value !== 'string' || !value.trim() || value.length > 200) {
+        throw new ApiError(400, `${name} must be text of 1 to 200 characters`, { received: value });
+    }
+    return value.trim();
+}
+
+// A string or a list of strings, kept as a list
+function textList(value, name) {
+    const list = Array.isArray(value) ? value : [value];
+    if (list.length === 0 || list.length > 50) {
+        throw new ApiError(400, `${name} must be text or a list of 1 to 50 texts`, { received: value });
+    }
+    return list.map((item, index) => text(item, `${name}[${index}]`));
+}
+
+function parseMinutes(value, name) {
+    const parsed = TIME_OF_DAY.exec(String(value));
+    if (!parsed) {
+        throw new ApiError(400, `${name} must be a time as HH:MM`, { received: value });
+    }
+    return Number(parsed[1]) * 60 + Number(parsed[2]);
+}
+
+function parseAmountBound(value, name, currency) {
+    try {
+        const money = Money.fromMajor(value, currency);
+        if (!money.isNegative()) return money;
+    } catch (error) {
+        if (!(error instanceof MoneyError)) throw error;
+    }
+    throw new ApiError(400, `${name} must be an amount of zero or more`, { received: value });
+}
+
+function parseMatch(match, defaultCurrency) {
+    if (!match || typeof match !== 'object' || Array.isArray(match)) {
+        throw new ApiError(400, 'match must be an object of conditions');
+    }
+
+    const parsed = {};
+    TEXT_CONDITIONS.forEach(field => {
+        if (match[field] !== undefined) parsed[field] = textList(match[field], `match.${field}`);
+    });
+    if (match.method !== undefined) parsed.method = textList(match.method, 'match.method');
+
+    if (match.type !== undefined) {
+        if (!TRANSACTION_TYPES.includes(match.type)) {
+            throw new ApiError(400, `match.type must be one of ${TRANSACTION_TYPES.join(', ')}`, { received: match.type });
+        }
+        parsed.type = match.type;
+    }
+
+    if (match.minAmount !== undefined || match.maxAmount !== undefined) {
+        const currency = String(match.currency || defaultCurrency).toUpperCase();
+        if (!fx.isCurrencyCode(currency)) {
+            throw new ApiError(400, 'match.currency must be a 3-letter currency code', { received: match.currency });
+        }
+        parsed.currency = currency;
+        if (match.minAmount !== undefined) {
+            Object.assign(parsed, parseAmountBound(match.minAmount, 'match.minAmount', currency).toFields('minAmount'));
+        }
+        if (match.maxAmount !== undefined) {
+            Object.assign(parsed, parseAmountBound(match.maxAmount, 'match.maxAmount', currency).toFields('maxAmount'));
+        }
+        if (parsed.minAmountMinor !== undefined && parsed.maxAmountMinor !== undefined &&
+            parsed.minAmountMinor > parsed.maxAmountMinor) {
+            throw new ApiError(400, 'match.minAmount cannot be above match.maxAmount');
+        }
+    }
+
+    if (match.timeOfDay !== undefined) {
+        const { from, to } = match.timeOfDay || {};
+        parseMinutes(from, 'match.timeOfDay.from');
+        parseMinutes(to, 'match.timeOfDay.to');
+        parsed.timeOfDay = { from, to };
+    }
+
+    if (Object.keys(parsed).length === 0) {
+        throw new ApiError(400, 'match needs at least one condition', {
+            conditions: [...TEXT_CONDITIONS, 'method', 'type', 'minAmount', 'maxAmount', 'timeOfDay']
+        });
+    }
+    return parsed;
+}
+
+// Validates a create or update request; on update, fields left out keep the
+// rule's current value
+function parseRule(input, current, defaultCurrency) {
+    const has = key => input[key] !== undefined;
+    const rule = current ? { ...current } : {};
+
+    if (has('name') || !current) rule.name = text(input.name, 'name');
+    if (has('priority') || !current) {
+        const priority = has('priority') ? Number(input.priority) : DEFAULT_PRIORITY;
+        if (!Number.isInteger(priority) || priority < 0 || priority > 10000) {
+            throw new ApiError(400, 'priority must be a whole number from 0 to 10000', { received: input.priority });
+        }
+        rule.priority = priority;
+    }
+    if (has('enabled') || !current) rule.enabled = input.enabled !== false;
+    if (has('override') || !current) rule.override = input.override === true;
+    if (has('match') || !current) rule.match = parseMatch(input.match, defaultCurrency);
+
+    if (has('category')) rule.category = input.category === null ? null : text(input.category, 'category');
+    if (has('tags')) {
+        const tags = input.tags === null ? [] : textList(input.tags, 'tags');
+        if (tags.length > MAX_TAGS) {
+            throw new ApiError(400, `tags may list at most ${MAX_TAGS} tags`);
+        }
+        rule.tags = [...new Set(tags)];
+    }
+    rule.category = rule.category || null;
+    rule.tags = rule.tags || [];
+
+    if (!rule.category && rule.tags.length === 0) {
+        throw new ApiError(400, 'A rule needs a category, tags or both');
+    }
+    return rule;
+}
+
+function containsAny(value, needles) {
+    const haystack = String(value || '').toLowerCase();
+    return needles.some(needle => haystack.includes(needle.toLowerCase()));
+}
+
+// The transaction amount in `currency`, or null when it is held in another
+// currency and has no converted amount in that one
+function amountIn(transaction, currency) {
+    if (transaction.currency === currency) return transaction.amountMinor;
+    if (transaction.homeCurrency === currency && typeof transaction.homeAmountMinor === 'number') {
+        return transaction.homeAmountMinor;
+    }
+    return null;
+}
+
+function withinTimeOfDay(date, { from, to }) {
+    const at = new Date(date);
+    const minutes = at.getHours() * 60 + at.getMinutes();
+    const start = parseMinutes(from);
+    const end = parseMinutes(to);
+    return start <= end
+        ? minutes >= start && minutes <= end
+        : minutes >= start || minutes <= end;
+}
+
+function matchesRule({ match }, transaction) {
+    if (match.description && !containsAny(transaction.description, match.description)) return false;
+    if (match.merchant && !containsAny(transaction.merchant, match.merchant)) return false;
+    if (match.vpa && !containsAny(transaction.vpa, match.vpa)) return false;
+
+    if (match.method) {
+        const method = String(transaction.paymentMethod || transaction.method || '').toLowerCase();
+        if (!match.method.some(m => m.toLowerCase() === method)) return false;
+    }
+
+    if (match.type && (transaction.type || 'expense') !== match.type) return false;
+
+    if (match.minAmountMinor !== undefined || match.maxAmountMinor !== undefined) {
+        const amount = amountIn(transaction, match.currency);
+        if (amount === null) return false;
+        if (match.minAmountMinor !== undefined && amount < match.minAmountMinor) return false;
+        if (match.maxAmountMinor !== undefined && amount > match.maxAmountMinor) return false;
+    }
+
+    if (match.timeOfDay && !withinTimeOfDay(transaction.date, match.timeOfDay)) return false;
+
+    return true;
+}
+
+function byPriority(a, b) {
+    return a.priority - b.priority || new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+// Enabled rules in the order they run for a user; `candidate` is tried as if
+// it were saved, in place of the rule with its id if there is one
+function rulesFor(userId, candidate) {
+    const rules = allRules().filter(rule => !candidate || rule.id !== candidate.id);
+    if (candidate) rules.push(candidate);
+
+    const enabled = rules.filter(rule => rule.enabled);
+    return [
+        ...enabled.filter(rule => rule.userId === userId).sort(byPriority),
+        ...enabled.filter(rule => rule.userId === null).sort(byPriority)
+    ];
+}
+
+function categoryIsOpen(transaction, rule) {
+    if (transaction.splits && transaction.splits.length > 0) return false;
+    if (transaction.categorizedBy?.source === 'user') return false;
+    return rule.override ||
+        !transaction.category ||
+        DEFAULT_CATEGORIES.includes(transaction.category) ||
+        transaction.categorizedBy?.source === 'rule';
+}
+
+// The fields the rules would set on a transaction, only those that differ
+// from its current values, and the ids of the rules that matched
+function planChanges(userId, transaction, candidate) {
+    const matched = rulesFor(userId, candidate).filter(rule => matchesRule(rule, transaction));
+    const fields = {};
+
+    const categoryRule = matched.find(rule => rule.category && categoryIsOpen(transaction, rule));
+    if (categoryRule && (transaction.category !== categoryRule.category ||
+        transaction.categorizedBy?.ruleId !== categoryRule.id)) {
+        fields.category = categoryRule.category;
+        fields.categorizedBy = { source: 'rule', ruleId: categoryRule.id };
+    }
+
+    const tags = [...new Set([...(transaction.tags || []), ...matched.flatMap(rule => rule.tags)])];
+    if (tags.length !== (transaction.tags || []).length) {
+        fields.tags = tags;
+    }
+
+    return { fields, ruleIds: matched.map(rule => rule.id) };
+}
+
+// Categorizes a transaction that is about to be recorded; returns the ids of
+// the rules that matched
+function categorize(userId, transaction) {
+    const { fields, ruleIds } = planChanges(userId, transaction);
+    Object.assign(transaction, fields);
+
+    if (fields.category) {
+        console.log('🏷️ Categorized by rule:', { transactionId: transaction.id, category: fields.category, ruleId: fields.categorizedBy.ruleId });
+    }
+    return ruleIds;
+}
+
+// Runs the rules over recorded transactions (one user's, or everyone's) and
+// applies what they change, recording each change in the edit history. With
+// `dryRun` nothing is saved and the result only lists the changes;
+// `candidate` is a rule tried as if it were saved.
+function reapplyRules({ userId, dryRun = false, candidate } = {}) {
+    const users = userId ? [requireUser(userId)] : Object.values(state.budgetData.users);
+    const result = { dryRun, scanned: 0, changed: 0, changes: [], truncated: false };
+
+    users.forEach(user => {
+        user.transactions.filter(t => !t.deletedAt).forEach(transaction => {
+            result.scanned++;
+            const { fields, ruleIds } = planChanges(user.id, transaction, candidate);
+            if (Object.keys(fields).length === 0) return;
+
+            let changes;
+            if (dryRun) {
+                changes = Object.fromEntries(Object.entries(fields).map(([field, to]) => [field, {
+                    from: transaction[field] === undefined ? null : transaction[field],
+                    to
+                }]));
+            } else {
+                updateTransaction(user.id, transaction, t => {
+                    changes = recordEdit(t, fields, 'rules');
+                    Object.assign(t, fields, { updatedAt: new Date().toISOString() });
+                });
+            }
+
+            result.changed++;
+            if (result.changes.length < MAX_LISTED_CHANGES) {
+                result.changes.push({
+                    userId: user.id,
+                    transactionId: transaction.id,
+                    description: transaction.description,
+                    changes,
+                    ruleIds
+                });
+            } else {
+                result.truncated = true;
+            }
+        });
+    });
+
+    if (!dryRun && result.changed > 0) {
+        saveData();
+        console.log('🏷️ Rules re-applied:', { userId: userId || 'all', scanned: result.scanned, changed: result.changed });
+    }
+    return result;
+}
+
+function ownerCurrency(userId) {
+    return userId ? homeCurrencyOf(state.budgetData.users[userId]) : DEFAULT_CURRENCY;
+}
+
+function findRule(userId, ruleId) {
+    const rule = allRules().find(r => r.id === ruleId && r.userId === userId);
+    if (!rule) {
+        throw new ApiError(404, 'Rule not found', { ruleId });
+    }
+    return rule;
+}
+
+// `userId` null lists, creates and changes the global rules
+function listRules(userId) {
+    if (userId) requireUser(userId);
+    return allRules().filter(rule => rule.userId === userId).sort(byPriority);
+}
+
+function createRule(userId, input) {
+    if (userId) requireUser(userId);
+    if (allRules().filter(rule => rule.userId === userId).length >= MAX_RULES_PER_OWNER) {
+        throw new ApiError(409, `At most ${MAX_RULES_PER_OWNER} rules are allowed`);
+    }
+
+    const now = new Date().toISOString();
+    const rule = {
+        id: `rule_${crypto.randomBytes(8).toString('hex')}`,
+        userId,
+        ...parseRule(input || {}, null, ownerCurrency(userId)),
+        createdAt: now,
+        updatedAt: now
+    };
+
+    allRules().push(rule);
+    saveData();
+    console.log('🏷️ Rule created:', { ruleId: rule.id, userId: userId || 'global', name: rule.name });
+    return rule;
+}
+
+function updateRule(userId, ruleId, input) {
+    if (userId) requireUser(userId);
+    const rule = findRule(userId, ruleId);
+
+    Object.assign(rule, parseRule(input || {}, rule, ownerCurrency(userId)), { updatedAt: new Date().toISOString() });
+    saveData();
+    return rule;
+}
+
+function deleteRule(userId, ruleId) {
+    if (userId) requireUser(userId);
+    const rule = findRule(userId, ruleId);
+
+    allRules().splice(allRules().indexOf(rule), 1);
+    saveData();
+    return rule;
+}
+
+// Dry run of the saved rules, or of the saved rules plus the rule in
+// `input` (a new rule, or changes to the saved rule with `input.id`)
+function dryRun(userId, input) {
+    let candidate;
+    if (input) {
+        const current = input.id ? findRule(userId, input.id) : null;
+        candidate = {
+            id: current ? current.id : 'candidate',
+            userId,
+            ...parseRule(input, current, ownerCurrency(userId)),
+            createdAt: current ? current.createdAt : new Date().toISOString()
+        };
+    }
+    return { ...(candidate && { candidate }), ...reapplyRules({ userId, dryRun: true, candidate }) };
+}
+
+module.exports = {
+    DEFAULT_CATEGORIES,
+    categorize,
+    reapplyRules,
+    dryRun,
+    listRules,
+    createRule,
+    updateRule,
+    deleteRule
+};
@@ -0,0 +1,269 @@
+// 📋 Transactions
+// A transaction lives in its user's list and, as a copy carrying the userId, in
+// the global payments log. Both copies and the spend totals move together.
+// Totals are kept in minor units of the user's home currency; each transaction
+// keeps its original amount and currency plus the converted home amount.
+// Manual entries (source 'manual', see entries.js) only live in the user's
+// list: they count toward the user's totals but not the platform's payments.
+
+const { state } = require('../state');
+const { transitionStatus, normalizeStatus, spendMinor } = require('./lifecycle');
+const { DEFAULT_CURRENCY, toMajor, formatMinor, readAmount } = require('./money');
+const fx = require('./fx');
+
+// Fields the payments log copies from the user's transaction after a change
+const SYNCED_FIELDS = [
+    'status',
+    'statusHistory',
+    'updatedAt',
+    'refundedAmountMinor',
+    'refundedAmount',
+    'refunds',
+    'reconciled',
+    'homeCurrency',
+    'homeAmountMinor',
+    'homeAmount',
+    'fxRate',
+    'fxRateDate',
+    'fxStatus',
+    'category',
+    'categorizedBy',
+    'categorySuggestion',
+    'description',
+    'notes',
+    'tags',
+    'splits',
+    'deletedAt',
+    'editHistory'
+];
+
+function isManual(transaction) {
+    return transaction.source === 'manual';
+}
+
+function homeCurrencyOf(user) {
+    return (user && user.homeCurrency) || DEFAULT_CURRENCY;
+}
+
+function addToTotal(record, field, minor, currency = DEFAULT_CURRENCY) {
+    record[`${field}Minor`] = (record[`${field}Minor`] || 0) + minor;
+    record[field] = toMajor(record[`${field}Minor`], currency);
+}
+
+// Platform totals are kept per home currency; they cannot be added together
+function addToPlatformTotal(currency, minor) {
+    const totals = state.budgetData.analytics.totalsByCurrency =
+        state.budgetData.analytics.totalsByCurrency || {};
+    totals[currency] = (totals[currency] || 0) + minor;
+}
+
+// Sets the home-currency amount of a transaction from the FX table. Without a
+// usable rate the home amount stays null and fxStatus is 'missing'.
+function applyHomeAmount(transaction, homeCurrency) {
+    const original = readAmount(transaction);
+    transaction.homeCurrency = homeCurrency;
+
+    if (original.currency === homeCurrency) {
+        Object.assign(transaction, original.toFields('homeAmount'));
+        delete transaction.fxRate;
+        delete transaction.fxRateDate;
+        delete transaction.fxStatus;
+        return transaction;
+    }
+
+    try {
+        const { money, rate, rateDate } = fx.convert(original, homeCurrency, transaction.date);
+        Object.assign(transaction, money.toFields('homeAmount'), {
+            fxRate: rate,
+            fxRateDate: rateDate,
+            fxStatus: 'converted'
+        });
+    } catch (error) {
+        if (!(error instanceof fx.FxRateError)) throw error;
+        Object.assign(transaction, { homeAmountMinor: null, homeAmount: null, fxStatus: 'missing' });
+        delete transaction.fxRate;
+        delete transaction.fxRateDate;
+    }
+
+    return transaction;
+}
+
+// Keeps the global payments log in step with the user's copy
+function syncLoggedCopy(transaction) {
+    const logged = state.budgetData.payments.find(p => p.id === transaction.id);
+    if (logged) {
+        SYNCED_FIELDS.forEach(field => {
+            if (transaction[field] === undefined) {
+                delete logged[field];
+            } else {
+                logged[field] = transaction[field];
+            }
+        });
+    }
+}
+
+// Applies a change to a transaction and moves the user's and the platform's
+// totals by however much its spend contribution changed.
+function updateTransaction(userId, transaction, change) {
+    const user = state.budgetData.users[userId];
+    const before = spendMinor(transaction);
+    const changed = change(transaction);
+
+    const delta = spendMinor(transaction) - before;
+    if (delta !== 0) {
+        if (user) addToTotal(user, 'totalSpent', delta, homeCurrencyOf(user));
+        if (!isManual(transaction)) addToPlatformTotal(homeCurrencyOf(user), delta);
+    }
+
+    syncLoggedCopy(transaction);
+    return changed;
+}
+
+function transitionTransaction(userId, transaction, to, source, details = {}) {
+    return updateTransaction(userId, transaction, t => transitionStatus(t, to, source, details));
+}
+
+// Adds a new transaction to its user and, unless it is a manual entry, to the
+// payments log and the platform totals
+function addTransaction(user, transaction) {
+    const currency = homeCurrencyOf(user);
+    applyHomeAmount(transaction, currency);
+    const spent = spendMinor(transaction);
+
+    addToTotal(user, 'totalSpent', spent, currency);
+    user.transactions.push(transaction);
+    user.lastActive = new Date().toISOString();
+
+    if (isManual(transaction)) return transaction;
+
+    state.budgetData.payments.push({ ...transaction, userId: user.id });
+    if (spent > 0) {
+        state.budgetData.analytics.totalTransactions++;
+        addToPlatformTotal(currency, spent);
+    }
+
+    return transaction;
+}
+
+// Rebuilds every user's totalSpent and the per-currency platform totals from
+// the transactions themselves. Used when amounts move between currencies,
+// where adjusting the running totals by a delta would mix currencies.
+function recomputeTotals() {
+    const totals = {};
+
+    Object.values(state.budgetData.users).forEach(user => {
+        const currency = homeCurrencyOf(user);
+        const spent = user.transactions.reduce((sum, t) => sum + spendMinor(t), 0);
+        const paid = user.transactions.filter(t => !isManual(t)).reduce((sum, t) => sum + spendMinor(t), 0);
+
+        user.totalSpentMinor = spent;
+        user.totalSpent = toMajor(spent, currency);
+        totals[currency] = (totals[currency] || 0) + paid;
+    });
+
+    state.budgetData.analytics.totalsByCurrency = totals;
+}
+
+// Imports FX rate rows (see ./fx) and converts the transactions that can now
+// be converted; `all` converts every foreign transaction again instead.
+function importFxRates(rows, { all = false } = {}) {
+    const imported = fx.importRates(rows);
+    const reconverted = reconvertTransactions({ onlyMissing: !all });
+    return { ...imported, reconverted };
+}
+
+// Converts transactions again, e.g. after new rates were imported or the
+// user changed home currency. With `onlyMissing` only transactions that had
+// no rate yet are touched. Returns { updated, missing } counts.
+function reconvertTransactions({ userId, onlyMissing = false } = {}) {
+    const counts = { updated: 0, missing: 0 };
+
+    Object.values(state.budgetData.users)
+        .filter(user => !userId || user.id === userId)
+        .forEach(user => {
+            const currency = homeCurrencyOf(user);
+            user.transactions
+                .filter(t => !onlyMissing || t.fxStatus === 'missing')
+                .forEach(t => {
+                    applyHomeAmount(t, currency);
+                    syncLoggedCopy(t);
+                    counts[t.fxStatus === 'missing' ? 'missing' : 'updated']++;
+                });
+        });
+
+    recomputeTotals();
+    return counts;
+}
+
+function findPaymentTransaction(paymentId) {
+    const entry = state.budgetData.payments.find(p => p.id === paymentId);
+    if (!entry) return null;
+
+    const transaction = state.budgetData.users[entry.userId]?.transactions.find(t => t.id === paymentId);
+    return transaction ? { userId: entry.userId, transaction } : null;
+}
+
+// Deleted manual entries are left out unless `includeDeleted` is 'true'
+function listTransactions(user, { limit = 50, offset = 0, category, status, type, source, tag, includeDeleted } = {}) {
+    let transactions = user.transactions.filter(t => String(includeDeleted) === 'true' || !t.deletedAt);
+
+    if (category && category !== 'all') {
+        transactions = transactions.filter(t =>
+            t.category === category || (t.splits || []).some(split => split.category === category));
+    }
+
+    if (tag) {
+        transactions = transactions.filter(t => (t.tags || []).includes(tag));
+    }
+
+    if (type && type !== 'all') {
+        transactions = transactions.filter(t => (t.type || 'expense') === type);
+    }
+
+    if (source && source !== 'all') {
+        transactions = transactions.filter(t => (t.source || 'razorpay') === source);
+    }
+
+    if (status && status !== 'all') {
+        const wanted = normalizeStatus(status);
+        transactions = transactions.filter(t => t.status === wanted);
+    }
+
+    // Newest first
+    transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    const startIndex = parseInt(offset) || 0;
+    const limitNum = parseInt(limit) || 50;
+    const endIndex = startIndex + limitNum;
+
+    return {
+        transactions: transactions.slice(startIndex, endIndex).map(t => ({
+            ...t,
+            formattedAmount: formatMinor(t.amountMinor, t.currency),
+            ...(typeof t.homeAmountMinor === 'number' && t.homeCurrency !== t.currency && {
+                formattedHomeAmount: formatMinor(t.homeAmountMinor, t.homeCurrency)
+            })
+        })),
+        pagination: {
+            total: transactions.length,
+            limit: limitNum,
+            offset: startIndex,
+            hasMore: endIndex < transactions.length
+        }
+    };
+}
+
+module.exports = {
+    isManual,
+    homeCurrencyOf,
+    addToTotal,
+    applyHomeAmount,
+    updateTransaction,
+    transitionTransaction,
+    addTransaction,
+    recomputeTotals,
+    reconvertTransactions,
+    importFxRates,
+    findPaymentTransaction,
+    listTransactions
+};
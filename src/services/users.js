@@ -0,0 +1,165 @@
+// 👤 User records. Users hold their own transactions and a running totalSpent
+// in their home currency, the currency their budget and analytics use.
+
+const { state, saveData } = require('../state');
+const { ApiError } = require('../errors');
+const { DEFAULT_CURRENCY, Money, MoneyError } = require('./money');
+const fx = require('./fx');
+const { convertBudget } = require('./budgets');
+const { reconvertTransactions } = require('./transactions');
+
+function getUser(userId) {
+    return state.budgetData.users[userId] || null;
+}
+
+function requireUser(userId) {
+    const user = getUser(userId);
+    if (!user) {
+        throw new ApiError(404, 'User not found', { userId });
+    }
+    return user;
+}
+
+function newUser(userId, profile = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: userId,
+        name: profile.name || 'Anonymous User',
+        email: profile.email || '',
+        homeCurrency: profile.homeCurrency || DEFAULT_CURRENCY,
+        totalSpentMinor: 0,
+        totalSpent: 0,
+        transactions: [],
+        createdAt: now,
+        lastActive: now
+    };
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+// A normalized email, or an ApiError
+function parseEmail(email) {
+    const normalized = normalizeEmail(email);
+    if (!/^[^@\s]+@[^@\s]+$/.test(normalized)) {
+        throw new ApiError(400, 'A valid email is required', { received: email });
+    }
+    return normalized;
+}
+
+function parseHomeCurrency(currency) {
+    if (!fx.isCurrencyCode(currency)) {
+        throw new ApiError(400, 'homeCurrency must be a 3-letter currency code', { received: currency });
+    }
+    return String(currency).toUpperCase();
+}
+
+function createUser({ userId, name, email, initialBudget = 10000, homeCurrency = DEFAULT_CURRENCY, partnerId }) {
+    if (!userId || typeof userId !== 'string') {
+        throw new ApiError(400, 'Valid userId is required', { received: typeof userId });
+    }
+
+    const currency = parseHomeCurrency(homeCurrency);
+
+    if (state.budgetData.users[userId]) {
+        throw new ApiError(409, 'User already exists', { userId });
+    }
+
+    let monthly;
+    try {
+        monthly = Money.fromMajor(initialBudget, currency);
+    } catch (error) {
+        if (!(error instanceof MoneyError)) throw error;
+    }
+    if (!monthly || !monthly.isPositive()) {
+        throw new ApiError(400, 'Valid initialBudget is required', { received: initialBudget });
+    }
+
+    const user = newUser(userId, { name, email, homeCurrency: currency });
+    if (partnerId) user.partnerId = partnerId;
+    const budget = {
+        ...monthly.toFields('monthly'),
+        currency,
+        categories: {},
+        alerts: true,
+        createdAt: new Date().toISOString()
+    };
+
+    state.budgetData.users[userId] = user;
+    state.budgetData.budgets[userId] = budget;
+    state.budgetData.analytics.totalUsers++;
+    saveData();
+
+    return { user, budget };
+}
+
+// Orders and payments may arrive for users nobody registered first.
+// `partnerId` marks a user created on a partner's behalf as the partner's own.
+function ensureUser(userId, { partnerId } = {}) {
+    if (!state.budgetData.users[userId]) {
+        state.budgetData.users[userId] = newUser(userId, { name: `User ${userId}` });
+        if (partnerId) state.budgetData.users[userId].partnerId = partnerId;
+        state.budgetData.analytics.totalUsers++;
+        console.log('👤 User auto-created:', userId);
+    }
+    return state.budgetData.users[userId];
+}
+
+// An account's email is also its sign-in name, so a new one must be free
+// and goes to its credentials as well. `adminEmails` are reserved for the
+// accounts that sign up with them (see ./auth).
+function updateUser(userId, { name, email, homeCurrency }, { adminEmails = [] } = {}) {
+    const user = requireUser(userId);
+    const currency = homeCurrency === undefined ? undefined : parseHomeCurrency(homeCurrency);
+    const credentials = state.budgetData.credentials[userId];
+
+    let newEmail;
+    if (email !== undefined) {
+        // Users without a password, created over the API, may clear theirs
+        const clearing = !credentials && !normalizeEmail(email);
+        newEmail = clearing ? '' : parseEmail(email);
+        const taken = !clearing && Object.values(state.budgetData.credentials)
+            .some(c => c.userId !== userId && c.email === newEmail);
+        if (taken) {
+            throw new ApiError(409, 'An account with this email already exists');
+        }
+        if (adminEmails.includes(newEmail) && newEmail !== user.email) {
+            throw new ApiError(403, 'This email is reserved for an admin account');
+        }
+    }
+
+    if (currency !== undefined && currency !== (user.homeCurrency || DEFAULT_CURRENCY)) {
+        setHomeCurrency(user, currency);
+    }
+    if (name !== undefined) user.name = name;
+    if (newEmail !== undefined) {
+        user.email = newEmail;
+        if (credentials) credentials.email = newEmail;
+    }
+    user.updatedAt = new Date().toISOString();
+    saveData();
+
+    return user;
+}
+
+// Moves a user to another home currency: budget limits are converted at
+// today's rate and every transaction is converted again at its own date's
+// rate. Fails with 422, changing nothing, when the budget cannot be converted.
+function setHomeCurrency(user, currency) {
+    try {
+        convertBudget(user.id, currency);
+    } catch (error) {
+        if (!(error instanceof fx.FxRateError)) throw error;
+        throw new ApiError(422, 'No FX rate to convert the budget into the new home currency', error.details);
+    }
+
+    user.homeCurrency = currency;
+    return reconvertTransactions({ userId: user.id });
+}
+
+function touchUser(user) {
+    user.lastActive = new Date().toISOString();
+}
+
+module.exports = { getUser, requireUser, createUser, ensureUser, updateUser, touchUser, normalizeEmail, parseEmail };
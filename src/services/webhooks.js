@@ -0,0 +1,158 @@
+// 🔔 Razorpay Webhooks
+// Every delivery is stored by Razorpay's event id before it is processed, so a
+// redelivered event is recognised and never applied twice. Replays run the
+// stored bytes through the same handlers.
+
+const crypto = require('crypto');
+const { state, saveData } = require('../state');
+const { safeEqual } = require('./razorpay');
+const { PaymentLifecycleError } = require('./lifecycle');
+const payments = require('./payments');
+const refunds = require('./refunds');
+
+// Signatures are computed over the exact bytes Razorpay sent
+function verifyWebhookSignature(rawBody, signature, secret) {
+    if (!rawBody || !secret) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return safeEqual(expected, signature);
+}
+
+function resolveEventId(headers, rawBody) {
+    return headers['x-razorpay-event-id'] ||
+        `body_${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+}
+
+function storeWebhookEvent(eventId, rawBody) {
+    const body = JSON.parse(rawBody);
+    const record = {
+        id: eventId,
+        event: body.event,
+        payload: rawBody,
+        status: 'received',
+        deliveries: 0,
+        attempts: 0,
+        receivedAt: new Date().toISOString()
+    };
+
+    state.budgetData.webhookEvents[eventId] = record;
+    return record;
+}
+
+function dispatchWebhookEvent(event, payload) {
+    switch (event) {
+        case 'payment.authorized':
+            payments.handlePaymentAuthorized(payload.payment.entity);
+            break;
+        case 'payment.captured':
+            payments.handlePaymentCaptured(payload.payment.entity);
+            break;
+        case 'payment.failed':
+            payments.handlePaymentFailed(payload.payment.entity);
+            break;
+        case 'order.paid':
+            payments.handleOrderPaid(payload.order.entity, payload.payment?.entity);
+            break;
+        case 'refund.created':
+            refunds.handleRefundCreated(payload.refund.entity);
+            break;
+        case 'refund.processed':
+            refunds.handleRefundProcessed(payload.refund.entity);
+            break;
+        case 'refund.failed':
+            refunds.handleRefundFailed(payload.refund.entity);
+            break;
+        case 'payment.dispute.created':
+            payments.handleDisputeUpdate(payload.dispute.entity, 'disputed');
+            break;
+        case 'payment.dispute.won':
+            payments.handleDisputeUpdate(payload.dispute.entity, 'captured');
+            break;
+        case 'payment.dispute.lost':
+            payments.handleDisputeUpdate(payload.dispute.entity, 'refunded');
+            break;
+        default:
+            console.log('📡 Unhandled webhook event:', event);
+    }
+}
+
+function processWebhookEvent(record) {
+    const { event, payload } = JSON.parse(record.payload);
+    record.attempts++;
+    record.lastAttemptAt = new Date().toISOString();
+
+    try {
+        dispatchWebhookEvent(event, payload);
+        record.status = 'processed';
+        record.processedAt = new Date().toISOString();
+        delete record.error;
+    } catch (error) {
+        // Lifecycle rejections will never succeed on retry, anything else might
+        record.status = error instanceof PaymentLifecycleError ? 'ignored' : 'failed';
+        record.error = error.message;
+    }
+
+    saveData();
+    return record;
+}
+
+// Stores and processes one delivery. Returns { record, duplicate }.
+function receiveWebhook(rawBody, headers) {
+    const eventId = resolveEventId(headers, rawBody);
+
+    let record = state.budgetData.webhookEvents[eventId];
+    if (record && record.status !== 'failed') {
+        record.deliveries++;
+        saveData();
+        console.log('🔁 Duplicate webhook delivery skipped:', eventId, record.event);
+        return { record, duplicate: true };
+    }
+
+    record = record || storeWebhookEvent(eventId, rawBody.toString('utf8'));
+    record.deliveries++;
+
+    console.log('🔔 Webhook received:', record.event, 'Event ID:', eventId);
+    processWebhookEvent(record);
+
+    return { record, duplicate: false };
+}
+
+function listWebhookEvents({ status, event, limit = 50, offset = 0 } = {}) {
+    let events = Object.values(state.budgetData.webhookEvents);
+
+    if (status && status !== 'all') {
+        events = events.filter(e => e.status === status);
+    }
+
+    if (event) {
+        events = events.filter(e => e.event === event);
+    }
+
+    events.sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+
+    const startIndex = parseInt(offset) || 0;
+    const limitNum = parseInt(limit) || 50;
+    const endIndex = startIndex + limitNum;
+
+    return {
+        events: events.slice(startIndex, endIndex).map(({ payload, ...summary }) => summary),
+        pagination: {
+            total: events.length,
+            limit: limitNum,
+            offset: startIndex,
+            hasMore: endIndex < events.length
+        }
+    };
+}
+
+function getWebhookEvent(eventId) {
+    return state.budgetData.webhookEvents[eventId] || null;
+}
+
+module.exports = {
+    verifyWebhookSignature,
+    receiveWebhook,
+    processWebhookEvent,
+    listWebhookEvents,
+    getWebhookEvent
+};
@@ -0,0 +1,113 @@
+// 💾 Data Storage
+// The working set every service reads and mutates. It is loaded once from the
+// configured storage adapter at startup and written back through saveData().
+//
+// Each tenant (see ./tenancy) has its own working set and storage.
+// `state.budgetData` and `state.storage` belong to the tenant of the current
+// request, which runAsTenant() carries through every callback and await of
+// the work it runs; outside of one they are the default tenant's.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { createStorage } = require('./storage');
+const { migrateLegacyData } = require('./services/migrations');
+
+function createEmptyData() {
+    return {
+        users: {},
+        payments: [],
+        budgets: {},
+        budgetDefaults: {},
+        orders: {},
+        refunds: {},
+        webhookEvents: {},
+        fxRates: {},
+        categoryRules: [],
+        credentials: {},
+        sessions: {},
+        passwordSetups: {},
+        auditLog: [],
+        partners: {},
+        idempotencyKeys: {},
+        analytics: {
+            totalUsers: 0,
+            totalTransactions: 0,
+            totalsByCurrency: {}
+        }
+    };
+}
+
+const DEFAULT_TENANT = 'default';
+
+const tenantContext = new AsyncLocalStorage();
+const workingSets = new Map([[DEFAULT_TENANT, { budgetData: createEmptyData(), storage: null }]]);
+
+function currentTenantId() {
+    return tenantContext.getStore() || DEFAULT_TENANT;
+}
+
+function runAsTenant(tenantId, work) {
+    return tenantContext.run(tenantId, work);
+}
+
+function workingSet() {
+    const tenantId = currentTenantId();
+    const set = workingSets.get(tenantId);
+    if (!set) {
+        throw new Error(`No data has been configured for tenant "${tenantId}"`);
+    }
+    return set;
+}
+
+const state = {
+    get budgetData() {
+        return workingSet().budgetData;
+    },
+    set budgetData(value) {
+        workingSet().budgetData = value;
+    },
+    get storage() {
+        return workingSet().storage;
+    },
+    set storage(value) {
+        workingSet().storage = value;
+    }
+};
+
+// Sets up the current tenant's storage; tenants other than the default get
+// their own file, database or schema (see ./storage)
+function configureStorage(options) {
+    const tenantId = currentTenantId();
+    const storage = createStorage({ ...options, tenant: tenantId === DEFAULT_TENANT ? undefined : tenantId });
+    workingSets.set(tenantId, { budgetData: createEmptyData(), storage });
+    return storage;
+}
+
+function configuredTenantIds() {
+    return [...workingSets.keys()];
+}
+
+// Throws when stored data is unreadable; the server refuses to boot rather
+// than continuing with an empty dataset that the next save would persist
+async function loadData() {
+    const loaded = await state.storage.loadSnapshot(createEmptyData());
+    state.budgetData = migrateLegacyData(loaded);
+    return state.budgetData;
+}
+
+function saveData() {
+    state.storage.save(state.budgetData).catch(error => {
+        console.error('❌ Error saving data:', error);
+    });
+}
+
+module.exports = {
+    DEFAULT_TENANT,
+    state,
+    createEmptyData,
+    currentTenantId,
+    runAsTenant,
+    configuredTenantIds,
+    configureStorage,
+    loadData,
+    saveData
+};
@@ -0,0 +1,106 @@
+// Base class for every storage adapter.
+//
+// The servers keep a live `budgetData` object in memory and call saveData()
+// after each mutation. Adapters persist that snapshot (save/loadSnapshot) and
+// also expose per-entity repository methods for code that wants to read or
+// write a single user, budget, order, transaction or webhook event.
+
+class StorageError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'StorageError';
+        this.cause = cause;
+    }
+}
+
+class BaseStore {
+    constructor(options = {}) {
+        this.options = options;
+        this.saving = Promise.resolve();
+        this.saveQueued = false;
+        this.pendingSnapshot = null;
+    }
+
+    get driver() {
+        throw new StorageError(`${this.constructor.name} must define a driver name`);
+    }
+
+    async init() {}
+
+    async close() {
+        await this.flush();
+    }
+
+    // Queues a snapshot write. Saves run one at a time and saves requested
+    // while one is running collapse into a single follow-up write.
+    save(snapshot) {
+        this.pendingSnapshot = snapshot;
+
+        if (!this.saveQueued) {
+            this.saveQueued = true;
+            this.saving = this.saving
+                .catch(() => {})
+                .then(() => {
+                    this.saveQueued = false;
+                    return this.saveSnapshot(this.pendingSnapshot);
+                });
+        }
+
+        return this.saving;
+    }
+
+    async flush() {
+        await this.saving.catch(() => {});
+    }
+
+    // Fills in any top-level collection the stored data predates
+    applyDefaults(snapshot, defaults) {
+        const result = snapshot || {};
+        Object.entries(defaults).forEach(([key, value]) => {
+            if (result[key] === undefined) {
+                result[key] = JSON.parse(JSON.stringify(value));
+            }
+        });
+        return result;
+    }
+
+    // Snapshot
+    async loadSnapshot(defaults) { this.notImplemented('loadSnapshot'); }
+    async saveSnapshot(snapshot) { this.notImplemented('saveSnapshot'); }
+
+    // Users
+    async getUser(userId) { this.notImplemented('getUser'); }
+    async listUsers() { this.notImplemented('listUsers'); }
+    async saveUser(user) { this.notImplemented('saveUser'); }
+    async deleteUser(userId) { this.notImplemented('deleteUser'); }
+
+    // Budgets
+    async getBudget(userId) { this.notImplemented('getBudget'); }
+    async saveBudget(userId, budget) { this.notImplemented('saveBudget'); }
+
+    // Orders
+    async getOrder(orderId) { this.notImplemented('getOrder'); }
+    async listOrders(filter) { this.notImplemented('listOrders'); }
+    async saveOrder(order) { this.notImplemented('saveOrder'); }
+
+    // Transactions
+    async getTransaction(transactionId) { this.notImplemented('getTransaction'); }
+    async listTransactions(filter) { this.notImplemented('listTransactions'); }
+    async saveTransaction(userId, transaction) { this.notImplemented('saveTransaction'); }
+
+    // Refunds
+    async getRefund(refundId) { this.notImplemented('getRefund'); }
+    async listRefunds(filter) { this.notImplemented('listRefunds'); }
+    async saveRefund(refund) { this.notImplemented('saveRefund'); }
+
+    // Webhook events
+    async getWebhookEvent(eventId) { this.notImplemented('getWebhookEvent'); }
+    async listWebhookEvents(filter) { this.notImplemented('listWebhookEvents'); }
+    async saveWebhookEvent(record) { this.notImplemented('saveWebhookEvent'); }
+
+    notImplemented(method) {
+        throw new StorageError(`${this.constructor.name} does not implement ${method}()`);
+    }
+}
+
+module.exports = { BaseStore, StorageError };
@@ -0,0 +1,66 @@
+// Storage factory. The adapter is picked by configuration:
+//
+//   STORAGE_DRIVER   json (default) | sqlite | postgres
+//   DATA_FILE        JSON file path (json driver; each server passes a defaultDataFile)
+//   JSON_COMPACT_EVERY        journal entries before the JSON file is rewritten (default 500)
+//   JSON_COMPACT_INTERVAL_MS  how often pending journal entries are compacted (default 5 min)
+//   SQLITE_PATH      database file (sqlite driver, default data/budget-tracker.sqlite)
+//   DATABASE_URL     connection string (postgres driver)
+//   DATABASE_SSL     "true" to connect over SSL, as managed hosts like Render require
+//
+// A `tenant` option keeps that tenant's data apart from the default dataset:
+// budget-api-data.<tenant>.json, budget-tracker.<tenant>.sqlite, or the
+// PostgreSQL schema tenant_<tenant> of the same database.
+
+const path = require('path');
+const { StorageError } = require('./base-store');
+const { JsonFileStore } = require('./json-file-store');
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', '..', 'data', 'budget-tracker.sqlite');
+
+// data.json → data.<tenant>.json
+function tenantFile(file, tenant) {
+    if (!file || !tenant) return file;
+    const extension = path.extname(file);
+    return `${file.slice(0, file.length - extension.length)}.${tenant}${extension}`;
+}
+
+function resolveStorageOptions(options = {}) {
+    const { tenant } = options;
+    return {
+        driver: (options.driver || process.env.STORAGE_DRIVER || 'json').toLowerCase(),
+        dataFile: tenantFile(options.dataFile || process.env.DATA_FILE || options.defaultDataFile, tenant),
+        compactEvery: options.compactEvery || parseInt(process.env.JSON_COMPACT_EVERY) || undefined,
+        compactInterval: options.compactInterval || parseInt(process.env.JSON_COMPACT_INTERVAL_MS) || undefined,
+        sqlitePath: tenantFile(options.sqlitePath || process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH, tenant),
+        databaseUrl: options.databaseUrl || process.env.DATABASE_URL,
+        databaseSsl: options.databaseSsl !== undefined ? options.databaseSsl : process.env.DATABASE_SSL === 'true',
+        databaseSchema: tenant ? `tenant_${tenant.replace(/-/g, '_')}` : undefined,
+        poolSize: options.poolSize || parseInt(process.env.DATABASE_POOL_SIZE) || undefined
+    };
+}
+
+function createStorage(options = {}) {
+    const resolved = resolveStorageOptions(options);
+
+    switch (resolved.driver) {
+        case 'json':
+            return new JsonFileStore(resolved);
+        case 'sqlite': {
+            const { SqliteStore } = require('./sqlite-store');
+            return new SqliteStore(resolved);
+        }
+        case 'postgres':
+        case 'postgresql': {
+            if (!resolved.databaseUrl) {
+                throw new StorageError('DATABASE_URL is required for the postgres storage driver');
+            }
+            const { PostgresStore } = require('./postgres-store');
+            return new PostgresStore(resolved);
+        }
+        default:
+            throw new StorageError(`Unknown STORAGE_DRIVER "${resolved.driver}" (expected json, sqlite or postgres)`);
+    }
+}
+
+module.exports = { createStorage, resolveStorageOptions, StorageError };
@@ -0,0 +1,130 @@
+// Append-only mutation journal for the JSON file adapter.
+//
+// Each save appends one line holding the entries that changed since the last
+// save, so a write touches a few hundred bytes instead of the whole dataset.
+// On startup the journal is replayed on top of the data file; compaction folds
+// it back into the data file and empties it.
+//
+// A snapshot is split into one entry per top-level value, per record of a
+// keyed collection and per array element. Replaying an entry always writes the
+// full value, so replaying a line twice (after a crash between compaction and
+// truncation) gives the same result.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { StorageError } = require('./base-store');
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function signatureOf(op) {
+    return crypto.createHash('sha1').update(JSON.stringify(op)).digest('base64');
+}
+
+// Splits a snapshot into journal entries keyed by their path
+function flattenSnapshot(snapshot) {
+    const entries = new Map();
+    const add = op => entries.set(JSON.stringify(op.path), { path: op.path, op, signature: signatureOf(op) });
+
+    Object.entries(snapshot).forEach(([key, value]) => {
+        if (Array.isArray(value)) {
+            add({ op: 'container', path: [key], type: 'array', length: value.length });
+            value.forEach((item, index) => add({ op: 'set', path: [key, index], value: item }));
+        } else if (isPlainObject(value)) {
+            add({ op: 'container', path: [key], type: 'object' });
+            Object.entries(value).forEach(([id, item]) => add({ op: 'set', path: [key, id], value: item }));
+        } else {
+            add({ op: 'set', path: [key], value });
+        }
+    });
+
+    return entries;
+}
+
+// Returns the operations that turn `previous` (path -> entry) into `next`
+function diffEntries(previous, next) {
+    const ops = [];
+
+    next.forEach((entry, id) => {
+        if (previous.get(id)?.signature !== entry.signature) {
+            ops.push(entry.op);
+        }
+    });
+
+    previous.forEach((entry, id) => {
+        if (next.has(id)) return;
+
+        const [key] = entry.path;
+        if (entry.path.length === 1) {
+            ops.push({ op: 'delete', path: [key] });
+        } else if (next.get(JSON.stringify([key]))?.op.type === 'object') {
+            // Array elements past the new length are dropped by the container entry
+            ops.push({ op: 'delete', path: entry.path });
+        }
+    });
+
+    return ops;
+}
+
+function applyOp(data, op) {
+    const [key, child] = op.path;
+
+    switch (op.op) {
+        case 'container':
+            if (op.type === 'array') {
+                if (!Array.isArray(data[key])) data[key] = [];
+                data[key].length = op.length;
+            } else if (!isPlainObject(data[key])) {
+                data[key] = {};
+            }
+            break;
+        case 'set':
+            if (op.path.length === 1) {
+                data[key] = op.value;
+            } else if (data[key] !== null && typeof data[key] === 'object') {
+                data[key][child] = op.value;
+            } else {
+                throw new StorageError(`Journal writes into missing collection "${key}"`);
+            }
+            break;
+        case 'delete':
+            if (op.path.length === 1) {
+                delete data[key];
+            } else if (data[key]) {
+                delete data[key][child];
+            }
+            break;
+        default:
+            throw new StorageError(`Unknown journal operation "${op.op}"`);
+    }
+}
+
+// Reads the journal file. A torn last line (the process died mid-append) is
+// dropped; damage anywhere else means the journal cannot be trusted.
+async function readJournal(journalFile) {
+    if (!fs.existsSync(journalFile)) return { lines: [], torn: false };
+
+    const content = await fs.promises.readFile(journalFile, 'utf8');
+    const rawLines = content.split('\n');
+    const lines = [];
+    let torn = false;
+
+    rawLines.forEach((rawLine, index) => {
+        if (!rawLine.trim()) return;
+
+        try {
+            lines.push(JSON.parse(rawLine));
+        } catch (error) {
+            const isLast = index === rawLines.length - 1;
+            if (!isLast) {
+                throw new StorageError(`Journal ${journalFile} is corrupt at line ${index + 1}`, error);
+            }
+            torn = true;
+        }
+    });
+
+    return { lines, torn };
+}
+
+module.exports = { flattenSnapshot, diffEntries, applyOp, readJournal, isPlainObject };
@@ -0,0 +1,321 @@
+// JSON file adapter: the whole dataset lives in one file, in the same shape as
+// the servers' in-memory budgetData. Meant for development and single-box use.
+//
+// Saves append the changed entries to <dataFile>.journal and fsync it; the data
+// file itself is only rewritten on compaction, through a temp file and rename,
+// so a crash leaves either the old or the new file on disk, never half of one.
+
+const fs = require('fs');
+const path = require('path');
+const { BaseStore, StorageError } = require('./base-store');
+const { flattenSnapshot, diffEntries, applyOp, readJournal, isPlainObject } = require('./journal');
+
+const DEFAULT_COMPACT_EVERY = 500;
+const DEFAULT_COMPACT_INTERVAL = 5 * 60 * 1000;
+
+// Writes to a temp file, fsyncs it and renames it over the target
+async function writeFileAtomic(file, content) {
+    const tempFile = `${file}.tmp`;
+    const handle = await fs.promises.open(tempFile, 'w');
+    try {
+        await handle.writeFile(content);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    await fs.promises.rename(tempFile, file);
+
+    // Persist the rename itself; not every platform can fsync a directory
+    try {
+        const dir = await fs.promises.open(path.dirname(file), 'r');
+        try {
+            await dir.sync();
+        } finally {
+            await dir.close();
+        }
+    } catch (error) {
+        if (!['EISDIR', 'EPERM', 'EINVAL', 'EBADF'].includes(error.code)) throw error;
+    }
+}
+
+class JsonFileStore extends BaseStore {
+    constructor(options = {}) {
+        super(options);
+
+        if (!options.dataFile) {
+            throw new StorageError('JsonFileStore requires a dataFile path');
+        }
+
+        this.dataFile = options.dataFile;
+        this.journalFile = `${options.dataFile}.journal`;
+        this.compactEvery = options.compactEvery || DEFAULT_COMPACT_EVERY;
+        this.compactInterval = options.compactInterval || DEFAULT_COMPACT_INTERVAL;
+        this.data = null;
+        this.entries = new Map();
+        this.journal = null;
+        this.journalLines = 0;
+        this.compactTimer = null;
+        this.closing = null;
+    }
+
+    get driver() {
+        return 'json';
+    }
+
+    async init() {
+        await fs.promises.mkdir(path.dirname(this.dataFile), { recursive: true });
+
+        // Left behind by a crash before the rename; the data file is still intact
+        await fs.promises.rm(`${this.dataFile}.tmp`, { force: true });
+    }
+
+    // Shutdown handlers may fire more than once (SIGINT then SIGTERM)
+    close() {
+        if (!this.closing) {
+            this.closing = this.closeJournal();
+        }
+        return this.closing;
+    }
+
+    async closeJournal() {
+        clearInterval(this.compactTimer);
+        this.compactTimer = null;
+
+        await this.enqueue(() => this.data && this.journalLines > 0 ? this.compact() : null);
+        if (this.journal) {
+            await this.journal.close();
+            this.journal = null;
+        }
+    }
+
+    // Reads the data file and replays the journal over it. A data file that
+    // cannot be parsed is an error: starting empty would wipe every user.
+    async loadSnapshot(defaults = {}) {
+        let stored = null;
+        if (fs.existsSync(this.dataFile)) {
+            const fileContent = await fs.promises.readFile(this.dataFile, 'utf8');
+            try {
+                stored = fileContent.trim() ? JSON.parse(fileContent) : null;
+            } catch (error) {
+                throw new StorageError(
+                    `Data file ${this.dataFile} is corrupt (${error.message}). ` +
+                    'Restore it from a backup or move it aside to start with an empty dataset.',
+                    error
+                );
+            }
+            if (stored !== null && !isPlainObject(stored)) {
+                throw new StorageError(`Data file ${this.dataFile} does not contain a JSON object`);
+            }
+        }
+
+        const { lines, torn } = await readJournal(this.journalFile);
+        const data = stored || {};
+        lines.forEach(line => line.ops.forEach(op => applyOp(data, op)));
+        if (torn) {
+            console.warn(`[STORAGE] Dropped an incomplete last entry from ${this.journalFile}`);
+        }
+
+        // The baseline is what is on disk, so defaults get journaled on the first save
+        this.entries = flattenSnapshot(data);
+        this.data = this.applyDefaults(data, defaults);
+        this.journalLines = lines.length;
+
+        // Fold the replayed journal into the data file before taking new writes
+        if (lines.length > 0 || torn) {
+            await this.compact();
+        }
+        this.startCompactTimer();
+
+        return this.data;
+    }
+
+    async saveSnapshot(snapshot) {
+        this.data = snapshot;
+
+        const next = flattenSnapshot(snapshot);
+        const ops = diffEntries(this.entries, next);
+        if (ops.length === 0) return;
+
+        const line = JSON.stringify({ at: new Date().toISOString(), ops }) + '\n';
+        const journal = await this.openJournal();
+        await journal.write(line);
+        await journal.datasync();
+
+        this.entries = next;
+        this.journalLines++;
+
+        if (this.journalLines >= this.compactEvery) {
+            await this.compact();
+        }
+    }
+
+    // Rewrites the data file from memory and empties the journal
+    async compact() {
+        await writeFileAtomic(this.dataFile, JSON.stringify(this.data, null, 2));
+
+        const journal = await this.openJournal();
+        await journal.truncate(0);
+        await journal.datasync();
+        this.journalLines = 0;
+    }
+
+    async openJournal() {
+        if (!this.journal) {
+            this.journal = await fs.promises.open(this.journalFile, 'a');
+        }
+        return this.journal;
+    }
+
+    // Compaction runs on the save queue so it never interleaves with an append
+    enqueue(work) {
+        this.saving = this.saving.catch(() => {}).then(work);
+        return this.saving;
+    }
+
+    startCompactTimer() {
+        if (this.compactTimer || !this.compactInterval) return;
+
+        this.compactTimer = setInterval(() => {
+            if (this.journalLines === 0) return;
+            this.enqueue(() => this.compact())
+                .catch(error => console.error('[STORAGE] Compaction failed:', error.message));
+        }, this.compactInterval);
+        this.compactTimer.unref();
+    }
+
+    // Repository methods work on the loaded document; load it on first use
+    async collection(name, fallback = {}) {
+        if (!this.data) {
+            await this.loadSnapshot();
+        }
+        if (this.data[name] === undefined) {
+            this.data[name] = fallback;
+        }
+        return this.data[name];
+    }
+
+    // Users
+    async getUser(userId) {
+        return (await this.collection('users'))[userId] || null;
+    }
+
+    async listUsers() {
+        return Object.values(await this.collection('users'));
+    }
+
+    async saveUser(user) {
+        const users = await this.collection('users');
+        users[user.id] = { ...user, transactions: user.transactions || users[user.id]?.transactions || [] };
+        await this.save(this.data);
+        return users[user.id];
+    }
+
+    async deleteUser(userId) {
+        const users = await this.collection('users');
+        const budgets = await this.collection('budgets');
+        delete users[userId];
+        delete budgets[userId];
+        await this.save(this.data);
+    }
+
+    // Budgets
+    async getBudget(userId) {
+        return (await this.collection('budgets'))[userId] || null;
+    }
+
+    async saveBudget(userId, budget) {
+        const budgets = await this.collection('budgets');
+        budgets[userId] = budget;
+        await this.save(this.data);
+        return budget;
+    }
+
+    // Orders
+    async getOrder(orderId) {
+        return (await this.collection('orders'))[orderId] || null;
+    }
+
+    async listOrders(filter = {}) {
+        return Object.values(await this.collection('orders'))
+            .filter(order => !filter.userId || order.userId === filter.userId);
+    }
+
+    async saveOrder(order) {
+        const orders = await this.collection('orders');
+        orders[order.id] = order;
+        await this.save(this.data);
+        return order;
+    }
+
+    // Transactions are stored inside their user, as budgetData keeps them
+    async getTransaction(transactionId) {
+        for (const [userId, user] of Object.entries(await this.collection('users'))) {
+            const transaction = (user.transactions || []).find(t => t.id === transactionId);
+            if (transaction) return { ...transaction, userId };
+        }
+        return null;
+    }
+
+    async listTransactions(filter = {}) {
+        return Object.entries(await this.collection('users'))
+            .filter(([userId]) => !filter.userId || userId === filter.userId)
+            .flatMap(([userId, user]) => (user.transactions || []).map(t => ({ ...t, userId })));
+    }
+
+    async saveTransaction(userId, transaction) {
+        const user = (await this.collection('users'))[userId];
+        if (!user) {
+            throw new StorageError(`Cannot save transaction ${transaction.id}: user ${userId} does not exist`);
+        }
+
+        user.transactions = user.transactions || [];
+        const index = user.transactions.findIndex(t => t.id === transaction.id);
+        if (index === -1) {
+            user.transactions.push(transaction);
+        } else {
+            user.transactions[index] = transaction;
+        }
+
+        await this.save(this.data);
+        return transaction;
+    }
+
+    // Refunds
+    async getRefund(refundId) {
+        return (await this.collection('refunds'))[refundId] || null;
+    }
+
+    async listRefunds(filter = {}) {
+        return Object.values(await this.collection('refunds'))
+            .filter(refund => !filter.userId || refund.userId === filter.userId)
+            .filter(refund => !filter.paymentId || refund.paymentId === filter.paymentId);
+    }
+
+    async saveRefund(refund) {
+        const refunds = await this.collection('refunds');
+        refunds[refund.id] = refund;
+        await this.save(this.data);
+        return refund;
+    }
+
+    // Webhook events
+    async getWebhookEvent(eventId) {
+        return (await this.collection('webhookEvents'))[eventId] || null;
+    }
+
+    async listWebhookEvents(filter = {}) {
+        return Object.values(await this.collection('webhookEvents'))
+            .filter(record => !filter.status || record.status === filter.status)
+            .filter(record => !filter.event || record.event === filter.event);
+    }
+
+    async saveWebhookEvent(record) {
+        const webhookEvents = await this.collection('webhookEvents');
+        webhookEvents[record.id] = record;
+        await this.save(this.data);
+        return record;
+    }
+}
+
+module.exports = { JsonFileStore, writeFileAtomic };
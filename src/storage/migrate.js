@@ -0,0 +1,37 @@
+// Copies a dataset from one storage driver to another, e.g. an existing
+// budget-api-data.json into PostgreSQL before switching STORAGE_DRIVER:
+//
+//   STORAGE_DRIVER=postgres DATABASE_URL=... node src/storage/migrate.js budget-api-data.json
+
+const path = require('path');
+const { createStorage } = require('./index');
+
+async function migrate(sourceFile) {
+    const source = createStorage({ driver: 'json', dataFile: path.resolve(sourceFile) });
+    const target = createStorage();
+
+    await source.init();
+    await target.init();
+
+    const snapshot = await source.loadSnapshot({});
+    await target.saveSnapshot(snapshot);
+    await target.close();
+
+    const users = Object.keys(snapshot.users || {}).length;
+    console.log(`[MIGRATE] Copied ${users} users from ${sourceFile} to ${target.driver} storage`);
+}
+
+if (require.main === module) {
+    const [sourceFile] = process.argv.slice(2);
+    if (!sourceFile) {
+        console.error('Usage: node src/storage/migrate.js <data-file.json>');
+        process.exit(1);
+    }
+
+    migrate(sourceFile).catch(error => {
+        console.error('[MIGRATE] Failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,80 @@
+// PostgreSQL adapter (node-postgres). Documents are stored as JSONB. With a
+// `databaseSchema` (one per tenant) the tables live in that schema instead
+// of the default search path.
+
+const { SqlStore } = require('./sql-store');
+
+// The shared SQL uses `?` placeholders; PostgreSQL wants $1, $2, ...
+function toPostgresPlaceholders(sql) {
+    let index = 0;
+    return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+class PostgresStore extends SqlStore {
+    constructor(options = {}) {
+        super(options);
+        this.pool = null;
+    }
+
+    get driver() {
+        return 'postgres';
+    }
+
+    get jsonType() {
+        return 'JSONB';
+    }
+
+    async init() {
+        const { Pool } = require('pg');
+
+        this.pool = new Pool({
+            connectionString: this.options.databaseUrl,
+            ssl: this.options.databaseSsl ? { rejectUnauthorized: false } : undefined,
+            max: this.options.poolSize || 5,
+            options: this.options.databaseSchema ? `-c search_path=${this.options.databaseSchema}` : undefined
+        });
+
+        if (this.options.databaseSchema) {
+            await this.run(`CREATE SCHEMA IF NOT EXISTS ${this.options.databaseSchema}`);
+        }
+        await super.init();
+    }
+
+    async close() {
+        await this.flush();
+        if (this.pool) {
+            await this.pool.end();
+            this.pool = null;
+        }
+    }
+
+    async all(sql, params = [], client = this.pool) {
+        const result = await client.query(toPostgresPlaceholders(sql), params);
+        return result.rows;
+    }
+
+    async run(sql, params = [], client = this.pool) {
+        await client.query(toPostgresPlaceholders(sql), params);
+    }
+
+    async transaction(work) {
+        const client = await this.pool.connect();
+        const executor = {
+            all: (sql, params) => this.all(sql, params, client),
+            run: (sql, params) => this.run(sql, params, client)
+        };
+
+        try {
+            await client.query('BEGIN');
+            await work(executor);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = { PostgresStore };
@@ -0,0 +1,363 @@
+// Shared logic for the SQL adapters (SQLite and PostgreSQL).
+//
+// Each entity is stored as a JSON document plus a few indexed columns, so the
+// document shapes can keep evolving without a migration for every new field.
+// Dialect subclasses provide all(), run(), transaction() and the JSON column type.
+
+const { BaseStore, StorageError } = require('./base-store');
+
+// Extra indexed columns per table, extracted from the entity being stored
+const TABLES = {
+    users: {},
+    budgets: {},
+    orders: {
+        user_id: order => order.userId,
+        status: order => order.status
+    },
+    transactions: {
+        user_id: (transaction, context) => context.userId,
+        seq: (transaction, context) => context.seq,
+        status: transaction => transaction.status,
+        occurred_at: transaction => transaction.date || transaction.timestamp
+    },
+    refunds: {
+        user_id: refund => refund.userId,
+        payment_id: refund => refund.paymentId
+    },
+    webhook_events: {
+        event: record => record.event,
+        status: record => record.status,
+        received_at: record => record.receivedAt
+    },
+    meta: {}
+};
+
+// Top-level snapshot keys that map onto a table; anything else goes to `meta`
+const COLLECTIONS = {
+    budgets: 'budgets',
+    orders: 'orders',
+    refunds: 'refunds',
+    webhookEvents: 'webhook_events'
+};
+
+// Global logs that mirror the per-user transaction lists and are rebuilt on load
+const DERIVED_LOGS = ['payments', 'transactions'];
+
+class SqlStore extends BaseStore {
+    constructor(options = {}) {
+        super(options);
+        this.persisted = new Map();
+    }
+
+    get jsonType() {
+        return 'TEXT';
+    }
+
+    async all(sql, params = []) { this.notImplemented('all'); }
+    async run(sql, params = []) { this.notImplemented('run'); }
+    async transaction(work) { this.notImplemented('transaction'); }
+
+    async init() {
+        for (const [table, columns] of Object.entries(TABLES)) {
+            const extra = Object.keys(columns)
+                .map(column => `${column} ${column === 'seq' ? 'INTEGER' : 'TEXT'}`);
+
+            await this.run(`CREATE TABLE IF NOT EXISTS ${table} (${[
+                'id TEXT PRIMARY KEY',
+                `data ${this.jsonType} NOT NULL`,
+                ...extra
+            ].join(', ')})`);
+
+            if (columns.user_id) {
+                await this.run(`CREATE INDEX IF NOT EXISTS ${table}_user_id_idx ON ${table} (user_id)`);
+            }
+        }
+    }
+
+    buildRow(table, id, data, context = {}) {
+        const columns = {};
+        Object.entries(TABLES[table]).forEach(([column, extract]) => {
+            const value = extract(data, context);
+            columns[column] = value === undefined ? null : value;
+        });
+
+        return { table, id: String(id), data, columns };
+    }
+
+    parseData(value) {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    rowKey(table, id) {
+        return `${table}\u0000${id}`;
+    }
+
+    rowSignature(row) {
+        return JSON.stringify([row.data, row.columns]);
+    }
+
+    async writeRows(rows, deletes = [], executor = this) {
+        for (const row of rows) {
+            const columnNames = ['id', 'data', ...Object.keys(row.columns)];
+            const values = [row.id, JSON.stringify(row.data), ...Object.values(row.columns)];
+            const updates = columnNames.slice(1).map(column => `${column} = excluded.${column}`);
+
+            await executor.run(
+                `INSERT INTO ${row.table} (${columnNames.join(', ')}) ` +
+                `VALUES (${columnNames.map(() => '?').join(', ')}) ` +
+                `ON CONFLICT (id) DO UPDATE SET ${updates.join(', ')}`,
+                values
+            );
+        }
+
+        for (const { table, id } of deletes) {
+            await executor.run(`DELETE FROM ${table} WHERE id = ?`, [id]);
+        }
+    }
+
+    // Repository writes leave the snapshot bookkeeping alone, so a later
+    // saveSnapshot() never deletes rows it did not load or write itself.
+    async saveRows(rows, deletes = []) {
+        await this.transaction(executor => this.writeRows(rows, deletes, executor));
+    }
+
+    // Snapshot
+
+    snapshotToRows(snapshot) {
+        const rows = [];
+
+        Object.entries(snapshot.users || {}).forEach(([userId, user]) => {
+            const { transactions = [], ...profile } = user;
+            rows.push(this.buildRow('users', userId, profile));
+            transactions.forEach((transaction, seq) => {
+                rows.push(this.buildRow('transactions', transaction.id, transaction, { userId, seq }));
+            });
+        });
+
+        Object.entries(COLLECTIONS).forEach(([key, table]) => {
+            Object.entries(snapshot[key] || {}).forEach(([id, entity]) => {
+                rows.push(this.buildRow(table, id, entity));
+            });
+        });
+
+        Object.entries(snapshot)
+            .filter(([key]) => key !== 'users' && !COLLECTIONS[key] && !DERIVED_LOGS.includes(key))
+            .forEach(([key, value]) => rows.push(this.buildRow('meta', key, value)));
+
+        return rows;
+    }
+
+    async saveSnapshot(snapshot) {
+        const rows = this.snapshotToRows(snapshot);
+        const seen = new Set(rows.map(row => this.rowKey(row.table, row.id)));
+
+        // Only rows whose content changed since the last save are written
+        const changed = rows.filter(row =>
+            this.persisted.get(this.rowKey(row.table, row.id)) !== this.rowSignature(row));
+        const deletes = [...this.persisted.keys()]
+            .filter(key => !seen.has(key))
+            .map(key => {
+                const [table, id] = key.split('\u0000');
+                return { table, id };
+            });
+
+        if (changed.length === 0 && deletes.length === 0) return;
+
+        await this.saveRows(changed, deletes);
+        changed.forEach(row => this.persisted.set(this.rowKey(row.table, row.id), this.rowSignature(row)));
+        deletes.forEach(({ table, id }) => this.persisted.delete(this.rowKey(table, id)));
+    }
+
+    async loadSnapshot(defaults = {}) {
+        const snapshot = {};
+        const remember = (table, id, data, context) =>
+            this.persisted.set(this.rowKey(table, id), this.rowSignature(this.buildRow(table, id, data, context)));
+
+        const users = {};
+        for (const row of await this.all('SELECT id, data FROM users')) {
+            const profile = this.parseData(row.data);
+            users[row.id] = { ...profile, transactions: [] };
+            remember('users', row.id, profile);
+        }
+
+        const log = [];
+        for (const row of await this.all('SELECT id, data, user_id, seq FROM transactions ORDER BY user_id, seq')) {
+            const transaction = this.parseData(row.data);
+            if (!users[row.user_id]) continue;
+
+            users[row.user_id].transactions.push(transaction);
+            // Manual entries (source 'manual') belong to the user's list only;
+            // the payments log holds what went through Razorpay
+            if (transaction.source !== 'manual') log.push({ userId: row.user_id, transaction });
+            remember('transactions', row.id, transaction, { userId: row.user_id, seq: Number(row.seq) });
+        }
+        snapshot.users = users;
+
+        for (const [key, table] of Object.entries(COLLECTIONS)) {
+            if (defaults[key] === undefined) continue;
+
+            snapshot[key] = {};
+            for (const row of await this.all(`SELECT id, data FROM ${table}`)) {
+                snapshot[key][row.id] = this.parseData(row.data);
+                remember(table, row.id, snapshot[key][row.id]);
+            }
+        }
+
+        for (const row of await this.all('SELECT id, data FROM meta')) {
+            snapshot[row.id] = this.parseData(row.data);
+            remember('meta', row.id, snapshot[row.id]);
+        }
+
+        const byDate = (a, b) => new Date(a.transaction.date || a.transaction.timestamp) -
+            new Date(b.transaction.date || b.transaction.timestamp);
+        log.sort(byDate);
+
+        // payments entries are copies tagged with their user; budget-tracker-backend.js
+        // keeps the same objects in `transactions` and in the user's list
+        if (Array.isArray(defaults.payments)) {
+            snapshot.payments = log.map(({ userId, transaction }) => ({ ...transaction, userId }));
+        }
+        if (Array.isArray(defaults.transactions)) {
+            snapshot.transactions = log.map(({ transaction }) => transaction);
+        }
+
+        return this.applyDefaults(snapshot, defaults);
+    }
+
+    // Repository methods
+
+    async getRow(table, id) {
+        const [row] = await this.all(`SELECT data FROM ${table} WHERE id = ?`, [String(id)]);
+        return row ? this.parseData(row.data) : null;
+    }
+
+    async listRows(table, where = {}) {
+        const conditions = Object.keys(where).filter(column => where[column] !== undefined);
+        const sql = `SELECT data FROM ${table}` +
+            (conditions.length ? ` WHERE ${conditions.map(column => `${column} = ?`).join(' AND ')}` : '');
+
+        const rows = await this.all(sql, conditions.map(column => where[column]));
+        return rows.map(row => this.parseData(row.data));
+    }
+
+    async getUser(userId) {
+        const profile = await this.getRow('users', userId);
+        if (!profile) return null;
+
+        const transactions = await this.all(
+            'SELECT data FROM transactions WHERE user_id = ? ORDER BY seq', [String(userId)]);
+        return { ...profile, transactions: transactions.map(row => this.parseData(row.data)) };
+    }
+
+    async listUsers() {
+        return this.listRows('users');
+    }
+
+    async saveUser(user) {
+        const { transactions, ...profile } = user;
+        await this.saveRows([this.buildRow('users', user.id, profile)]);
+        return user;
+    }
+
+    async deleteUser(userId) {
+        const transactions = await this.all('SELECT id FROM transactions WHERE user_id = ?', [String(userId)]);
+        await this.saveRows([], [
+            { table: 'users', id: String(userId) },
+            { table: 'budgets', id: String(userId) },
+            ...transactions.map(row => ({ table: 'transactions', id: row.id }))
+        ]);
+    }
+
+    async getBudget(userId) {
+        return this.getRow('budgets', userId);
+    }
+
+    async saveBudget(userId, budget) {
+        await this.saveRows([this.buildRow('budgets', userId, budget)]);
+        return budget;
+    }
+
+    async getOrder(orderId) {
+        return this.getRow('orders', orderId);
+    }
+
+    async listOrders(filter = {}) {
+        return this.listRows('orders', { user_id: filter.userId, status: filter.status });
+    }
+
+    async saveOrder(order) {
+        await this.saveRows([this.buildRow('orders', order.id, order)]);
+        return order;
+    }
+
+    async getTransaction(transactionId) {
+        const [row] = await this.all('SELECT data, user_id FROM transactions WHERE id = ?', [String(transactionId)]);
+        return row ? { ...this.parseData(row.data), userId: row.user_id } : null;
+    }
+
+    async listTransactions(filter = {}) {
+        const conditions = [];
+        const params = [];
+        if (filter.userId) {
+            conditions.push('user_id = ?');
+            params.push(String(filter.userId));
+        }
+        if (filter.status) {
+            conditions.push('status = ?');
+            params.push(filter.status);
+        }
+
+        const rows = await this.all(
+            'SELECT data, user_id FROM transactions' +
+            (conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '') +
+            ' ORDER BY user_id, seq',
+            params
+        );
+        return rows.map(row => ({ ...this.parseData(row.data), userId: row.user_id }));
+    }
+
+    async saveTransaction(userId, transaction) {
+        if (!(await this.getRow('users', userId))) {
+            throw new StorageError(`Cannot save transaction ${transaction.id}: user ${userId} does not exist`);
+        }
+
+        const [existing] = await this.all('SELECT seq FROM transactions WHERE id = ?', [String(transaction.id)]);
+        let seq = existing ? Number(existing.seq) : null;
+        if (seq === null) {
+            const [last] = await this.all(
+                'SELECT MAX(seq) AS seq FROM transactions WHERE user_id = ?', [String(userId)]);
+            seq = last && last.seq !== null ? Number(last.seq) + 1 : 0;
+        }
+
+        await this.saveRows([this.buildRow('transactions', transaction.id, transaction, { userId, seq })]);
+        return transaction;
+    }
+
+    async getRefund(refundId) {
+        return this.getRow('refunds', refundId);
+    }
+
+    async listRefunds(filter = {}) {
+        return this.listRows('refunds', { user_id: filter.userId, payment_id: filter.paymentId });
+    }
+
+    async saveRefund(refund) {
+        await this.saveRows([this.buildRow('refunds', refund.id, refund)]);
+        return refund;
+    }
+
+    async getWebhookEvent(eventId) {
+        return this.getRow('webhook_events', eventId);
+    }
+
+    async listWebhookEvents(filter = {}) {
+        return this.listRows('webhook_events', { status: filter.status, event: filter.event });
+    }
+
+    async saveWebhookEvent(record) {
+        await this.saveRows([this.buildRow('webhook_events', record.id, record)]);
+        return record;
+    }
+}
+
+module.exports = { SqlStore, TABLES };
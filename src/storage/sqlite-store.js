@@ -0,0 +1,74 @@
+// SQLite adapter. Uses better-sqlite3 when it is installed and falls back to
+// the built-in node:sqlite module on Node versions that ship it (22.5 and later).
+
+const fs = require('fs');
+const path = require('path');
+const { SqlStore } = require('./sql-store');
+const { StorageError } = require('./base-store');
+
+function openDatabase(filename) {
+    try {
+        const Database = require('better-sqlite3');
+        return new Database(filename);
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    }
+
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return new DatabaseSync(filename);
+    } catch (error) {
+        throw new StorageError('SQLite storage needs the better-sqlite3 package (npm install better-sqlite3) or Node 22.5+', error);
+    }
+}
+
+class SqliteStore extends SqlStore {
+    constructor(options = {}) {
+        super(options);
+        this.filename = options.sqlitePath;
+        this.db = null;
+    }
+
+    get driver() {
+        return 'sqlite';
+    }
+
+    async init() {
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        }
+
+        this.db = openDatabase(this.filename);
+        this.db.exec('PRAGMA journal_mode = WAL');
+        await super.init();
+    }
+
+    async close() {
+        await this.flush();
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    async all(sql, params = []) {
+        return this.db.prepare(sql).all(...params);
+    }
+
+    async run(sql, params = []) {
+        this.db.prepare(sql).run(...params);
+    }
+
+    async transaction(work) {
+        this.db.exec('BEGIN');
+        try {
+            await work(this);
+            this.db.exec('COMMIT');
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+}
+
+module.exports = { SqliteStore };
@@ -0,0 +1,105 @@
+// 🏢 Tenants
+// One deployment can serve several merchants. Each tenant has its own
+// Razorpay account, webhook secret, admins and data: users, budgets,
+// payments, sessions and partners never cross from one tenant to another.
+// The default tenant is the deployment's own, configured from the
+// environment as before; further tenants come from TENANTS_FILE (see
+// ./config).
+//
+// resolveTenant() picks the tenant of each request, in this order:
+//
+//   X-Tenant-ID header           X-Tenant-ID: acme
+//   subdomain                    acme.budget.example.com
+//   ?tenant= on a webhook path   Razorpay cannot send custom headers
+//   partner API key              the tenant that issued the key
+//
+// and runs the rest of the request as that tenant (see state.runAsTenant).
+// Requests naming none of these belong to the default tenant.
+
+const { ApiError, sendError } = require('./errors');
+const { DEFAULT_TENANT, runAsTenant } = require('./state');
+const partners = require('./services/partners');
+
+const tenants = new Map(); // id → { id, name, webhookSecret, adminEmails }
+
+// /api/webhook and the legacy paths rewritten onto it (see compat/legacy-paths),
+// since the tenant is resolved before the rewrite
+const WEBHOOK_PATH = /^\/(api\/webhook|webhook|api\/razorpay-webhook)\/?$/;
+
+function registerTenant({ id, name, webhookSecret, adminEmails = [] }) {
+    tenants.set(id, { id, name, webhookSecret, adminEmails });
+}
+
+function getTenant(tenantId) {
+    return tenants.get(tenantId);
+}
+
+function listTenants() {
+    return [...tenants.values()];
+}
+
+function isMultiTenant() {
+    return tenants.size > 1;
+}
+
+function requireKnownTenant(tenantId, source) {
+    if (!tenants.has(tenantId)) {
+        throw new ApiError(404, 'Unknown tenant', { tenant: tenantId, source });
+    }
+    return tenantId;
+}
+
+// The first label of a host with at least three, when it names a tenant
+function tenantFromHost(hostname) {
+    const [label, ...rest] = String(hostname || '').toLowerCase().split('.');
+    return rest.length >= 2 && label !== DEFAULT_TENANT && tenants.has(label) ? label : null;
+}
+
+function tenantFromApiKey(apiKey) {
+    return listTenants()
+        .map(tenant => tenant.id)
+        .find(tenantId => runAsTenant(tenantId, () => partners.hasApiKey(apiKey))) || null;
+}
+
+function resolveTenantId(req) {
+    const header = req.headers['x-tenant-id'];
+    const fromHost = tenantFromHost(req.hostname);
+
+    if (header) {
+        const tenantId = requireKnownTenant(String(header).toLowerCase(), 'header');
+        if (fromHost && fromHost !== tenantId) {
+            throw new ApiError(400, 'X-Tenant-ID does not match the host', { tenant: tenantId, host: req.hostname });
+        }
+        return tenantId;
+    }
+    if (fromHost) return fromHost;
+    if (req.query.tenant && WEBHOOK_PATH.test(req.path)) {
+        return requireKnownTenant(String(req.query.tenant).toLowerCase(), 'query');
+    }
+    if (req.headers['x-api-key']) {
+        return tenantFromApiKey(req.headers['x-api-key']) || DEFAULT_TENANT;
+    }
+    return DEFAULT_TENANT;
+}
+
+function resolveTenant(req, res, next) {
+    let tenantId;
+    try {
+        tenantId = resolveTenantId(req);
+    } catch (error) {
+        return sendError(res, error, 'Failed to resolve tenant');
+    }
+
+    req.tenant = getTenant(tenantId);
+    if (isMultiTenant()) res.set('X-Tenant-ID', tenantId);
+    runAsTenant(tenantId, next);
+}
+
+module.exports = {
+    DEFAULT_TENANT,
+    registerTenant,
+    getTenant,
+    listTenants,
+    isMultiTenant,
+    resolveTenant
+};